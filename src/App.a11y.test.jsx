@@ -0,0 +1,122 @@
+// @vitest-environment jsdom
+
+// Accessibility checks for the main flows: the Pokemon grid, the details
+// dialog, the comparison view and the team panel are rendered through the
+// real app (PokeAPI answered by test/fakePokeApi.js) and audited with axe-core.
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { act } from 'react';
+import { createRoot } from 'react-dom/client';
+import axe from 'axe-core';
+import { fakeHttp, POKEMON, pokemonPayload } from './test/fakePokeApi.js';
+
+vi.mock('axios', async (importOriginal) => {
+    const { default: axios } = await importOriginal();
+    return { default: { ...axios, create: () => fakeHttp } };
+});
+
+// jsdom has no layout: observers never fire and scrolling does nothing
+class InertObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+let App;
+let navigate;
+let addToTeam;
+let toTeamMember;
+let container;
+let root;
+
+beforeAll(async () => {
+    globalThis.ResizeObserver = InertObserver;
+    globalThis.IntersectionObserver = InertObserver;
+    window.scrollTo = () => {};
+    Element.prototype.scrollIntoView = () => {};
+    localStorage.setItem('pokemon-app-language', 'en');
+
+    ({ default: App } = await import('./App.jsx'));
+    ({ navigate } = await import('./utils/router.js'));
+    ({ addToTeam, toTeamMember } = await import('./store/teamStore.js'));
+});
+
+beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    root = createRoot(container);
+});
+
+afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+    await act(async () => navigate('/'));
+});
+
+const render = async (path) => {
+    await act(async () => navigate(path));
+    await act(async () => root.render(<App />));
+};
+
+// Let requests, batching timers and effects settle until the check passes
+const waitFor = async (check, timeout = 3000) => {
+    const started = Date.now();
+    for (;;) {
+        await act(() => new Promise(resolve => setTimeout(resolve, 25)));
+        if (check()) return;
+        if (Date.now() - started > timeout) throw new Error('Timed out waiting for the view to load');
+    }
+};
+
+const findByText = (selector, text) =>
+    [...container.querySelectorAll(selector)].find(element => element.textContent.includes(text));
+
+// jsdom can't lay out or paint, so contrast can't be measured there
+const expectNoViolations = async () => {
+    let violations;
+    await act(async () => {
+        ({ violations } = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } }));
+    });
+    const summary = violations.map(violation =>
+        `${violation.id}: ${violation.help}\n  ${violation.nodes.map(node => node.target.join(' ')).join('\n  ')}`);
+    expect(summary).toEqual([]);
+};
+
+describe('accessibility', () => {
+    it('has no violations in the Pokemon grid', async () => {
+        await render('/');
+        await waitFor(() => container.querySelectorAll('[data-grid-item]').length === POKEMON.length);
+        await expectNoViolations();
+    });
+
+    it('has no violations in the details dialog', async () => {
+        await render('/pokemon/bulbasaur');
+        await waitFor(() => container.querySelector('[role="dialog"][aria-labelledby]') !== null
+            && findByText('.evolution-name', 'Ivysaur') !== undefined);
+        await expectNoViolations();
+    });
+
+    it('has no violations in the comparison view', async () => {
+        await render('/compare?compare=bulbasaur,charmander');
+        await waitFor(() => container.querySelector('.comparison-table') !== null);
+        await expectNoViolations();
+    });
+
+    it('explains an empty comparison without violations', async () => {
+        await render('/compare?compare=bulbasaur');
+        await waitFor(() => findByText('.comparison-status', 'Pick at least two') !== undefined);
+        await expectNoViolations();
+    });
+
+    it('has no violations in the team panel', async () => {
+        addToTeam(toTeamMember(pokemonPayload(POKEMON[0])));
+        addToTeam(toTeamMember(pokemonPayload(POKEMON[2])));
+        await render('/');
+        await waitFor(() => container.querySelector('.team-toggle') !== null);
+        await act(async () => container.querySelector('.team-toggle').click());
+        await waitFor(() => container.querySelector('.team-table') !== null);
+        await expectNoViolations();
+    });
+});
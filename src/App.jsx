@@ -3,14 +3,73 @@ import React from 'react';
 import Pokemon_logo from './assets/Pokemon_logo.png';
 import PokemonList from './components/PokemonList.jsx';
 import ErrorBoundary from './components/ErrorBoundary.jsx';
+import LanguageSwitcher from './components/LanguageSwitcher.jsx';
+import QuizMode from './components/QuizMode.jsx';
+import ProgressView from './components/ProgressView.jsx';
+import ItemBrowser from './components/ItemBrowser.jsx';
+import useLocation from './hooks/useLocation.js';
+import useTranslation from './hooks/useTranslation.js';
+import { navigate, matchRoute } from './utils/router.js';
+
+// Pages next to the browsing list; `routes` are extra URLs the page handles itself
+const PAGES = [
+  { path: '/items', routes: ['/items/:name'], name: 'items', label: 'nav.items', Page: ItemBrowser },
+  { path: '/quiz', name: 'quiz', label: 'nav.quiz', Page: QuizMode },
+  { path: '/progress', name: 'progress', label: 'nav.progress', Page: ProgressView },
+];
+
+const matchesPage = (page, pathname) =>
+  [page.path, ...(page.routes || [])].some(route => matchRoute(route, pathname));
 
 function App() {
+  const location = useLocation();
+  const { t } = useTranslation();
+  const page = PAGES.find(candidate => matchesPage(candidate, location.pathname));
+
+  // Remember where the list was so "Browse" returns to the same search
+  const openPage = (path) => {
+    if (page?.path === path) return;
+    const listUrl = page ? location.state?.listUrl : `${location.pathname}${location.search}`;
+    navigate(path, { state: { listUrl } });
+  };
+  const openList = () => {
+    if (page) navigate(location.state?.listUrl || '/');
+  };
+
   return (
     <ErrorBoundary>
       <div className="App">
         <main>
+          <div className="app-toolbar">
+            <nav className="app-modes" aria-label={t('nav.label')}>
+              <button type="button" className={!page ? 'active' : ''} aria-current={!page ? 'page' : undefined} onClick={openList}>
+                {t('nav.browse')}
+              </button>
+              {PAGES.map(({ path, label }) => (
+                <button
+                  key={path}
+                  type="button"
+                  className={page?.path === path ? 'active' : ''}
+                  aria-current={page?.path === path ? 'page' : undefined}
+                  onClick={() => openPage(path)}
+                >
+                  {t(label)}
+                </button>
+              ))}
+            </nav>
+            <LanguageSwitcher />
+          </div>
           <img src={Pokemon_logo} alt="Pokemon logo" />
-          <PokemonList />
+          {/* The list recovers in place; the outer boundary is the last resort */}
+          {page ? (
+            <ErrorBoundary key={page.path} name={page.name}>
+              <page.Page />
+            </ErrorBoundary>
+          ) : (
+            <ErrorBoundary name="list">
+              <PokemonList />
+            </ErrorBoundary>
+          )}
         </main>
       </div>
     </ErrorBoundary>    
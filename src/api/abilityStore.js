@@ -0,0 +1,14 @@
+// abilityStore.js - shared store for /ability payloads (effect text and the
+// Pokemon that have each ability)
+
+import createResourceStore from './resourceStore.js';
+import { getAbility, peekAbility } from './pokeapi.js';
+
+const abilityStore = createResourceStore({
+    fetch: getAbility,
+    peek: peekAbility,
+    maxConcurrent: 4,
+    label: 'ability',
+});
+
+export { abilityStore };
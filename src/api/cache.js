@@ -0,0 +1,164 @@
+// cache.js - persistent response cache for PokeAPI payloads.
+// Entries live in IndexedDB when it is available and fall back to
+// localStorage otherwise. A small in-memory layer keeps recently used
+// entries around so components can render synchronously from cache.
+
+const DB_NAME = 'pokemon-app-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+const STORAGE_PREFIX = 'pokeapi-cache:';
+const MEMORY_LIMIT = 400; // entries kept in memory (least recently used are dropped)
+
+// key -> { data, storedAt }
+const memory = new Map();
+
+const remember = (key, entry) => {
+    memory.delete(key); // re-insert so the Map order tracks recency
+    memory.set(key, entry);
+    if (memory.size > MEMORY_LIMIT) {
+        memory.delete(memory.keys().next().value);
+    }
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked'));
+});
+
+const createIndexedDbBackend = (db) => {
+    const store = (mode) => db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return {
+        get: (key) => requestToPromise(store('readonly').get(key)),
+        set: (key, entry) => requestToPromise(store('readwrite').put(entry, key)),
+        remove: (key) => requestToPromise(store('readwrite').delete(key)),
+        clear: () => requestToPromise(store('readwrite').clear()),
+    };
+};
+
+const localStorageKeys = () => {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(STORAGE_PREFIX)) keys.push(key);
+    }
+    return keys;
+};
+
+// Drop the oldest quarter of our entries to make room when the quota is hit
+const evictOldest = () => {
+    const entries = localStorageKeys().map(key => {
+        try {
+            return { key, storedAt: JSON.parse(localStorage.getItem(key)).storedAt };
+        } catch {
+            return { key, storedAt: 0 };
+        }
+    });
+    entries.sort((a, b) => a.storedAt - b.storedAt);
+    entries
+        .slice(0, Math.max(1, Math.ceil(entries.length / 4)))
+        .forEach(({ key }) => localStorage.removeItem(key));
+    return entries.length > 0;
+};
+
+const localStorageBackend = {
+    get: async (key) => {
+        const raw = localStorage.getItem(STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) : undefined;
+    },
+    set: async (key, entry) => {
+        const raw = JSON.stringify(entry);
+        for (let attempt = 0; attempt < 4; attempt++) {
+            try {
+                localStorage.setItem(STORAGE_PREFIX + key, raw);
+                return;
+            } catch {
+                if (!evictOldest()) return;
+            }
+        }
+    },
+    remove: async (key) => localStorage.removeItem(STORAGE_PREFIX + key),
+    clear: async () => localStorageKeys().forEach(key => localStorage.removeItem(key)),
+};
+
+// No persistence at all (private mode with storage disabled, tests...)
+const memoryOnlyBackend = {
+    get: async () => undefined,
+    set: async () => {},
+    remove: async () => {},
+    clear: async () => {},
+};
+
+const hasLocalStorage = () => {
+    try {
+        return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+        return false;
+    }
+};
+
+let backendPromise = null;
+
+const getBackend = () => {
+    if (!backendPromise) {
+        backendPromise = openDatabase()
+            .then(createIndexedDbBackend)
+            .catch(() => (hasLocalStorage() ? localStorageBackend : memoryOnlyBackend));
+    }
+    return backendPromise;
+};
+
+// Synchronous lookup - only sees entries already loaded into memory
+const peekEntry = (key) => memory.get(key);
+
+const readEntry = async (key) => {
+    if (memory.has(key)) return memory.get(key);
+    try {
+        const backend = await getBackend();
+        const entry = await backend.get(key);
+        if (entry) remember(key, entry);
+        return entry;
+    } catch (error) {
+        console.warn('Cache read failed:', error);
+        return undefined;
+    }
+};
+
+const writeEntry = async (key, data) => {
+    const entry = { data, storedAt: Date.now() };
+    remember(key, entry);
+    try {
+        const backend = await getBackend();
+        await backend.set(key, entry);
+    } catch (error) {
+        console.warn('Cache write failed:', error);
+    }
+    return entry;
+};
+
+const removeEntry = async (key) => {
+    memory.delete(key);
+    const backend = await getBackend();
+    await backend.remove(key);
+};
+
+const clearCache = async () => {
+    memory.clear();
+    const backend = await getBackend();
+    await backend.clear();
+};
+
+export { peekEntry, readEntry, writeEntry, removeEntry, clearCache };
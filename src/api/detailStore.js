@@ -0,0 +1,21 @@
+// detailStore.js - shared store for per-Pokemon detail payloads (/pokemon/:name)
+
+import createResourceStore from './resourceStore.js';
+import { getPokemon, peekPokemon } from './pokeapi.js';
+
+const detailStore = createResourceStore({
+    fetch: getPokemon,
+    peek: peekPokemon,
+    maxConcurrent: 6,
+    label: 'Pokemon',
+});
+
+const {
+    getSnapshot: getDetailsSnapshot,
+    subscribe: subscribeToDetails,
+    request: requestDetails,
+    retry: retryDetails,
+    ensure: ensureDetails,
+} = detailStore;
+
+export { detailStore, getDetailsSnapshot, subscribeToDetails, requestDetails, retryDetails, ensureDetails };
@@ -0,0 +1,14 @@
+// encounterStore.js - shared store for wild encounter lists, keyed by a
+// Pokemon's location_area_encounters URL
+
+import createResourceStore from './resourceStore.js';
+import { getEncounters, peekEncounters } from './pokeapi.js';
+
+const encounterStore = createResourceStore({
+    fetch: getEncounters,
+    peek: peekEncounters,
+    maxConcurrent: 2,
+    label: 'encounters',
+});
+
+export { encounterStore };
@@ -0,0 +1,38 @@
+// errors.js - typed errors raised by the PokeAPI client so the UI can tell
+// a missing Pokemon apart from a network outage or rate limiting
+
+class PokeApiError extends Error {
+    constructor(message, { status = null, url = null, cause } = {}) {
+        super(message, { cause });
+        this.name = 'PokeApiError';
+        this.status = status;
+        this.url = url;
+    }
+}
+
+// 404 - the requested resource does not exist (e.g. unknown Pokemon name)
+class NotFoundError extends PokeApiError {
+    constructor(url, options = {}) {
+        super(`Resource not found: ${url}`, { ...options, status: 404, url });
+        this.name = 'NotFoundError';
+    }
+}
+
+// No response at all - offline, DNS failure, CORS, timeout...
+class NetworkError extends PokeApiError {
+    constructor(url, options = {}) {
+        super(`Network error while requesting ${url}`, { ...options, url });
+        this.name = 'NetworkError';
+    }
+}
+
+// 429 - PokeAPI asks us to slow down; retryAfter is in milliseconds
+class RateLimitError extends PokeApiError {
+    constructor(url, { retryAfter = null, ...options } = {}) {
+        super(`Rate limited while requesting ${url}`, { ...options, status: 429, url });
+        this.name = 'RateLimitError';
+        this.retryAfter = retryAfter;
+    }
+}
+
+export { PokeApiError, NotFoundError, NetworkError, RateLimitError };
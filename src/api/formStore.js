@@ -0,0 +1,13 @@
+// formStore.js - shared store for /pokemon-form payloads (cosmetic forms and their sprites)
+
+import createResourceStore from './resourceStore.js';
+import { getPokemonForm, peekPokemonForm } from './pokeapi.js';
+
+const formStore = createResourceStore({
+    fetch: getPokemonForm,
+    peek: peekPokemonForm,
+    maxConcurrent: 2,
+    label: 'Pokemon form',
+});
+
+export { formStore };
@@ -0,0 +1,21 @@
+// itemStore.js - shared stores for /item payloads (cost, effect, holders)
+// and the /berry payloads behind berry items
+
+import createResourceStore from './resourceStore.js';
+import { getItem, peekItem, getBerry, peekBerry } from './pokeapi.js';
+
+const itemStore = createResourceStore({
+    fetch: getItem,
+    peek: peekItem,
+    maxConcurrent: 6,
+    label: 'item',
+});
+
+const berryStore = createResourceStore({
+    fetch: getBerry,
+    peek: peekBerry,
+    maxConcurrent: 2,
+    label: 'berry',
+});
+
+export { itemStore, berryStore };
@@ -0,0 +1,14 @@
+// moveStore.js - shared store for /move payloads (type, category, power...),
+// loaded lazily as the Moves tab shows them
+
+import createResourceStore from './resourceStore.js';
+import { getMove, peekMove } from './pokeapi.js';
+
+const moveStore = createResourceStore({
+    fetch: getMove,
+    peek: peekMove,
+    maxConcurrent: 4,
+    label: 'move',
+});
+
+export { moveStore };
@@ -0,0 +1,75 @@
+// nameIndex.js - every Pokemon name in the national dex, loaded once and
+// kept in memory for search, autocomplete and filtering
+
+import { getAllPokemon } from './pokeapi.js';
+import { idFromUrl } from '../utils/pokemonFilters.js';
+import { rankMatches } from '../utils/fuzzy.js';
+
+let indexPromise = null;
+let index = null;
+
+// species id -> { [language]: localized name }, filled in as species load.
+// PokeAPI has no bulk endpoint for localized names, so only species we have
+// seen (and cached) can be found by their translated name.
+const localizedNames = new Map();
+
+const rememberLocalizedNames = (species) => {
+    if (!species?.names) return;
+    localizedNames.set(
+        species.id,
+        Object.fromEntries(species.names.map(entry => [entry.language.name, entry.name]))
+    );
+};
+
+// Resolves to [{ name, url, id }]; failures are not cached so we can retry
+const loadNameIndex = () => {
+    if (!indexPromise) {
+        indexPromise = getAllPokemon()
+            .then(results => {
+                index = results.map(pokemon => ({ ...pokemon, id: idFromUrl(pokemon.url) }));
+                return index;
+            })
+            .catch(error => {
+                indexPromise = null;
+                throw error;
+            });
+    }
+    return indexPromise;
+};
+
+const getLoadedNameIndex = () => index;
+
+// "25", "#25" or "#0025" -> 25
+const parseDexNumber = (query) => {
+    const match = /^#?\s*0*(\d{1,5})$/.exec(String(query).trim());
+    return match ? Number(match[1]) : null;
+};
+
+// Names an entry can be found by: its slug plus the localized name, if known
+const getSearchNames = (entry, language) => {
+    const localized = language && localizedNames.get(entry.id)?.[language];
+    return localized ? [entry.name, localized] : [entry.name];
+};
+
+// Search by dex number or by (fuzzy) name, including localized names
+const searchNameIndex = (query, entries, { limit, language } = {}) => {
+    if (!query.trim() || !entries) return [];
+
+    const dexNumber = parseDexNumber(query);
+    if (dexNumber !== null) {
+        return entries.filter(entry => entry.id === dexNumber);
+    }
+    return rankMatches(query, entries, {
+        limit,
+        getNames: entry => getSearchNames(entry, language),
+    });
+};
+
+export {
+    loadNameIndex,
+    getLoadedNameIndex,
+    parseDexNumber,
+    rememberLocalizedNames,
+    getSearchNames,
+    searchNameIndex,
+};
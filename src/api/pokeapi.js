@@ -0,0 +1,403 @@
+// pokeapi.js - single entry point for every PokeAPI request in the app.
+// Handles the base URL, in-flight request deduplication, cancellation,
+// retries with backoff, the persistent response cache and mapping
+// failures to typed errors.
+
+import axios from 'axios';
+import { PokeApiError, NotFoundError, NetworkError, RateLimitError } from './errors.js';
+import { peekEntry, readEntry, writeEntry } from './cache.js';
+
+const PUBLIC_BASE_URL = 'https://pokeapi.co/api/v2';
+
+// Point the app at a local mock server with VITE_POKEAPI_BASE_URL in .env.local
+let baseUrl = (import.meta.env.VITE_POKEAPI_BASE_URL || PUBLIC_BASE_URL).replace(/\/+$/, '');
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 500;   // ms, doubled on every attempt
+const MAX_RETRY_DELAY = 8000;   // ms
+
+const http = axios.create({ timeout: 15000 });
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// How long each kind of resource stays fresh (ttl) and, after that, how long
+// a stale copy may still be served while it is refreshed in the background
+// (staleFor). Anything older is refetched, but still used if we are offline.
+const CACHE_POLICIES = [
+    { match: /^\/pokemon\?/, ttl: DAY, staleFor: 7 * DAY },        // list pages
+    { match: /^\/pokemon\//, ttl: 7 * DAY, staleFor: 30 * DAY },   // Pokemon details
+    { match: /^\/(type|generation|pokemon-species|pokemon-form|evolution-chain|move|pokedex|ability|item|item-category|berry)\b/, ttl: 7 * DAY, staleFor: 30 * DAY },
+    { match: /.*/, ttl: DAY, staleFor: 7 * DAY },
+];
+
+// url -> { promise, controller, subscribers }
+const inFlight = new Map();
+
+// Connection status shared with the UI (offline banner)
+let servingOffline = false;
+const connectionListeners = new Set();
+
+const setServingOffline = (value) => {
+    if (servingOffline === value) return;
+    servingOffline = value;
+    connectionListeners.forEach(listener => listener(value));
+};
+
+const isServingOffline = () => servingOffline;
+
+const subscribeToConnection = (listener) => {
+    connectionListeners.add(listener);
+    return () => connectionListeners.delete(listener);
+};
+
+const setBaseUrl = (url) => {
+    baseUrl = (url || PUBLIC_BASE_URL).replace(/\/+$/, '');
+};
+
+const getBaseUrl = () => baseUrl;
+
+// Strip the API host from a resource URL, e.g. the `url` fields in list
+// responses, so the same resource always maps to the same request key
+const toPath = (pathOrUrl) => {
+    const value = String(pathOrUrl);
+    // "/pokemon/25/" and "/pokemon/25" are the same resource
+    const trimSlash = (path) => path.replace(/(.)\/+(\?|$)/, '$1$2');
+    for (const prefix of [baseUrl, PUBLIC_BASE_URL]) {
+        if (value.startsWith(prefix)) {
+            return trimSlash(value.slice(prefix.length) || '/');
+        }
+    }
+    if (/^https?:\/\//.test(value)) {
+        return value; // foreign absolute URL, leave it alone
+    }
+    return trimSlash(value.startsWith('/') ? value : `/${value}`);
+};
+
+const resolveUrl = (pathOrUrl) => {
+    const path = toPath(pathOrUrl);
+    return path.startsWith('/') ? `${baseUrl}${path}` : path;
+};
+
+const createAbortError = () => new DOMException('Request aborted', 'AbortError');
+
+const isAbortError = (error) =>
+    axios.isCancel(error) || error?.name === 'AbortError' || error?.name === 'CanceledError';
+
+const isRetryable = (error) =>
+    error instanceof NetworkError ||
+    error instanceof RateLimitError ||
+    (error instanceof PokeApiError && error.status >= 500);
+
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Map an axios failure onto one of our error classes
+const toApiError = (error, url) => {
+    const response = error.response;
+    if (!response) {
+        return new NetworkError(url, { cause: error });
+    }
+    if (response.status === 404) {
+        return new NotFoundError(url, { cause: error });
+    }
+    if (response.status === 429) {
+        return new RateLimitError(url, {
+            retryAfter: parseRetryAfter(response.headers?.['retry-after']),
+            cause: error,
+        });
+    }
+    return new PokeApiError(`Request failed with status ${response.status}: ${url}`, {
+        status: response.status,
+        url,
+        cause: error,
+    });
+};
+
+const backoffDelay = (attempt, error) => {
+    if (error instanceof RateLimitError && error.retryAfter != null) {
+        return Math.min(error.retryAfter, MAX_RETRY_DELAY);
+    }
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+    return delay / 2 + Math.random() * (delay / 2); // jitter
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+});
+
+const fetchWithRetry = async (url, signal, retries) => {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await http.get(url, { signal });
+            return response.data;
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+
+            const apiError = toApiError(error, url);
+            if (!isRetryable(apiError) || attempt >= retries) {
+                throw apiError;
+            }
+            await wait(backoffDelay(attempt, apiError), signal);
+        }
+    }
+};
+
+// The shared request is only aborted once every caller has given up on it
+const release = (url, entry) => {
+    entry.subscribers -= 1;
+    if (entry.subscribers === 0) {
+        entry.controller.abort();
+        if (inFlight.get(url) === entry) inFlight.delete(url);
+    }
+};
+
+const attach = (url, entry, signal) => {
+    entry.subscribers += 1;
+    if (!signal) return entry.promise;
+
+    if (signal.aborted) {
+        release(url, entry);
+        return Promise.reject(createAbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            release(url, entry);
+            reject(createAbortError());
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.promise.then(
+            (data) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(data);
+            },
+            (error) => {
+                signal.removeEventListener('abort', onAbort);
+                reject(error);
+            }
+        );
+    });
+};
+
+// Network request shared between every caller asking for the same URL
+const fetchShared = (url, { signal, retries = MAX_RETRIES } = {}) => {
+    let entry = inFlight.get(url);
+
+    if (!entry) {
+        const controller = new AbortController();
+        entry = { controller, subscribers: 0, promise: null };
+        const current = entry;
+        const forget = () => {
+            if (inFlight.get(url) === current) inFlight.delete(url);
+        };
+        entry.promise = fetchWithRetry(url, controller.signal, retries);
+        entry.promise.then(forget, forget);
+        inFlight.set(url, entry);
+    }
+
+    return attach(url, entry, signal);
+};
+
+const cachePolicy = (path) => CACHE_POLICIES.find(policy => policy.match.test(path));
+
+const fetchAndStore = async (key, url, options) => {
+    const data = await fetchShared(url, options);
+    writeEntry(key, data);
+    setServingOffline(false);
+    return data;
+};
+
+const isOfflineError = (error) =>
+    error instanceof NetworkError || (typeof navigator !== 'undefined' && navigator.onLine === false);
+
+// GET a PokeAPI resource by path ("/pokemon/25") or full URL.
+// Options:
+//   signal       - AbortSignal to cancel (e.g. on unmount)
+//   retries      - max retry count for transient failures
+//   cache        - set to false to skip the persistent cache
+//   ttl          - override how long the response stays fresh (ms)
+//   onRevalidate - called with fresh data when a stale cached copy was returned
+const request = async (pathOrUrl, { signal, retries, cache = true, ttl, onRevalidate } = {}) => {
+    const url = resolveUrl(pathOrUrl);
+    const key = toPath(pathOrUrl);
+
+    if (!cache) {
+        return fetchShared(url, { signal, retries });
+    }
+
+    const policy = cachePolicy(key);
+    const freshFor = ttl ?? policy.ttl;
+    const cached = await readEntry(key);
+    const age = cached ? Date.now() - cached.storedAt : Infinity;
+
+    if (age < freshFor) {
+        return cached.data;
+    }
+
+    // The browser already knows we are offline - don't wait for retries to fail
+    if (cached && typeof navigator !== 'undefined' && navigator.onLine === false) {
+        setServingOffline(true);
+        return cached.data;
+    }
+
+    // Stale-while-revalidate: answer from cache now, refresh in the background
+    if (age < freshFor + policy.staleFor) {
+        fetchAndStore(key, url, { retries })
+            .then(data => onRevalidate?.(data))
+            .catch(error => {
+                if (isOfflineError(error)) setServingOffline(true);
+            });
+        return cached.data;
+    }
+
+    try {
+        return await fetchAndStore(key, url, { signal, retries });
+    } catch (error) {
+        // Offline: an expired copy beats an error page
+        if (cached && !isAbortError(error) && isOfflineError(error)) {
+            setServingOffline(true);
+            return cached.data;
+        }
+        throw error;
+    }
+};
+
+// Synchronous cache lookup so components can render cached data on first paint
+const peekCached = (pathOrUrl) => peekEntry(toPath(pathOrUrl))?.data;
+
+const slug = (nameOrId) => String(nameOrId).trim().toLowerCase();
+
+const getPokemonPage = ({ offset = 0, limit = 20 } = {}, options) =>
+    request(`/pokemon?limit=${limit}&offset=${offset}`, options);
+
+const pokemonPath = (nameOrId) => `/pokemon/${slug(nameOrId)}`;
+
+const getPokemon = (nameOrId, options) =>
+    request(pokemonPath(nameOrId), options);
+
+const peekPokemon = (nameOrId) => peekCached(pokemonPath(nameOrId));
+
+// Every Pokemon (and alternate form) in the national dex as { name, url }
+const ALL_POKEMON_LIMIT = 100000;
+
+const getAllPokemon = async (options) => {
+    const data = await getPokemonPage({ offset: 0, limit: ALL_POKEMON_LIMIT }, options);
+    return data.results;
+};
+
+const getTypeList = (options) => request('/type?limit=100', options);
+
+const getType = (name, options) => request(`/type/${slug(name)}`, options);
+
+const peekType = (name) => peekCached(`/type/${slug(name)}`);
+
+const getGenerationList = (options) => request('/generation?limit=100', options);
+
+const getGeneration = (nameOrId, options) => request(`/generation/${slug(nameOrId)}`, options);
+
+const getSpecies = (nameOrId, options) => request(`/pokemon-species/${slug(nameOrId)}`, options);
+
+const peekSpecies = (nameOrId) => peekCached(`/pokemon-species/${slug(nameOrId)}`);
+
+const getPokemonForm = (nameOrId, options) => request(`/pokemon-form/${slug(nameOrId)}`, options);
+
+const peekPokemonForm = (nameOrId) => peekCached(`/pokemon-form/${slug(nameOrId)}`);
+
+const getMove = (nameOrId, options) => request(`/move/${slug(nameOrId)}`, options);
+
+const peekMove = (nameOrId) => peekCached(`/move/${slug(nameOrId)}`);
+
+const getAbility = (nameOrId, options) => request(`/ability/${slug(nameOrId)}`, options);
+
+const peekAbility = (nameOrId) => peekCached(`/ability/${slug(nameOrId)}`);
+
+const getPokedexList = (options) => request('/pokedex?limit=100', options);
+
+const getPokedex = (nameOrId, options) => request(`/pokedex/${slug(nameOrId)}`, options);
+
+const peekPokedex = (nameOrId) => peekCached(`/pokedex/${slug(nameOrId)}`);
+
+// Every item as { name, url }; berries are items too ("cheri-berry")
+const getItemList = async (options) => {
+    const data = await request(`/item?limit=${ALL_POKEMON_LIMIT}`, options);
+    return data.results;
+};
+
+const getItem = (nameOrId, options) => request(`/item/${slug(nameOrId)}`, options);
+
+const peekItem = (nameOrId) => peekCached(`/item/${slug(nameOrId)}`);
+
+const getItemCategoryList = (options) => request('/item-category?limit=100', options);
+
+const getItemCategory = (name, options) => request(`/item-category/${slug(name)}`, options);
+
+const getBerryList = (options) => request('/berry?limit=100', options);
+
+const getBerry = (nameOrId, options) => request(`/berry/${slug(nameOrId)}`, options);
+
+const peekBerry = (nameOrId) => peekCached(`/berry/${slug(nameOrId)}`);
+
+// Evolution chains are only ever linked from a species, so take the URL
+const getEvolutionChain = (url, options) => request(url, options);
+
+// Wild encounters come from a Pokemon's location_area_encounters URL
+// ("/pokemon/25/encounters")
+const getEncounters = (url, options) => request(url, options);
+
+const peekEncounters = (url) => peekCached(url);
+
+export {
+    setBaseUrl,
+    getBaseUrl,
+    toPath,
+    request,
+    peekCached,
+    isAbortError,
+    isServingOffline,
+    subscribeToConnection,
+    getPokemonPage,
+    getPokemon,
+    peekPokemon,
+    getAllPokemon,
+    getTypeList,
+    getType,
+    peekType,
+    getGenerationList,
+    getGeneration,
+    getSpecies,
+    peekSpecies,
+    getPokemonForm,
+    peekPokemonForm,
+    getMove,
+    peekMove,
+    getAbility,
+    peekAbility,
+    getPokedexList,
+    getPokedex,
+    peekPokedex,
+    getItemList,
+    getItem,
+    peekItem,
+    getItemCategoryList,
+    getItemCategory,
+    getBerryList,
+    getBerry,
+    peekBerry,
+    getEvolutionChain,
+    getEncounters,
+    peekEncounters,
+};
@@ -0,0 +1,14 @@
+// pokedexStore.js - shared store for /pokedex payloads (regional dex numbers
+// and the species each regional dex contains)
+
+import createResourceStore from './resourceStore.js';
+import { getPokedex, peekPokedex } from './pokeapi.js';
+
+const pokedexStore = createResourceStore({
+    fetch: getPokedex,
+    peek: peekPokedex,
+    maxConcurrent: 4,
+    label: 'pokedex',
+});
+
+export { pokedexStore };
@@ -0,0 +1,162 @@
+// resourceStore.js - shared stores for per-resource payloads (Pokemon details,
+// species...). Components subscribe to the entries they need; requests are
+// queued, batched and throttled so mounting a page of cards doesn't fire a
+// request storm.
+
+const BATCH_DELAY = 50; // ms to collect requests before starting a batch
+
+const IDLE = Object.freeze({ status: 'idle', data: null, error: null });
+
+const createAbortError = () => new DOMException('Request aborted', 'AbortError');
+
+// fetch(key, options) loads one entry, peek(key) returns cached data synchronously.
+// Entries nobody subscribes to or asks for are dropped once they settle; the
+// response cache (api/cache.js) serves them again, so memory stays bounded.
+const createResourceStore = ({ fetch, peek = () => undefined, maxConcurrent = 6, label = 'resource' }) => {
+    const entries = new Map();   // key -> { status, data, error }, only while in use
+    const listeners = new Map(); // key -> Set of callbacks
+    const wanted = new Map();    // key -> number of active subscribers
+    const queue = [];
+
+    let active = 0;
+    let flushTimer = null;
+
+    const getSnapshot = (key) => {
+        if (key === null || key === undefined) return IDLE;
+        let entry = entries.get(key);
+        if (!entry) {
+            const cached = peek(key);
+            if (!cached) return IDLE;
+            entry = { status: 'loaded', data: cached, error: null };
+            entries.set(key, entry);
+        }
+        return entry;
+    };
+
+    const setEntry = (key, entry) => {
+        entries.set(key, entry);
+        listeners.get(key)?.forEach(listener => listener());
+    };
+
+    // Keep entries that are in use or still loading
+    const evictIfUnused = (key) => {
+        if (listeners.has(key) || wanted.has(key)) return;
+        if (entries.get(key)?.status === 'loading') return;
+        entries.delete(key);
+    };
+
+    const subscribe = (key, listener) => {
+        if (!listeners.has(key)) listeners.set(key, new Set());
+        listeners.get(key).add(listener);
+        return () => {
+            const set = listeners.get(key);
+            set?.delete(listener);
+            if (set?.size === 0) {
+                listeners.delete(key);
+                evictIfUnused(key);
+            }
+        };
+    };
+
+    const scheduleFlush = () => {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, BATCH_DELAY);
+    };
+
+    const load = async (key) => {
+        active += 1;
+        setEntry(key, { status: 'loading', data: getSnapshot(key).data, error: null });
+        try {
+            const data = await fetch(key, {
+                onRevalidate: fresh => setEntry(key, { status: 'loaded', data: fresh, error: null }),
+            });
+            setEntry(key, { status: 'loaded', data, error: null });
+        } catch (error) {
+            console.error(`Error fetching ${label}: `, error);
+            // A failed refresh keeps the last good data
+            setEntry(key, { status: 'error', data: entries.get(key)?.data ?? null, error });
+        } finally {
+            active -= 1;
+            evictIfUnused(key);
+            if (queue.length > 0) scheduleFlush();
+        }
+    };
+
+    function flush() {
+        flushTimer = null;
+        while (active < maxConcurrent && queue.length > 0) {
+            const key = queue.shift();
+            // Skip entries that scrolled away before their turn came
+            if (!wanted.has(key)) continue;
+            const { status } = getSnapshot(key);
+            if (status === 'idle' || status === 'error') {
+                load(key);
+            }
+        }
+    }
+
+    // Ask for an entry; returns a release function.
+    // Entries nobody wants anymore are dropped from the queue.
+    const request = (key) => {
+        wanted.set(key, (wanted.get(key) || 0) + 1);
+
+        const { status } = getSnapshot(key);
+        if ((status === 'idle' || status === 'error') && !queue.includes(key)) {
+            queue.push(key);
+            scheduleFlush();
+        }
+
+        return () => {
+            const count = wanted.get(key) - 1;
+            if (count > 0) {
+                wanted.set(key, count);
+            } else {
+                wanted.delete(key);
+                evictIfUnused(key);
+            }
+        };
+    };
+
+    // Try a failed entry again for the subscribers that still want it
+    const retry = (key) => {
+        if (getSnapshot(key).status !== 'error' || queue.includes(key)) return;
+        queue.push(key);
+        scheduleFlush();
+    };
+
+    // Promise flavour for code that needs the data itself (filters, sorting...).
+    // Aborting the signal gives up the place in the queue.
+    const ensure = (key, { signal } = {}) => {
+        const current = getSnapshot(key);
+        if (current.status === 'loaded') {
+            evictIfUnused(key);
+            return Promise.resolve(current.data);
+        }
+        if (signal?.aborted) return Promise.reject(createAbortError());
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                unsubscribe();
+                release();
+                signal?.removeEventListener('abort', onAbort);
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(createAbortError());
+            };
+            const unsubscribe = subscribe(key, () => {
+                const entry = getSnapshot(key);
+                if (entry.status !== 'loaded' && entry.status !== 'error') return;
+                cleanup();
+                if (entry.status === 'loaded') resolve(entry.data);
+                else reject(entry.error);
+            });
+            const release = request(key);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    };
+
+    return { getSnapshot, subscribe, request, retry, ensure };
+};
+
+export default createResourceStore;
@@ -0,0 +1,104 @@
+// showdownImport.js - check parsed Showdown sets (utils/showdown.js) against
+// PokeAPI and turn them into team members. Problems are reported per line.
+
+import { getPokemon, getSpecies } from './pokeapi.js';
+import { NotFoundError } from './errors.js';
+import { loadNameIndex } from './nameIndex.js';
+import { parseShowdownText, toSlug } from '../utils/showdown.js';
+import { formatSlug } from '../utils/localize.js';
+
+const isNotFound = (error) => error instanceof NotFoundError;
+
+// Showdown and PokeAPI don't always agree on names: "Deoxys" is "deoxys-normal",
+// "Darmanitan-Galar" is "darmanitan-galar-standard". Try the exact name, then
+// the species' default variety, then the first Pokemon whose name extends it.
+const findPokemon = async (slug, options) => {
+    try {
+        return await getPokemon(slug, options);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+
+    try {
+        const species = await getSpecies(slug, options);
+        const variety = species.varieties.find(v => v.is_default) || species.varieties[0];
+        if (variety) return await getPokemon(variety.pokemon.name, options);
+    } catch (error) {
+        if (!isNotFound(error)) throw error;
+    }
+
+    const entries = await loadNameIndex();
+    const match = entries.find(entry => entry.name.startsWith(`${slug}-`));
+    return match ? getPokemon(match.name, options) : null;
+};
+
+// Megas and other battle-only forms have no learnset of their own on PokeAPI;
+// they learn whatever their base form learns
+const learnableMoves = async (details, options) => {
+    if (details.moves.length > 0) {
+        return new Set(details.moves.map(move => move.move.name));
+    }
+    const species = await getSpecies(details.species.name, options);
+    const base = species.varieties.find(v => v.is_default);
+    if (!base || base.pokemon.name === details.name) return new Set();
+    const baseDetails = await getPokemon(base.pokemon.name, options);
+    return new Set(baseDetails.moves.map(move => move.move.name));
+};
+
+const resolveSet = async (set, options) => {
+    const errors = [];
+    const error = (line, key, values) => errors.push({ line, key, values });
+
+    const details = await findPokemon(toSlug(set.species), options);
+    if (!details) {
+        error(set.lines.species, 'showdown.error.unknownPokemon', { name: set.species });
+        return { member: null, errors };
+    }
+    const pokemonLabel = formatSlug(details.name);
+
+    const abilities = details.abilities.map(entry => entry.ability.name);
+    if (set.ability && !abilities.includes(set.ability)) {
+        error(set.lines.ability, 'showdown.error.ability', { pokemon: pokemonLabel, ability: formatSlug(set.ability) });
+    }
+
+    const learnable = await learnableMoves(details, options);
+    set.moves.forEach((move, index) => {
+        if (!learnable.has(move)) {
+            error(set.lines.moves[index], 'showdown.error.move', { pokemon: pokemonLabel, move: formatSlug(move) });
+        }
+    });
+
+    const member = {
+        name: details.name,
+        id: details.id,
+        types: details.types.map(typeInfo => typeInfo.type.name),
+        nickname: set.nickname,
+        gender: set.gender,
+        item: set.item,
+        ability: set.ability || abilities[0] || '',
+        level: set.level,
+        shiny: set.shiny,
+        teraType: set.teraType,
+        evs: set.evs,
+        ivs: set.ivs,
+        nature: set.nature,
+        moves: set.moves,
+    };
+    return { member, errors };
+};
+
+// Parse and check pasted text. Resolves to { teamName, members, errors },
+// errors ({ line, key, values }) sorted by line; network failures reject.
+const importShowdownText = async (text, { signal } = {}) => {
+    const { teamName, sets, errors } = parseShowdownText(text);
+    // Sets without a species already have a parse error; there's nothing to look up
+    const results = await Promise.all(sets.filter(set => set.species).map(set => resolveSet(set, { signal })));
+
+    return {
+        teamName,
+        members: results.map(result => result.member).filter(Boolean),
+        errors: [...errors, ...results.flatMap(result => result.errors)].sort((a, b) => a.line - b.line),
+    };
+};
+
+export { importShowdownText };
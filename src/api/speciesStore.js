@@ -0,0 +1,34 @@
+// speciesStore.js - shared store for /pokemon-species payloads (localized
+// names, flavor text...). Every loaded species also feeds the search index
+// with its localized names.
+
+import createResourceStore from './resourceStore.js';
+import { getSpecies, peekSpecies } from './pokeapi.js';
+import { rememberLocalizedNames } from './nameIndex.js';
+
+const fetchSpecies = async (id, options) => {
+    const species = await getSpecies(id, {
+        ...options,
+        onRevalidate: (fresh) => {
+            rememberLocalizedNames(fresh);
+            options?.onRevalidate?.(fresh);
+        },
+    });
+    rememberLocalizedNames(species);
+    return species;
+};
+
+const peekAndRemember = (id) => {
+    const species = peekSpecies(id);
+    if (species) rememberLocalizedNames(species);
+    return species;
+};
+
+const speciesStore = createResourceStore({
+    fetch: fetchSpecies,
+    peek: peekAndRemember,
+    maxConcurrent: 4,
+    label: 'species',
+});
+
+export { speciesStore };
@@ -0,0 +1,13 @@
+// typeStore.js - shared store for /type payloads (damage relations and members)
+
+import createResourceStore from './resourceStore.js';
+import { getType, peekType } from './pokeapi.js';
+
+const typeStore = createResourceStore({
+    fetch: getType,
+    peek: peekType,
+    maxConcurrent: 4,
+    label: 'type',
+});
+
+export { typeStore };
@@ -0,0 +1,16 @@
+// AbilityName.jsx - an ability's name in the selected language; the
+// prettified slug shows until the ability has loaded
+
+import useResource from '../hooks/useResource.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { abilityStore } from '../api/abilityStore.js';
+import { formatSlug, getLocalizedName } from '../utils/localize.js';
+
+const AbilityName = ({ name }) => {
+    const { data } = useResource(abilityStore, name);
+    const { language } = useTranslation();
+
+    return <>{getLocalizedName(data?.names, language) || formatSlug(name)}</>;
+};
+
+export default AbilityName;
@@ -0,0 +1,25 @@
+// CardError.jsx - stands in for a card whose details failed to load or render.
+// No live role: when a batch fails, one alert per card would flood screen readers.
+
+import './CardError.css';
+import useTranslation from '../hooks/useTranslation.js';
+import { formatSlug } from '../utils/localize.js';
+
+const CardError = ({ name, onRetry, children }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="pokemon-card card-error">
+            <span className="card-error-icon" aria-hidden="true">⚠️</span>
+            <p>{t('error.cardFailed', { name: formatSlug(name || '') })}</p>
+            {onRetry && (
+                <button type="button" className="card-action" onClick={onRetry}>
+                    {t('error.retryShort')}
+                </button>
+            )}
+            {children}
+        </div>
+    );
+};
+
+export default CardError;
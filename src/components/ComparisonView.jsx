@@ -0,0 +1,191 @@
+// ComparisonView.jsx - two to four Pokemon side by side: stats, totals,
+// size, abilities and a radar chart of the six base stats
+
+import { useEffect, useRef, useState } from 'react';
+import './ComparisonView.css';
+import StatBar from './StatBar';
+import RadarChart from './RadarChart';
+import ExportImageButtons from './ExportImageButtons';
+import AbilityName from './AbilityName';
+import { ensureDetails, getDetailsSnapshot } from '../api/detailStore.js';
+import { isAbortError } from '../api/pokeapi.js';
+import { STATS, getBaseStat, getBaseStatTotal } from '../utils/pokemonFilters.js';
+import formatId from '../utils/formatters.js';
+import { artworkUrl } from '../utils/sprites.js';
+import useDisplayNames from '../hooks/useDisplayNames.js';
+import useTranslation from '../hooks/useTranslation.js';
+import useFocusTrap from '../hooks/useFocusTrap.js';
+
+const SERIES_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b'];
+
+// Values that beat every other column get highlighted (no highlight on a full tie)
+const bestValue = (values) => {
+    const best = Math.max(...values);
+    return values.every(value => value === best) ? null : best;
+};
+
+const ComparisonView = ({ names, onClose, onRemove, onSelect }) => {
+    const { t } = useTranslation();
+    const displayNames = useDisplayNames(names);
+    const namesKey = names.join(',');
+    const enoughNames = names.length >= 2;
+    // Loaded details are kept with the names they were fetched for, so a new
+    // selection of the same size never shows the previous columns
+    const [loaded, setLoaded] = useState(() => {
+        const cached = names.map(name => getDetailsSnapshot(name).data);
+        return cached.every(Boolean) ? { key: namesKey, pokemonList: cached } : null;
+    });
+    const [error, setError] = useState(null);
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+
+    useEffect(() => {
+        setError(null);
+        if (!enoughNames) return undefined;
+        const controller = new AbortController();
+
+        Promise.all(namesKey.split(',').map(name => ensureDetails(name, { signal: controller.signal })))
+            .then(pokemonList => setLoaded({ key: namesKey, pokemonList }))
+            .catch(err => {
+                if (isAbortError(err)) return;
+                console.error('Error loading Pokemon to compare:', err);
+                setError('compare.loadFailed');
+            });
+
+        return () => controller.abort();
+    }, [namesKey, enoughNames]);
+
+    // Close on Escape, like the details modal
+    useEffect(() => {
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleEscape);
+        return () => document.removeEventListener('keydown', handleEscape);
+    }, [onClose]);
+
+    const handleBackdropClick = (e) => {
+        if (e.target === e.currentTarget) onClose();
+    };
+
+    // Only show data matching the current selection (not the previous one while loading)
+    const ready = enoughNames && loaded?.key === namesKey;
+    const columns = ready ? loaded.pokemonList.map((details, index) => ({ name: names[index], details })) : [];
+
+    const renderRow = (label, values, renderCell = value => value) => {
+        const best = bestValue(values);
+        return (
+            <tr key={label}>
+                <th scope="row">{label}</th>
+                {values.map((value, index) => (
+                    <td key={index} className={value === best ? 'best' : ''}>{renderCell(value)}</td>
+                ))}
+            </tr>
+        );
+    };
+
+    return (
+        <div className="modal-backdrop" onClick={handleBackdropClick}>
+            <div
+                ref={dialogRef}
+                className="modal-content comparison-content"
+                role="dialog"
+                aria-modal="true"
+                aria-label={t('compare.title')}
+                tabIndex={-1}
+            >
+                <button className="modal-close" onClick={onClose} aria-label={t('modal.close')}>
+                    ✕
+                </button>
+                <h2 className="comparison-title">{t('compare.title')}</h2>
+
+                {!enoughNames && <p className="comparison-status">{t('compare.pickMore')}</p>}
+                {enoughNames && error && <p className="comparison-status error" role="alert">{t(error)}</p>}
+                {enoughNames && !ready && !error && (
+                    <p className="comparison-status" role="status">{t('compare.loading')}</p>
+                )}
+
+                {ready && (
+                    <>
+                        <div className="comparison-actions">
+                            <ExportImageButtons
+                                names={names}
+                                title={t('compare.title')}
+                                fileName={`comparison-${names.join('-')}`}
+                            />
+                        </div>
+                        <div className="comparison-table-wrapper">
+                            <table className="comparison-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col">{t('compare.stat')}</th>
+                                        {columns.map(({ name, details }, index) => (
+                                            <th key={name} scope="col" style={{ borderColor: SERIES_COLORS[index] }}>
+                                                <button type="button" className="comparison-pokemon" onClick={() => onSelect?.(name)}>
+                                                    <img src={artworkUrl(details.id)} alt="" />
+                                                    <span className="comparison-name">
+                                                        {displayNames.get(name)}
+                                                    </span>
+                                                    <span className="comparison-id">{formatId(details.id)}</span>
+                                                </button>
+                                                <button
+                                                    type="button"
+                                                    className="comparison-remove"
+                                                    onClick={() => onRemove(name)}
+                                                    aria-label={t('compare.remove', { name: displayNames.get(name) })}
+                                                >
+                                                    ✕
+                                                </button>
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {STATS.map(stat => renderRow(
+                                        t(`stat.${stat.name}`),
+                                        columns.map(({ details }) => getBaseStat(details, stat.name)),
+                                        value => (
+                                            <>
+                                                <span className="comparison-value">{value}</span>
+                                                <StatBar value={value} />
+                                            </>
+                                        )
+                                    ))}
+                                    {renderRow(t('compare.total'), columns.map(({ details }) => getBaseStatTotal(details)))}
+                                    {renderRow(t('modal.height'), columns.map(({ details }) => details.height), value => `${(value / 10).toFixed(1)} m`)}
+                                    {renderRow(t('modal.weight'), columns.map(({ details }) => details.weight), value => `${(value / 10).toFixed(1)} kg`)}
+                                    <tr>
+                                        <th scope="row">{t('modal.abilities')}</th>
+                                        {columns.map(({ name, details }) => (
+                                            <td key={name} className="comparison-abilities">
+                                                {details.abilities.map(ability => (
+                                                    <span key={ability.ability.name}>
+                                                        <AbilityName name={ability.ability.name} />
+                                                        {ability.is_hidden && <small> {t('modal.hidden')}</small>}
+                                                    </span>
+                                                ))}
+                                            </td>
+                                        ))}
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+
+                        <h3 className="comparison-subtitle">{t('compare.radar')}</h3>
+                        <RadarChart
+                            title={t('compare.radar')}
+                            axes={STATS.map(stat => t(`stat.${stat.name}`))}
+                            series={columns.map(({ name, details }, index) => ({
+                                label: displayNames.get(name),
+                                color: SERIES_COLORS[index],
+                                values: STATS.map(stat => getBaseStat(details, stat.name)),
+                            }))}
+                        />
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ComparisonView;
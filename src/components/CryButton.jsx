@@ -0,0 +1,38 @@
+// CryButton.jsx - play a Pokemon's cry (latest, and the legacy one when there is one)
+
+import { useEffect, useRef } from 'react';
+import useTranslation from '../hooks/useTranslation.js';
+
+const CryButton = ({ cries }) => {
+    const { t } = useTranslation();
+    const audio = useRef(null);
+
+    // Stop playing when the modal closes or switches Pokemon
+    useEffect(() => () => audio.current?.pause(), [cries]);
+
+    const play = (url) => {
+        audio.current?.pause();
+        audio.current = new Audio(url);
+        audio.current.volume = 0.5;
+        audio.current.play().catch(error => console.warn('Could not play cry:', error));
+    };
+
+    if (!cries?.latest && !cries?.legacy) return null;
+
+    return (
+        <>
+            {cries.latest && (
+                <button type="button" className="modal-action" onClick={() => play(cries.latest)}>
+                    🔊 {t('sprites.cry')}
+                </button>
+            )}
+            {cries.legacy && (
+                <button type="button" className="modal-action" onClick={() => play(cries.legacy)}>
+                    📻 {t('sprites.cryLegacy')}
+                </button>
+            )}
+        </>
+    );
+};
+
+export default CryButton;
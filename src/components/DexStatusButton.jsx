@@ -0,0 +1,35 @@
+// DexStatusButton.jsx - marks a Pokemon as seen or caught in the personal Pokedex.
+// Each click moves on: not marked -> seen -> caught -> not marked.
+
+import './DexStatusButton.css';
+import useDex from '../hooks/useDex.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { cycleDexStatus } from '../store/dexStore.js';
+
+const ICONS = { seen: '👁', caught: '●' };
+
+const DexStatusButton = ({ name, className = 'card-action', ...buttonProps }) => {
+    const { entries } = useDex();
+    const { t } = useTranslation();
+    const status = entries[name];
+
+    const handleClick = (e) => {
+        e.stopPropagation(); // inside a card, don't open the modal as well
+        cycleDexStatus(name);
+    };
+
+    return (
+        <button
+            type="button"
+            className={`${className} dex-status ${status ? `dex-${status}` : ''}`}
+            onClick={handleClick}
+            title={t('dex.cycleHint')}
+            {...buttonProps}
+        >
+            <span aria-hidden="true">{ICONS[status] || '○'} </span>
+            {t(status ? `dex.status.${status}` : 'dex.status.none')}
+        </button>
+    );
+};
+
+export default DexStatusButton;
@@ -0,0 +1,86 @@
+// EncounterList.jsx - "Where to find": wild encounters per game version and
+// location with method, level range, chance and conditions
+
+import { useState } from 'react';
+import './EncounterList.css';
+import { encounterStore } from '../api/encounterStore.js';
+import useResource from '../hooks/useResource.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { getEncounterVersions, groupEncounters, formatLevelRange } from '../utils/encounters.js';
+import { formatSlug } from '../utils/localize.js';
+
+const COLUMNS = ['location', 'method', 'level', 'chance', 'conditions'];
+
+// url: the Pokemon's location_area_encounters
+const EncounterList = ({ url }) => {
+    const { t } = useTranslation();
+    const encounters = useResource(encounterStore, url || null);
+    const [version, setVersion] = useState('');
+
+    if (!encounters.data) {
+        return encounters.status === 'error' ? (
+            <p className="encounters-status" role="alert">
+                {t('encounters.failed')}{' '}
+                <button type="button" className="encounters-retry" onClick={() => encounterStore.retry(url)}>
+                    {t('error.retryShort')}
+                </button>
+            </p>
+        ) : (
+            <p className="encounters-status">{t('modal.loading')}</p>
+        );
+    }
+
+    const versions = getEncounterVersions(encounters.data);
+    if (versions.length === 0) {
+        return <p className="encounters-status">{t('encounters.none')}</p>;
+    }
+
+    const groups = groupEncounters(encounters.data, version);
+
+    return (
+        <div className="encounters">
+            <label className="encounters-filter">
+                {t('encounters.version')}
+                <select value={version} onChange={(e) => setVersion(e.target.value)}>
+                    <option value="">{t('encounters.allVersions')}</option>
+                    {versions.map(name => (
+                        <option key={name} value={name}>{formatSlug(name)}</option>
+                    ))}
+                </select>
+            </label>
+
+            {groups.map(group => (
+                <section key={group.version} className="encounters-version">
+                    <h4>{formatSlug(group.version)}</h4>
+                    <div className="moves-table-wrapper">
+                        <table className="encounters-table">
+                            <thead>
+                                <tr>
+                                    {COLUMNS.map(column => (
+                                        <th key={column} scope="col">{t(`encounters.col.${column}`)}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {group.locations.map(({ area, entries }) => entries.map((entry, index) => (
+                                    <tr key={`${area}-${entry.method}-${entry.conditions.join(',')}`}>
+                                        {/* One location cell spans all of its methods */}
+                                        {index === 0 && (
+                                            <th scope="row" rowSpan={entries.length}>{formatSlug(area)}</th>
+                                        )}
+                                        <td>{formatSlug(entry.method)}</td>
+                                        <td className="encounters-number">{formatLevelRange(entry)}</td>
+                                        <td className="encounters-number">{entry.chance}%</td>
+                                        <td>{entry.conditions.length > 0 ? entry.conditions.map(formatSlug).join(', ') : '—'}</td>
+                                    </tr>
+                                )))}
+                            </tbody>
+                        </table>
+                    </div>
+                </section>
+            ))}
+        </div>
+    );
+};
+
+export default EncounterList;
@@ -1,46 +1,82 @@
 import { Component } from 'react';
 import './ErrorBoundary.css';
+import ErrorDetails from './ErrorDetails';
+import { translate } from '../store/languageStore.js';
+import { reportError } from '../utils/errorReporting.js';
+
+// Catches render errors below it and shows a fallback that can recover in place.
+// Props:
+//   name      - which boundary caught the error, for reports ('app', 'list', 'card'...)
+//   fallback  - ({ error, errorInfo, reset }) => element; defaults to the full error message
+//   onReset   - called after reset, e.g. to refetch what failed
+//   resetKeys - array; the boundary resets by itself when any of them changes
+const initialState = { hasError: false, error: null, errorInfo: null };
+
+const changed = (previous = [], next = []) =>
+  previous.length !== next.length || previous.some((value, index) => !Object.is(value, next[index]));
 
 class ErrorBoundary extends Component {
   constructor(props) {
     super(props);
-    this.state = { 
-      hasError: false, 
-      error: null,
-      errorInfo: null 
-    };
+    this.state = initialState;
+    this.reset = this.reset.bind(this);
   }
 
   static getDerivedStateFromError(error) {
-    return { hasError: true };
+    return { hasError: true, error };
   }
 
   componentDidCatch(error, errorInfo) {
-    this.setState({
-      error: error,
-      errorInfo: errorInfo
+    this.setState({ errorInfo });
+    reportError(error, {
+      boundary: this.props.name || 'app',
+      componentStack: errorInfo?.componentStack,
     });
   }
 
+  componentDidUpdate(prevProps) {
+    if (this.state.hasError && changed(prevProps.resetKeys, this.props.resetKeys)) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.setState(initialState);
+    this.props.onReset?.();
+  }
+
   render() {
-    if (this.state.hasError) {
+    const { hasError, error, errorInfo } = this.state;
+
+    if (hasError) {
+      if (this.props.fallback) {
+        return this.props.fallback({ error, errorInfo, reset: this.reset });
+      }
+
       return (
-        <div className="error-boundary">
-          <h2>🚨 Oops! Something went wrong</h2>
+        <div className="error-boundary" role="alert">
+          <h2>{translate('error.title')}</h2>
           <div className="error-details">
-            <p>We encountered an error while loading the Pokemon data.</p>
-            <p>This might be due to:</p>
+            <p>{translate('error.intro')}</p>
+            <p>{translate('error.causes')}</p>
             <ul>
-              <li>Network connection issues</li>
-              <li>API server problems</li>
-              <li>Temporary service interruption</li>
+              <li>{translate('error.network')}</li>
+              <li>{translate('error.server')}</li>
+              <li>{translate('error.interruption')}</li>
             </ul>
             <button 
-              onClick={() => window.location.reload()}
+              onClick={this.reset}
               className="retry-button"
             >
-              🔄 Try Again
+              {translate('error.retry')}
+            </button>
+            <button
+              onClick={() => window.location.reload()}
+              className="retry-button secondary"
+            >
+              {translate('error.reload')}
             </button>
+            <ErrorDetails error={error} errorInfo={errorInfo} />
           </div>
         </div>
       );
@@ -50,4 +86,4 @@ class ErrorBoundary extends Component {
   }
 }
 
-export default ErrorBoundary;
\ No newline at end of file
+export default ErrorBoundary;
@@ -0,0 +1,18 @@
+// ErrorDetails.jsx - stack and component trace for error fallbacks, developer mode only
+
+import { isDevMode } from '../utils/errorReporting.js';
+import { translate } from '../store/languageStore.js';
+
+const ErrorDetails = ({ error, errorInfo }) => {
+  if (!isDevMode() || !error) return null;
+
+  return (
+    <details className="error-dev-details">
+      <summary>{translate('error.devDetails')}</summary>
+      <pre>{error.stack || String(error)}</pre>
+      {errorInfo?.componentStack && <pre>{errorInfo.componentStack.trim()}</pre>}
+    </details>
+  );
+};
+
+export default ErrorDetails;
@@ -0,0 +1,104 @@
+// EvolutionChain.jsx - full evolution tree (branches included) for the modal
+
+import { useEffect, useState } from 'react';
+import './EvolutionChain.css';
+import { getEvolutionChain, getSpecies, isAbortError } from '../api/pokeapi.js';
+import { speciesStore } from '../api/speciesStore.js';
+import { buildEvolutionTree } from '../utils/evolution.js';
+import { getDisplayName } from '../utils/localize.js';
+import { spriteUrl } from '../utils/sprites.js';
+import formatId from '../utils/formatters.js';
+import useResources from '../hooks/useResources.js';
+import useTranslation from '../hooks/useTranslation.js';
+
+// Every stage of the tree, branches included
+const flattenStages = (node) => [node, ...node.children.flatMap(flattenStages)];
+
+// speciesId: species of the Pokemon shown in the modal
+const EvolutionChain = ({ speciesId, onSelect }) => {
+    const { language, t } = useTranslation();
+    const [tree, setTree] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    // Species of every stage, for their localized names
+    const stageSpecies = useResources(speciesStore, tree ? flattenStages(tree).map(node => String(node.id)) : []);
+
+    useEffect(() => {
+        if (!speciesId) return;
+        const controller = new AbortController();
+
+        const fetchChain = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+                const species = await getSpecies(speciesId, { signal: controller.signal });
+                const chain = await getEvolutionChain(species.evolution_chain.url, { signal: controller.signal });
+                setTree(buildEvolutionTree(chain.chain));
+            } catch (err) {
+                if (isAbortError(err)) return;
+                console.error('Error fetching evolution chain:', err);
+                setError('evolution.failed');
+            } finally {
+                if (!controller.signal.aborted) setLoading(false);
+            }
+        };
+
+        fetchChain();
+        return () => controller.abort();
+    }, [speciesId]);
+
+    if (loading) {
+        return <p className="evolution-status">{t('evolution.loading')}</p>;
+    }
+
+    if (error || !tree) {
+        return <p className="evolution-status error">{error && t(error)}</p>;
+    }
+
+    if (tree.children.length === 0) {
+        return <p className="evolution-status">{t('evolution.none')}</p>;
+    }
+
+    // Condition parts are catalog keys; type values are translated as well
+    const conditionText = (parts) => parts
+        .map(({ key, values }) => t(key, values?.type ? { ...values, type: t(`type.${values.type}`) } : values))
+        .join(' ');
+
+    const renderStage = (node) => (
+        <div className="evolution-node" key={node.id}>
+            <button
+                type="button"
+                className={`evolution-stage ${node.id === speciesId ? 'current' : ''}`}
+                onClick={() => onSelect(node)}
+                disabled={node.id === speciesId}
+                aria-current={node.id === speciesId ? 'true' : undefined}
+            >
+                <img src={spriteUrl(node.id)} alt="" className="evolution-sprite" />
+                <span className="evolution-name">
+                    {getDisplayName(node.name, stageSpecies.get(String(node.id))?.data, language)}
+                </span>
+                <span className="evolution-id">{formatId(node.id)}</span>
+            </button>
+
+            {node.children.length > 0 && (
+                <div className="evolution-branches">
+                    {node.children.map(child => (
+                        <div className="evolution-branch" key={child.id}>
+                            <div className="evolution-arrow">
+                                <span aria-hidden="true">→</span>
+                                {child.conditions.map((condition, index) => (
+                                    <small key={index}>{conditionText(condition)}</small>
+                                ))}
+                            </div>
+                            {renderStage(child)}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+
+    return <div className="evolution-chain">{renderStage(tree)}</div>;
+};
+
+export default EvolutionChain;
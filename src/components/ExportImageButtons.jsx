@@ -0,0 +1,70 @@
+// ExportImageButtons.jsx - "Export image" / "Copy image" for one Pokemon
+// (details modal) or several on one image (team, comparison)
+
+import { useState } from 'react';
+import './ExportImageButtons.css';
+import { ensureDetails } from '../api/detailStore.js';
+import { speciesStore } from '../api/speciesStore.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { createCardImage, downloadImage, canCopyImages, copyImage, toCardData } from '../utils/cardImage.js';
+import { getDisplayName } from '../utils/localize.js';
+import { idFromUrl } from '../utils/pokemonFilters.js';
+
+// names: the Pokemon to draw, title: heading of a multi-card image,
+// fileName: download name (made file system safe, .png is added)
+const ExportImageButtons = ({ names, title = '', fileName, className = 'modal-action' }) => {
+    const { language, t } = useTranslation();
+    // null, or { key: translation key, error }
+    const [status, setStatus] = useState(null);
+    const busy = status?.key === 'export.working';
+
+    const createImage = async () => {
+        const detailsList = await Promise.all(names.map(name => ensureDetails(name)));
+        // Localized names are nice to have; fall back to the API name without them
+        const speciesList = await Promise.all(detailsList.map(details =>
+            speciesStore.ensure(idFromUrl(details.species?.url)).catch(() => null)
+        ));
+        const cards = detailsList.map((details, index) => toCardData(details, {
+            name: getDisplayName(details.name, speciesList[index], language),
+            statLabel: (stat) => t(`stat.${stat}`),
+            typeLabel: (type) => t(`type.${type}`),
+        }));
+        return createCardImage(cards, { title });
+    };
+
+    const run = async (action, doneKey) => {
+        setStatus({ key: 'export.working' });
+        try {
+            await action();
+            setStatus({ key: doneKey });
+        } catch (error) {
+            console.error('Error exporting image:', error);
+            setStatus({ key: 'export.failed', error: true });
+        }
+    };
+
+    const handleDownload = () => run(async () => {
+        downloadImage(await createImage(), fileName);
+    }, 'export.downloaded');
+
+    // The clipboard write has to start inside the click, so it gets the pending image
+    const handleCopy = () => run(() => copyImage(createImage()), 'export.copied');
+
+    return (
+        <>
+            <button type="button" className={className} onClick={handleDownload} disabled={busy || names.length === 0}>
+                {t('export.image')}
+            </button>
+            {canCopyImages() && (
+                <button type="button" className={className} onClick={handleCopy} disabled={busy || names.length === 0}>
+                    {t('export.copy')}
+                </button>
+            )}
+            <span className={`export-status ${status?.error ? 'error' : ''}`} role="status">
+                {status ? t(status.key) : ''}
+            </span>
+        </>
+    );
+};
+
+export default ExportImageButtons;
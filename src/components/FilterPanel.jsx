@@ -0,0 +1,223 @@
+// FilterPanel.jsx - type chips, generation and regional Pokedex selectors,
+// base stat ranges and sorting
+
+import { useEffect, useState } from 'react';
+import './FilterPanel.css';
+import { getGenerationList, getPokedexList, isAbortError } from '../api/pokeapi.js';
+import { formatSlug } from '../utils/localize.js';
+import { NATIONAL_DEX } from '../utils/regionalDex.js';
+import useTranslation from '../hooks/useTranslation.js';
+import {
+    POKEMON_TYPES,
+    STATS,
+    GENERATION_REGIONS,
+    SORT_OPTIONS,
+    EMPTY_FILTERS,
+    DEX_FILTERS,
+    DEFAULT_SORT,
+    isFilteringActive,
+} from '../utils/pokemonFilters.js';
+
+const FilterPanel = ({ filters, sort, onFiltersChange, onSortChange }) => {
+    const { t } = useTranslation();
+    const [generations, setGenerations] = useState(Object.keys(GENERATION_REGIONS));
+    const [pokedexes, setPokedexes] = useState([]);
+    const [isOpen, setIsOpen] = useState(false);
+
+    // The generation list comes from PokeAPI so new generations show up on their own
+    useEffect(() => {
+        const controller = new AbortController();
+        getGenerationList({ signal: controller.signal })
+            .then(data => setGenerations(data.results.map(generation => generation.name)))
+            .catch(error => {
+                if (!isAbortError(error)) console.error("Error loading generations:", error);
+            });
+        getPokedexList({ signal: controller.signal })
+            .then(data => setPokedexes(data.results.map(pokedex => pokedex.name).filter(name => name !== NATIONAL_DEX)))
+            .catch(error => {
+                if (!isAbortError(error)) console.error("Error loading Pokedex list:", error);
+            });
+        return () => controller.abort();
+    }, []);
+
+    const toggleType = (type) => {
+        const types = filters.types.includes(type)
+            ? filters.types.filter(selected => selected !== type)
+            : [...filters.types, type];
+        onFiltersChange({ ...filters, types });
+    };
+
+    const updateStatRange = (statName, bound, value) => {
+        const range = { ...filters.stats[statName], [bound]: value };
+        onFiltersChange({ ...filters, stats: { ...filters.stats, [statName]: range } });
+    };
+
+    const handleReset = () => {
+        onFiltersChange(EMPTY_FILTERS);
+        onSortChange(DEFAULT_SORT);
+    };
+
+    const generationLabel = (name) => {
+        const numeral = name.replace('generation-', '').toUpperCase();
+        const region = GENERATION_REGIONS[name];
+        return region ? t('generation.label', { numeral, region }) : t('generation.labelShort', { numeral });
+    };
+
+    // Stat sorts share the stat names' keys
+    const sortLabel = (key) => (STATS.some(stat => stat.name === key) ? t(`stat.${key}`) : t(`sort.${key}`));
+
+    const active = isFilteringActive(filters, sort);
+
+    return (
+        <div className="filter-panel">
+            <div className="filter-toolbar">
+                <button
+                    type="button"
+                    className={`filter-toggle ${isOpen ? 'open' : ''}`}
+                    onClick={() => setIsOpen(open => !open)}
+                    aria-expanded={isOpen}
+                >
+                    {t('filters.toggle')}{active ? ' •' : ''}
+                </button>
+
+                <label className="filter-sort">
+                    {t('filters.sortBy')}
+                    <select
+                        value={sort.key}
+                        onChange={(e) => onSortChange({ ...sort, key: e.target.value })}
+                    >
+                        {SORT_OPTIONS.map(option => (
+                            <option key={option.key} value={option.key}>{sortLabel(option.key)}</option>
+                        ))}
+                    </select>
+                </label>
+
+                <button
+                    type="button"
+                    className="sort-direction"
+                    onClick={() => onSortChange({ ...sort, direction: sort.direction === 'asc' ? 'desc' : 'asc' })}
+                    aria-label={sort.direction === 'asc' ? t('filters.sortAscending') : t('filters.sortDescending')}
+                    title={sort.direction === 'asc' ? t('filters.ascending') : t('filters.descending')}
+                >
+                    {sort.direction === 'asc' ? '↑' : '↓'}
+                </button>
+
+                {active && (
+                    <button type="button" className="filter-reset" onClick={handleReset}>
+                        {t('filters.reset')}
+                    </button>
+                )}
+            </div>
+
+            {isOpen && (
+                <div className="filter-body">
+                    <div className="filter-section">
+                        <div className="filter-section-header">
+                            <h2>{t('filters.types')}</h2>
+                            <label className="type-match">
+                                <input
+                                    type="checkbox"
+                                    checked={filters.typeMatch === 'all'}
+                                    onChange={(e) => onFiltersChange({ ...filters, typeMatch: e.target.checked ? 'all' : 'any' })}
+                                />
+                                {t('filters.matchAll')}
+                            </label>
+                        </div>
+                        <div className="type-chips">
+                            {POKEMON_TYPES.map(type => (
+                                <button
+                                    key={type}
+                                    type="button"
+                                    className={`type-chip type-${type} ${filters.types.includes(type) ? 'selected' : ''}`}
+                                    onClick={() => toggleType(type)}
+                                    aria-pressed={filters.types.includes(type)}
+                                >
+                                    {type}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="filter-section">
+                        <h2>{t('filters.generation')}</h2>
+                        <select
+                            className="generation-select"
+                            value={filters.generation}
+                            onChange={(e) => onFiltersChange({ ...filters, generation: e.target.value })}
+                        >
+                            <option value="">{t('filters.allGenerations')}</option>
+                            {generations.map(name => (
+                                <option key={name} value={name}>{generationLabel(name)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="filter-section">
+                        <h2>{t('filters.regionalDex')}</h2>
+                        <select
+                            className="generation-select"
+                            value={filters.pokedex}
+                            onChange={(e) => onFiltersChange({ ...filters, pokedex: e.target.value })}
+                            aria-label={t('filters.regionalDex')}
+                        >
+                            <option value="">{t('filters.nationalDex')}</option>
+                            {/* Keep a dex from the URL selectable before the list has loaded */}
+                            {[...new Set([...pokedexes, filters.pokedex].filter(Boolean))].map(name => (
+                                <option key={name} value={name}>{formatSlug(name)}</option>
+                            ))}
+                        </select>
+                    </div>
+
+                    <div className="filter-section">
+                        <h2>{t('filters.myDex')}</h2>
+                        <div className="dex-filter" role="group" aria-label={t('filters.dexProgress')}>
+                            {[{ key: '' }, ...DEX_FILTERS].map(option => (
+                                <button
+                                    key={option.key}
+                                    type="button"
+                                    className={`dex-filter-option ${filters.dex === option.key ? 'selected' : ''}`}
+                                    onClick={() => onFiltersChange({ ...filters, dex: option.key })}
+                                    aria-pressed={filters.dex === option.key}
+                                >
+                                    {t(`filters.dex.${option.key || 'all'}`)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="filter-section">
+                        <h2>{t('filters.baseStats')}</h2>
+                        <div className="stat-ranges">
+                            {STATS.map(stat => (
+                                <div key={stat.name} className="stat-range">
+                                    <span className="stat-range-label">{t(`stat.${stat.name}`)}</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="255"
+                                        placeholder={t('filters.min')}
+                                        value={filters.stats[stat.name]?.min ?? ''}
+                                        onChange={(e) => updateStatRange(stat.name, 'min', e.target.value)}
+                                        aria-label={t('filters.minStat', { stat: t(`stat.${stat.name}`) })}
+                                    />
+                                    <span>–</span>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="255"
+                                        placeholder={t('filters.max')}
+                                        value={filters.stats[stat.name]?.max ?? ''}
+                                        onChange={(e) => updateStatRange(stat.name, 'max', e.target.value)}
+                                        aria-label={t('filters.maxStat', { stat: t(`stat.${stat.name}`) })}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FilterPanel;
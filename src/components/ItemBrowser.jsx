@@ -0,0 +1,151 @@
+// ItemBrowser.jsx - items and berries: category filter, name search and the
+// same card grid as the Pokemon list. /items/:name opens an item's details.
+
+import { useCallback, useMemo } from 'react';
+import './PokemonList.css';
+import './ItemBrowser.css';
+import useLocation from '../hooks/useLocation.js';
+import useTranslation from '../hooks/useTranslation.js';
+import useItemBrowser from '../hooks/useItemBrowser.js';
+import { navigate, goBack, getLocation, matchRoute } from '../utils/router.js';
+import { ITEM_KINDS, parseItemQuery, buildItemQuery, itemPath } from '../utils/items.js';
+import { rankMatches } from '../utils/fuzzy.js';
+import { itemSpriteUrl } from '../utils/sprites.js';
+import { formatSlug } from '../utils/localize.js';
+import SearchBar from './SearchBar';
+import VirtualGrid from './VirtualGrid';
+import Loader from './Loader';
+import ItemCard from './ItemCard';
+import ItemModal from './ItemModal';
+import ErrorBoundary from './ErrorBoundary';
+import ModalError from './ModalError';
+import CardError from './CardError';
+
+const ItemBrowser = () => {
+    const location = useLocation();
+    const { t } = useTranslation();
+    const { searchTerm, category, kind } = useMemo(() => parseItemQuery(location.search), [location.search]);
+    const selectedName = matchRoute('/items/:name', location.pathname)?.name;
+    const { items, pool, categories, loading, error, retry } = useItemBrowser({ searchTerm, category, kind });
+
+    // Same as the Pokemon list: the query lives in the URL, typing replaces the entry
+    const updateQuery = (changes) => {
+        const current = getLocation();
+        const query = buildItemQuery({ ...parseItemQuery(current.search), ...changes });
+        navigate(`${current.pathname}${query}`, { replace: true, state: current.state });
+    };
+
+    // The page's history state (where "Browse" goes back to) travels along
+    const openItem = (item) => {
+        const current = getLocation();
+        navigate(`${itemPath(item.name)}${current.search}`, { state: { ...current.state, fromItems: true } });
+    };
+
+    const closeItem = () => {
+        const current = getLocation();
+        if (current.state?.fromItems) {
+            goBack();
+        } else {
+            navigate(`/items${current.search}`, { replace: true, state: current.state });
+        }
+    };
+
+    // Stable so the search bar only ranks again when the pool changes
+    const getSuggestions = useCallback((term, { limit }) =>
+        rankMatches(term, pool, { limit }).map(item => ({
+            ...item,
+            label: formatSlug(item.name),
+            image: itemSpriteUrl(item.name),
+        })), [pool]);
+
+    const modal = selectedName && (
+        <ErrorBoundary
+            name="item"
+            resetKeys={[location.pathname]}
+            fallback={({ error: crash, errorInfo, reset }) => (
+                <ModalError error={crash} errorInfo={errorInfo} onRetry={reset} onClose={closeItem} />
+            )}
+        >
+            <ItemModal name={selectedName} onClose={closeItem} />
+        </ErrorBoundary>
+    );
+
+    return (
+        <div className="pokemon-list-container item-browser">
+            <h1>{t('items.title')}</h1>
+
+            <div className="item-kinds" role="group" aria-label={t('items.kind')}>
+                {ITEM_KINDS.map(option => (
+                    <button
+                        key={option}
+                        type="button"
+                        className={kind === option ? 'active' : ''}
+                        aria-pressed={kind === option}
+                        onClick={() => updateQuery({ kind: option })}
+                    >
+                        {t(`items.kind.${option}`)}
+                    </button>
+                ))}
+            </div>
+
+            <SearchBar
+                value={searchTerm}
+                onSearch={(term) => term !== searchTerm && updateQuery({ searchTerm: term })}
+                onSelect={openItem}
+                placeholder={t('items.search')}
+                getSuggestions={getSuggestions}
+            />
+
+            <div className="item-filters">
+                <label>
+                    {t('items.category')}
+                    <select value={category} onChange={(e) => updateQuery({ category: e.target.value })}>
+                        <option value="">{t('items.allCategories')}</option>
+                        {/* Keep a category from the URL selectable before the list has loaded */}
+                        {[...new Set([...categories, category].filter(Boolean))].map(name => (
+                            <option key={name} value={name}>{formatSlug(name)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            {loading && <Loader />}
+
+            {!loading && error && (
+                <div className="error-container" role="alert">
+                    <h2>{t('items.unableToLoad')}</h2>
+                    <button onClick={retry} className="retry-button">
+                        {t('list.tryAgain')}
+                    </button>
+                </div>
+            )}
+
+            {!loading && !error && (
+                <>
+                    <p className="item-count" role="status">
+                        {items.length > 0 ? t('items.found', { count: items.length }) : t('items.noMatches')}
+                    </p>
+                    <VirtualGrid
+                        className="pokemon-grid item-grid"
+                        label={t('items.grid')}
+                        items={items}
+                        minColumnWidth={180}
+                        getKey={(item) => item.name}
+                        renderItem={(item, index, { tabIndex }) => (
+                            <ErrorBoundary
+                                name="card"
+                                fallback={({ reset }) => <CardError name={item.name} onRetry={reset} />}
+                            >
+                                <ItemCard item={item} onCardClick={openItem} tabIndex={tabIndex} />
+                            </ErrorBoundary>
+                        )}
+                    />
+                </>
+            )}
+
+            {modal}
+        </div>
+    );
+};
+
+export default ItemBrowser;
@@ -0,0 +1,47 @@
+// ItemCard.jsx - an item or berry in the item browser grid. Shares its look
+// with PokemonCard; the name shows right away, the rest once details load.
+
+import './PokemonCard.css';
+import './ItemCard.css';
+import useResource from '../hooks/useResource.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { itemStore } from '../api/itemStore.js';
+import { itemSpriteUrl } from '../utils/sprites.js';
+import { formatSlug, getLocalizedName } from '../utils/localize.js';
+
+// tabIndex comes from the grid's roving focus (-1 keeps the card out of the tab order)
+const ItemCard = ({ item, onCardClick, tabIndex = 0 }) => {
+    const { data } = useResource(itemStore, item.name);
+    const { language, t } = useTranslation();
+    const name = getLocalizedName(data?.names, language) || formatSlug(item.name);
+
+    return (
+        <div className="pokemon-card item-card" onClick={() => onCardClick(item)}>
+            <div className="pokemon-image-container item-image-container">
+                <img
+                    src={data?.sprites?.default || itemSpriteUrl(item.name)}
+                    alt=""
+                    className="item-image"
+                    loading="lazy"
+                />
+            </div>
+
+            <div className="pokemon-info">
+                <h3 className="pokemon-name item-name">
+                    {/* Keyboard and screen reader entry point; its click bubbles up to the card */}
+                    <button type="button" className="pokemon-card-open" tabIndex={tabIndex} data-grid-item>
+                        {name}
+                    </button>
+                </h3>
+                {data && (
+                    <p className="item-card-meta">
+                        {formatSlug(data.category.name)}
+                        {data.cost > 0 && <> · {t('items.costValue', { cost: data.cost })}</>}
+                    </p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ItemCard;
@@ -0,0 +1,173 @@
+// ItemModal.jsx - details of an item or berry: effect, cost, fling power,
+// berry facts and the wild Pokemon that hold it (each opens the Pokemon modal)
+
+import { useEffect, useId, useRef } from 'react';
+import './PokemonModal.css';
+import './ItemModal.css';
+import { NotFoundError } from '../api/errors.js';
+import { itemStore, berryStore } from '../api/itemStore.js';
+import useResource from '../hooks/useResource.js';
+import useFocusTrap from '../hooks/useFocusTrap.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { berryNameOf, getItemHolders } from '../utils/items.js';
+import { formatSlug, getEffectText, getLocalizedName } from '../utils/localize.js';
+import { itemSpriteUrl, spriteUrl } from '../utils/sprites.js';
+import TypeBadge from './TypeBadge';
+import RouteLink from './RouteLink';
+
+const Facts = ({ facts }) => {
+    const { t } = useTranslation();
+    return (
+        <dl className="item-facts">
+            {facts.map(([label, value]) => (
+                <div key={label}>
+                    <dt>{t(label)}</dt>
+                    <dd>{value}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+};
+
+const BerryFacts = ({ berryName }) => {
+    const berry = useResource(berryStore, berryName);
+    const { t } = useTranslation();
+
+    if (!berry.data) {
+        return <p className="item-muted">{berry.status === 'error' ? t('items.berryFailed') : t('modal.loading')}</p>;
+    }
+
+    const data = berry.data;
+    const flavors = data.flavors.filter(flavor => flavor.potency > 0);
+    return (
+        <>
+            <Facts
+                facts={[
+                    ['items.firmness', formatSlug(data.firmness.name)],
+                    ['items.growthTime', t('items.hours', { count: data.growth_time })],
+                    ['items.maxHarvest', data.max_harvest],
+                    ['items.size', `${data.size} mm`],
+                    ['items.naturalGift', <><TypeBadge type={data.natural_gift_type.name} link /> {data.natural_gift_power}</>],
+                ]}
+            />
+            {flavors.length > 0 && (
+                <p className="item-flavors">
+                    {t('items.flavors')}: {flavors.map(flavor => `${formatSlug(flavor.flavor.name)} ${flavor.potency}`).join(', ')}
+                </p>
+            )}
+        </>
+    );
+};
+
+const ItemModal = ({ name, onClose }) => {
+    const item = useResource(itemStore, name);
+    const { language, t } = useTranslation();
+    const dialogRef = useRef(null);
+    const titleId = useId();
+    useFocusTrap(dialogRef);
+
+    // Close modal on Escape key
+    useEffect(() => {
+        const handleEscape = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        document.addEventListener('keydown', handleEscape);
+        return () => document.removeEventListener('keydown', handleEscape);
+    }, [onClose]);
+
+    const data = item.data;
+    const berryName = berryNameOf(data?.name);
+    const holders = getItemHolders(data);
+    const effect = data ? getEffectText(data, language) : '';
+
+    return (
+        <div className="modal-backdrop" onClick={(e) => e.target === e.currentTarget && onClose()}>
+            <div
+                ref={dialogRef}
+                className="modal-content"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={data ? titleId : undefined}
+                aria-label={data ? undefined : t('modal.loading')}
+                tabIndex={-1}
+            >
+                <button className="modal-close" onClick={onClose} aria-label={t('modal.close')}>
+                    ✕
+                </button>
+
+                {!data && item.status === 'error' && (
+                    <div className="modal-error" role="alert">
+                        <h3>{t('modal.oops')}</h3>
+                        <p>{t(item.error instanceof NotFoundError ? 'items.notFound' : 'items.detailFailed', { name: formatSlug(name) })}</p>
+                        {!(item.error instanceof NotFoundError) && (
+                            <button type="button" className="error-close-btn" onClick={() => itemStore.retry(name)}>
+                                {t('list.tryAgain')}
+                            </button>
+                        )}
+                    </div>
+                )}
+
+                {!data && item.status !== 'error' && (
+                    <div className="modal-loading" role="status">
+                        <div className="modal-loader" aria-hidden="true"></div>
+                        <p>{t('modal.loading')}</p>
+                    </div>
+                )}
+
+                {data && (
+                    <div className="pokemon-details item-details">
+                        <div className="pokemon-header">
+                            <img src={data.sprites?.default || itemSpriteUrl(data.name)} alt="" className="item-modal-image" />
+                            <div className="pokemon-basic-info">
+                                <h2 className="pokemon-name" id={titleId}>{getLocalizedName(data.names, language) || formatSlug(data.name)}</h2>
+                                <p className="item-category">{formatSlug(data.category.name)}</p>
+                            </div>
+                        </div>
+
+                        <div className="pokemon-stats-section">
+                            <h3>{t('items.effect')}</h3>
+                            <p className="item-effect">{effect || t('items.noEffect')}</p>
+
+                            <Facts
+                                facts={[
+                                    ['items.cost', data.cost > 0 ? t('items.costValue', { cost: data.cost }) : '—'],
+                                    ['items.flingPower', data.fling_power ?? '—'],
+                                    ['items.flingEffect', data.fling_effect ? formatSlug(data.fling_effect.name) : '—'],
+                                ]}
+                            />
+
+                            {berryName && (
+                                <>
+                                    <h3>{t('items.berry')}</h3>
+                                    <BerryFacts berryName={berryName} />
+                                </>
+                            )}
+
+                            <h3>{t('items.heldBy')}</h3>
+                            {holders.length === 0 ? (
+                                <p className="item-muted">{t('items.noHolders')}</p>
+                            ) : (
+                                <ul className="item-holders">
+                                    {holders.map(holder => (
+                                        <li key={holder.name}>
+                                            {/* Opens the Pokemon modal; closing it comes back here */}
+                                            <RouteLink to={`/pokemon/${encodeURIComponent(holder.name)}`} state={{ fromList: true }} className="item-holder">
+                                                <img src={spriteUrl(holder.id)} alt="" loading="lazy" />
+                                                <span className="item-holder-name">{formatSlug(holder.name)}</span>
+                                                <span className="item-holder-rarity">
+                                                    {t('items.rarity', { rarity: holder.rarity, count: holder.versions.length })}
+                                                </span>
+                                            </RouteLink>
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ItemModal;
@@ -0,0 +1,24 @@
+// LanguageSwitcher.jsx - pick the language for UI strings and Pokemon data
+
+import './LanguageSwitcher.css';
+import useTranslation from '../hooks/useTranslation.js';
+import { LANGUAGES } from '../i18n/languages.js';
+
+const LanguageSwitcher = () => {
+    const { language, setLanguage, t } = useTranslation();
+
+    return (
+        <label className="language-switcher">
+            <span>🌐 {t('language.label')}</span>
+            <select value={language} onChange={(e) => setLanguage(e.target.value)}>
+                {LANGUAGES.map(option => (
+                    <option key={option.code} value={option.code} lang={option.code}>
+                        {option.label}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+export default LanguageSwitcher;
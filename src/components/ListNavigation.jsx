@@ -0,0 +1,63 @@
+// ListNavigation.jsx - switches the dex between infinite scroll and pages,
+// and jumps straight to a dex number. Changes are reported as list query
+// params ({ page, from }) so the position lives in the URL.
+
+import { useState } from 'react';
+import './ListNavigation.css';
+import useTranslation from '../hooks/useTranslation.js';
+
+const ListNavigation = ({ page, windowStart, pageSize, lastNumber, onChange }) => {
+    const [jumpTo, setJumpTo] = useState('');
+    const { t } = useTranslation();
+    const pageMode = page !== null;
+
+    // Switching modes keeps the first Pokemon currently shown in view
+    const showPages = () => onChange({ page: Math.floor(windowStart / pageSize) + 1, from: 1 });
+    const showInfinite = () => onChange({ page: null, from: windowStart + 1 });
+
+    const handleJump = (e) => {
+        e.preventDefault();
+        const number = Number(jumpTo);
+        if (!Number.isInteger(number) || number < 1 || number > lastNumber) return;
+        onChange(pageMode ? { page: Math.ceil(number / pageSize), from: 1 } : { page: null, from: number });
+        setJumpTo('');
+    };
+
+    return (
+        <div className="list-navigation">
+            <div className="list-mode" role="group" aria-label={t('list.mode')}>
+                <button type="button" className={!pageMode ? 'active' : ''} aria-pressed={!pageMode} onClick={showInfinite}>
+                    {t('list.modeInfinite')}
+                </button>
+                <button type="button" className={pageMode ? 'active' : ''} aria-pressed={pageMode} onClick={showPages}>
+                    {t('list.modePages')}
+                </button>
+            </div>
+
+            <form className="list-jump" onSubmit={handleJump}>
+                <label htmlFor="list-jump-input">{t('list.jumpTo')}</label>
+                <input
+                    id="list-jump-input"
+                    type="number"
+                    min="1"
+                    max={lastNumber}
+                    value={jumpTo}
+                    onChange={(e) => setJumpTo(e.target.value)}
+                    placeholder={`1-${lastNumber}`}
+                />
+                <button type="submit" disabled={!jumpTo}>{t('list.go')}</button>
+            </form>
+
+            {!pageMode && windowStart > 0 && (
+                <p className="list-window-note">
+                    {t('list.showingFrom', { number: windowStart + 1 })}{' '}
+                    <button type="button" className="list-back-to-start" onClick={() => onChange({ page: null, from: 1 })}>
+                        {t('list.backToStart')}
+                    </button>
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default ListNavigation;
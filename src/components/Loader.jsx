@@ -1,12 +1,15 @@
 import './Loader.css';
+import useTranslation from '../hooks/useTranslation.js';
 
 const Loader = () => {
+  const { t } = useTranslation();
+
   return (
-    <div className="loader-container">
-      <div className="loader"></div>
-      <p>Loading Pokemon ...</p>
+    <div className="loader-container" role="status">
+      <div className="loader" aria-hidden="true"></div>
+      <p>{t('loader.loading')}</p>
     </div>
   );
 };
 
-export default Loader;
\ No newline at end of file
+export default Loader;
@@ -0,0 +1,107 @@
+// LookupView.jsx - header of a reverse lookup page: what the type, ability or
+// move does. The Pokemon that have it are shown in the card grid below.
+
+import './LookupView.css';
+import useTranslation from '../hooks/useTranslation.js';
+import { NotFoundError } from '../api/errors.js';
+import { DAMAGE_RELATIONS } from '../utils/lookup.js';
+import { formatSlug, getEffectText, getLocalizedName } from '../utils/localize.js';
+import { formatMultiplier } from '../utils/typeEffectiveness.js';
+import TypeBadge from './TypeBadge';
+import RouteLink from './RouteLink';
+
+const TypeRelations = ({ type }) => {
+    const { t } = useTranslation();
+
+    return (
+        <div className="lookup-relations">
+            {['attack', 'defense'].map(side => (
+                <div key={side} className="lookup-relations-side">
+                    <h3>{t(`lookup.${side}`)}</h3>
+                    {DAMAGE_RELATIONS.filter(relation => relation.side === side).map(relation => {
+                        const types = type.damage_relations[relation.key].map(entry => entry.name);
+                        return (
+                            <div key={relation.key} className="lookup-relation">
+                                <span className="lookup-relation-label">
+                                    <strong>{formatMultiplier(relation.multiplier)}</strong> {t(`lookup.relation.${relation.key}`)}
+                                </span>
+                                <div className="lookup-relation-types">
+                                    {types.length > 0
+                                        ? types.map(name => <TypeBadge key={name} type={name} link />)
+                                        : <span className="lookup-muted">{t('lookup.none')}</span>}
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const MoveFacts = ({ move }) => {
+    const { t } = useTranslation();
+    const facts = [
+        ['moves.col.category', t(`moves.category.${move.damage_class.name}`)],
+        ['moves.col.power', move.power ?? '—'],
+        ['moves.col.accuracy', move.accuracy ?? '—'],
+        ['moves.col.pp', move.pp ?? '—'],
+        ['lookup.priority', move.priority > 0 ? `+${move.priority}` : move.priority],
+    ];
+
+    return (
+        <dl className="lookup-facts">
+            <div>
+                <dt>{t('moves.col.type')}</dt>
+                <dd><TypeBadge type={move.type.name} link /></dd>
+            </div>
+            {facts.map(([label, value]) => (
+                <div key={label}>
+                    <dt>{t(label)}</dt>
+                    <dd>{value}</dd>
+                </div>
+            ))}
+        </dl>
+    );
+};
+
+const LookupView = ({ lookup, entry, onRetry }) => {
+    const { language, t } = useTranslation();
+    const { kind, name } = lookup;
+    const data = entry.data;
+    const title = getLocalizedName(data?.names, language) || formatSlug(name);
+    const hiddenCount = kind === 'ability' ? entry.pokemon.filter(pokemon => pokemon.hiddenAbility).length : 0;
+    const effect = kind !== 'type' && data ? getEffectText(data, language) : '';
+
+    return (
+        <div className="lookup-view">
+            <RouteLink to="/" className="lookup-back">← {t('lookup.back')}</RouteLink>
+            <p className="lookup-kind">{t(`lookup.kind.${kind}`)}</p>
+            <h1>{kind === 'type' ? <TypeBadge type={name} /> : title}</h1>
+
+            {!data && entry.status === 'error' && (
+                <div className="lookup-error" role="alert">
+                    <p>{t(entry.error instanceof NotFoundError ? 'lookup.notFound' : 'lookup.failed', { name: formatSlug(name) })}</p>
+                    {!(entry.error instanceof NotFoundError) && (
+                        <button type="button" className="retry-button" onClick={onRetry}>{t('list.tryAgain')}</button>
+                    )}
+                </div>
+            )}
+            {!data && entry.status !== 'error' && <p className="lookup-muted" role="status">{t('modal.loading')}</p>}
+
+            {data && (
+                <>
+                    {kind === 'move' && <MoveFacts move={data} />}
+                    {effect && <p className="lookup-effect">{effect}</p>}
+                    {kind === 'type' && <TypeRelations type={data} />}
+                    <p className="lookup-count">
+                        {t(`lookup.count.${kind}`, { count: entry.pokemon.length })}
+                        {hiddenCount > 0 && ` ${t('lookup.hiddenCount', { count: hiddenCount })}`}
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default LookupView;
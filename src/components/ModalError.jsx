@@ -0,0 +1,32 @@
+// ModalError.jsx - fallback for a details/comparison dialog that crashed while rendering
+
+import { useRef } from 'react';
+import ErrorDetails from './ErrorDetails';
+import useTranslation from '../hooks/useTranslation.js';
+import useFocusTrap from '../hooks/useFocusTrap.js';
+
+const ModalError = ({ error, errorInfo, onRetry, onClose }) => {
+    const { t } = useTranslation();
+    const dialogRef = useRef(null);
+    useFocusTrap(dialogRef);
+
+    return (
+        <div className="modal-backdrop">
+            <div ref={dialogRef} className="modal-content" role="alertdialog" aria-modal="true" aria-label={t('modal.oops')} tabIndex={-1}>
+                <div className="modal-error">
+                    <h3>{t('modal.oops')}</h3>
+                    <p>{t('error.modalCrashed')}</p>
+                    <button onClick={onRetry} className="error-close-btn">
+                        {t('error.retryShort')}
+                    </button>{' '}
+                    <button onClick={onClose} className="error-close-btn">
+                        {t('modal.close')}
+                    </button>
+                    <ErrorDetails error={error} errorInfo={errorInfo} />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ModalError;
@@ -0,0 +1,167 @@
+// MovesTab.jsx - learnset for one game, grouped by learn method, with move
+// data (type, category, power...) loaded lazily from /move
+
+import { useState } from 'react';
+import './MovesTab.css';
+import { moveStore } from '../api/moveStore.js';
+import useResources from '../hooks/useResources.js';
+import useTranslation from '../hooks/useTranslation.js';
+import {
+    LEARN_METHODS,
+    MOVE_CATEGORIES,
+    DEFAULT_MOVE_SORT,
+    getVersionGroups,
+    getLearnset,
+    groupByMethod,
+    filterMoves,
+    sortMoves,
+} from '../utils/moves.js';
+import { POKEMON_TYPES } from '../utils/pokemonFilters.js';
+import { formatSlug, getLocalizedName } from '../utils/localize.js';
+import { lookupPath } from '../utils/lookup.js';
+import TypeBadge from './TypeBadge';
+import RouteLink from './RouteLink';
+
+const COLUMNS = ['level', 'name', 'type', 'category', 'power', 'accuracy', 'pp'];
+
+const EMPTY_MOVE_FILTERS = { query: '', type: '', category: '' };
+
+const MovesTab = ({ details }) => {
+    const { language, t } = useTranslation();
+    const versionGroups = getVersionGroups(details);
+    const [versionGroup, setVersionGroup] = useState(versionGroups[versionGroups.length - 1] ?? '');
+    const [filters, setFilters] = useState(EMPTY_MOVE_FILTERS);
+    const [sort, setSort] = useState(DEFAULT_MOVE_SORT);
+
+    const learnset = getLearnset(details, versionGroup);
+    const moveNames = [...new Set(learnset.map(row => row.name))];
+    const moveEntries = useResources(moveStore, moveNames);
+
+    const movesByName = new Map();
+    moveEntries.forEach((entry, name) => {
+        if (entry.data) movesByName.set(name, entry.data);
+    });
+    const loadedCount = [...moveEntries.values()].filter(entry => entry.status === 'loaded' || entry.status === 'error').length;
+
+    const getName = (row) =>
+        getLocalizedName(movesByName.get(row.name)?.names, language) || formatSlug(row.name);
+
+    const groups = groupByMethod(sortMoves(filterMoves(learnset, filters, movesByName, getName), sort, movesByName, getName));
+
+    const toggleSort = (key) => {
+        setSort(current => (current.key === key
+            ? { key, direction: current.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'asc' }));
+    };
+
+    const methodLabel = (method) =>
+        (LEARN_METHODS.includes(method) ? t(`moves.method.${method}`) : formatSlug(method));
+
+    const renderCell = (row, column) => {
+        const move = movesByName.get(row.name);
+        switch (column) {
+            case 'level':
+                return row.level || '—';
+            case 'name':
+                return <RouteLink to={lookupPath('move', row.name)} className="moves-link">{getName(row)}</RouteLink>;
+            case 'type':
+                return move ? <TypeBadge type={move.type.name} link /> : '…';
+            case 'category':
+                return move ? t(`moves.category.${move.damage_class.name}`) : '…';
+            default:
+                return move ? (move[column] ?? '—') : '…';
+        }
+    };
+
+    if (versionGroups.length === 0) {
+        return <p className="moves-status">{t('moves.noMoves')}</p>;
+    }
+
+    return (
+        <div className="moves-tab">
+            <div className="moves-controls">
+                <label>
+                    {t('moves.versionGroup')}
+                    <select value={versionGroup} onChange={(e) => setVersionGroup(e.target.value)}>
+                        {versionGroups.map(name => (
+                            <option key={name} value={name}>{formatSlug(name)}</option>
+                        ))}
+                    </select>
+                </label>
+                <input
+                    type="search"
+                    value={filters.query}
+                    placeholder={t('moves.search')}
+                    aria-label={t('moves.search')}
+                    onChange={(e) => setFilters({ ...filters, query: e.target.value })}
+                />
+                <select
+                    value={filters.type}
+                    aria-label={t('moves.col.type')}
+                    onChange={(e) => setFilters({ ...filters, type: e.target.value })}
+                >
+                    <option value="">{t('moves.allTypes')}</option>
+                    {POKEMON_TYPES.map(type => (
+                        <option key={type} value={type}>{formatSlug(type)}</option>
+                    ))}
+                </select>
+                <select
+                    value={filters.category}
+                    aria-label={t('moves.col.category')}
+                    onChange={(e) => setFilters({ ...filters, category: e.target.value })}
+                >
+                    <option value="">{t('moves.allCategories')}</option>
+                    {MOVE_CATEGORIES.map(category => (
+                        <option key={category} value={category}>{t(`moves.category.${category}`)}</option>
+                    ))}
+                </select>
+            </div>
+
+            {loadedCount < moveNames.length && (
+                <p className="moves-status">{t('moves.loading', { done: loadedCount, total: moveNames.length })}</p>
+            )}
+            {groups.length === 0 && <p className="moves-status">{t('moves.none')}</p>}
+
+            {groups.map(({ method, rows }) => {
+                // Only level-up moves have a meaningful level
+                const columns = method === 'level-up' ? COLUMNS : COLUMNS.filter(column => column !== 'level');
+                return (
+                    <section key={method} className="moves-group">
+                        <h4>{methodLabel(method)} ({rows.length})</h4>
+                        <div className="moves-table-wrapper">
+                            <table className="moves-table">
+                                <thead>
+                                    <tr>
+                                        {columns.map(column => (
+                                            <th
+                                                key={column}
+                                                scope="col"
+                                                aria-sort={sort.key === column ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}
+                                            >
+                                                <button type="button" onClick={() => toggleSort(column)}>
+                                                    {t(`moves.col.${column}`)}
+                                                    {sort.key === column && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+                                                </button>
+                                            </th>
+                                        ))}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {rows.map(row => (
+                                        <tr key={`${row.name}-${row.level}`}>
+                                            {columns.map(column => (
+                                                <td key={column} className={`moves-${column}`}>{renderCell(row, column)}</td>
+                                            ))}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+                );
+            })}
+        </div>
+    );
+};
+
+export default MovesTab;
@@ -0,0 +1,32 @@
+// Pagination.jsx - first / previous / next / last controls for the paged dex
+
+import './Pagination.css';
+import useTranslation from '../hooks/useTranslation.js';
+
+const Pagination = ({ page, pageCount, onChange }) => {
+    const { t } = useTranslation();
+    const isFirst = page <= 1;
+    const isLast = page >= pageCount;
+
+    return (
+        <nav className="pagination" aria-label={t('list.pagination')}>
+            <button type="button" onClick={() => onChange(1)} disabled={isFirst} aria-label={t('list.firstPage')}>
+                «
+            </button>
+            <button type="button" onClick={() => onChange(page - 1)} disabled={isFirst}>
+                ‹ {t('list.previousPage')}
+            </button>
+            <span className="pagination-status">
+                {t('list.page', { page, count: pageCount })}
+            </span>
+            <button type="button" onClick={() => onChange(page + 1)} disabled={isLast}>
+                {t('list.nextPage')} ›
+            </button>
+            <button type="button" onClick={() => onChange(pageCount)} disabled={isLast} aria-label={t('list.lastPage')}>
+                »
+            </button>
+        </nav>
+    );
+};
+
+export default Pagination;
@@ -0,0 +1,37 @@
+// PokedexEntry.jsx - species flavor text for the modal, with a game version picker
+
+import { useState } from 'react';
+import './PokedexEntry.css';
+import { getFlavorTextEntries, formatSlug } from '../utils/localize.js';
+import useTranslation from '../hooks/useTranslation.js';
+
+// species: /pokemon-species payload. Remount (key) to reset the chosen version.
+const PokedexEntry = ({ species }) => {
+    const { language, t } = useTranslation();
+    const entries = getFlavorTextEntries(species, language);
+    const [version, setVersion] = useState(entries[0]?.version ?? '');
+
+    if (entries.length === 0) {
+        return <p className="pokedex-entry-empty">{t('modal.noFlavorText')}</p>;
+    }
+
+    // Several entries can share a version; show the first (newest) one
+    const current = entries.find(entry => entry.version === version) || entries[0];
+    const versions = [...new Set(entries.map(entry => entry.version))];
+
+    return (
+        <div className="pokedex-entry">
+            <label className="pokedex-entry-version">
+                {t('modal.version')}
+                <select value={current.version} onChange={(e) => setVersion(e.target.value)}>
+                    {versions.map(name => (
+                        <option key={name} value={name}>{formatSlug(name)}</option>
+                    ))}
+                </select>
+            </label>
+            <p className="pokedex-entry-text">{current.text}</p>
+        </div>
+    );
+};
+
+export default PokedexEntry;
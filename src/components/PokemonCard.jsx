@@ -1,50 +1,68 @@
 // PokemonCard.jsx shows basic information for pokemon
 
-import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { useId } from 'react';
 import './PokemonCard.css';
-import Loader from './Loader';
+import SkeletonCard from './SkeletonCard';
+import TypeBadge from './TypeBadge';
+import CardError from './CardError';
+import DexStatusButton from './DexStatusButton';
+import RegionalNumber from './RegionalNumber';
+import { retryDetails } from '../api/detailStore.js';
 import formatId from '../utils/formatters.js';
-import { capitalizeWords } from '../utils/string.js';
+import usePokemonDetails from '../hooks/usePokemonDetails.js';
+import useDisplayName from '../hooks/useDisplayName.js';
+import useTranslation from '../hooks/useTranslation.js';
+import useTeams from '../hooks/useTeams.js';
+import { TEAM_SIZE, addToTeam, toTeamMember } from '../store/teamStore.js';
 
 
-const PokemonCard = ({ pokemon, onCardClick }) => {
+// compareSelected / compareDisabled / onToggleCompare drive the "compare" toggle.
+// tabIndex comes from the grid's roving focus (-1 keeps the card out of the tab order).
+// note: optional short text under the types, e.g. "Hidden ability" on lookup pages.
+const PokemonCard = ({ pokemon, onCardClick, compareSelected = false, compareDisabled = false, onToggleCompare, tabIndex = 0, note }) => {
+    // Details come from the shared store, which batches and throttles requests
+    const details = usePokemonDetails(pokemon?.name);
+    const pokemonData = details.data || [];
+    const loadingData = details.status === 'idle' || details.status === 'loading';
+    const { activeTeam } = useTeams();
+    const teamFull = activeTeam.members.length >= TEAM_SIZE;
+    const displayName = useDisplayName(pokemon?.name, details.data);
+    const { t } = useTranslation();
+    const nameId = useId();
+
     if (!pokemon) {
         return <p>No Pokemon data</p>;
     }
 
-    const [pokemonData, setPokemonData] = useState([]);
-    const [loadingData, setLoadingData] = useState(true);
-
-    useEffect(() => {
-        const fetchPokemonData = async () => {
-            try {
-                setLoadingData(true);
-                const response = await axios.get(pokemon.url);
-                setPokemonData(response.data);
-            } catch (error) {
-                console.error("Error fetching Pokemon: ", error);
-            } finally {
-                setLoadingData(false);
-            }
-        };
-
-        fetchPokemonData();
-    }, []);
+    if (loadingData && !details.data) {
+        return <SkeletonCard />;
+    }
 
-    if (loadingData) {
-        return <Loader />;
+    // A failed fetch leaves no data (or a payload without types) - don't render half a card
+    if ((details.status === 'error' && !details.data) || !Array.isArray(pokemonData.types)) {
+        return <CardError name={pokemon.name} onRetry={() => retryDetails(pokemon.name)} />;
     }
 
+    // A refresh keeps showing the loaded data, so the card stays clickable meanwhile
     const handleCardClick = () => {
-        if (pokemonData && !loadingData) {
+        if (details.data) {
             onCardClick({
                 basicInfo: pokemon,
-                detailedInfo: pokemonData
+                detailedInfo: details.data
             });
         }
     };
 
+    const handleAddToTeam = (e) => {
+        e.stopPropagation(); // don't open the modal as well
+        addToTeam(toTeamMember(pokemonData));
+    };
+
+    const handleToggleCompare = (e) => {
+        e.stopPropagation();
+        onToggleCompare(pokemon.name);
+    };
+
     return (
         <div className="pokemon-card"
             onClick={handleCardClick}
@@ -53,18 +71,54 @@ const PokemonCard = ({ pokemon, onCardClick }) => {
             <div className="pokemon-image-container">
                 <img
                     src={pokemonData.sprites?.other?.['official-artwork']?.front_default}
-                    alt={pokemon.name}
+                    alt=""
                     className="pokemon-image loaded"
                 />
             </div>
 
             <div className="pokemon-info">
-                <p className="pokemon-id">{formatId(pokemonData.id)}</p>
-                <h3 className="pokemon-name" id="pokemon-name">{capitalizeWords(pokemon.name)}</h3>
+                <p className="pokemon-id">
+                    {formatId(pokemonData.id)}
+                    {pokemon.regionalNumber && <RegionalNumber pokedex={pokemon.regionalDex} number={pokemon.regionalNumber} />}
+                </p>
+                <h2 className="pokemon-name" id={nameId}>
+                    {/* Keyboard and screen reader entry point; its click bubbles up to the card */}
+                    <button type="button" className="pokemon-card-open" tabIndex={tabIndex} data-grid-item>
+                        {displayName}
+                    </button>
+                </h2>
                 <div className="type-container">
-                         {pokemonData.types.map(value => (
-                            <div key={value.slot} className={`type-${value.type.name}`}>{value.type.name}</div>
-                        ))}
+                    {pokemonData.types.map(value => (
+                        <TypeBadge key={value.slot} type={value.type.name} />
+                    ))}
+                </div>
+                {note && <p className="pokemon-card-note">{note}</p>}
+                <div className="card-actions">
+                    <button
+                        type="button"
+                        className="card-action"
+                        onClick={handleAddToTeam}
+                        disabled={teamFull}
+                        tabIndex={tabIndex}
+                        aria-describedby={nameId}
+                        title={t(teamFull ? 'modal.teamFull' : 'card.addToTeam', { team: activeTeam.name })}
+                    >
+                        {t('card.team')}
+                    </button>
+                    <DexStatusButton name={pokemon.name} tabIndex={tabIndex} aria-describedby={nameId} />
+                    {onToggleCompare && (
+                        <button
+                            type="button"
+                            className={`card-action ${compareSelected ? 'active' : ''}`}
+                            onClick={handleToggleCompare}
+                            disabled={compareDisabled && !compareSelected}
+                            tabIndex={tabIndex}
+                            aria-pressed={compareSelected}
+                            aria-describedby={nameId}
+                        >
+                            {t(compareSelected ? 'compare.selected' : 'compare.add')}
+                        </button>
+                    )}
                 </div>
             </div>
         </div>
@@ -1,10 +1,55 @@
-import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { useState, useEffect, useLayoutEffect, useRef, useMemo, useCallback } from 'react';
 import './PokemonList.css';
+import { getPokemonPage, isAbortError, isServingOffline, subscribeToConnection } from '../api/pokeapi.js';
+import { NotFoundError, RateLimitError } from '../api/errors.js';
 import PokemonCard from './PokemonCard';
 import Loader from './Loader';
 import PokemonModal from './PokemonModal';
 import SearchBar from './SearchBar';
+import VirtualGrid from './VirtualGrid';
+import FilterPanel from './FilterPanel';
+import TeamPanel from './TeamPanel';
+import ComparisonView from './ComparisonView';
+import ErrorBoundary from './ErrorBoundary';
+import ErrorDetails from './ErrorDetails';
+import CardError from './CardError';
+import ModalError from './ModalError';
+import ListNavigation from './ListNavigation';
+import Pagination from './Pagination';
+import LookupView from './LookupView';
+import useTeams from '../hooks/useTeams.js';
+import useDex from '../hooks/useDex.js';
+import useLookup from '../hooks/useLookup.js';
+import { TEAM_SIZE } from '../store/teamStore.js';
+import usePokemonFilters from '../hooks/usePokemonFilters.js';
+import { getSearchNames, loadNameIndex, searchNameIndex } from '../api/nameIndex.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { matchesQuery } from '../utils/fuzzy.js';
+import { GENERATION_RANGES, isFilteringActive } from '../utils/pokemonFilters.js';
+import useLocation from '../hooks/useLocation.js';
+import { navigate, goBack, getLocation, matchRoute, updateHistoryState } from '../utils/router.js';
+import { MAX_COMPARE, parseListQuery, buildListQuery } from '../utils/listQuery.js';
+import { formatSlug } from '../utils/localize.js';
+import { lookupPath, matchLookupRoute } from '../utils/lookup.js';
+
+const INITIAL_BATCH = 150;
+const PAGE_SIZE = 20;          // Pokemon added per infinite scroll step
+const LIST_PAGE_SIZE = 48;     // Pokemon per page in pagination mode
+const PRELOAD_MARGIN = 600;    // px below the viewport at which the next batch starts loading
+
+// List offsets match dex numbers up to the last species; alternate forms follow
+const LAST_DEX_NUMBER = GENERATION_RANGES[GENERATION_RANGES.length - 1].last;
+
+// Translation key of the user-facing message for a failed list request
+const describeLoadError = (error) => {
+    if (error instanceof RateLimitError) {
+        return 'load.rateLimited';
+    }
+    if (error instanceof NotFoundError) {
+        return 'load.notFound';
+    }
+    return 'load.failed';
+};
 
 const PokemonList = () => {
     const [pokemon, setPokemon] = useState([]);
@@ -12,215 +57,482 @@ const PokemonList = () => {
     const [loadingMore, setLoadingMore] = useState(false); // Loading more Pokemon
     const [offset, setOffset] = useState(0);               // Track current position - for lazy loading
     const [hasMore, setHasMore] = useState(true);          // Are there more Pokemon? - for lazy loading
-    const [selectedPokemon, setSelectedPokemon] = useState(null);
-    const [isModalOpen, setIsModalOpen] = useState(false);
-    const [searchTerm, setSearchTerm] = useState('');
-    const [filteredPokemon, setFilteredPokemon] = useState([]);
+    const [loadMoreError, setLoadMoreError] = useState(null); // Last batch failed - wait for a retry
+    const [totalCount, setTotalCount] = useState(null);    // Size of the whole list, for pagination
+    const [reloadCount, setReloadCount] = useState(0);     // Bumped to retry the first load
+    const [filteredPokemon, setFilteredPokemon] = useState([]); // Name search results
     const [searchNotFound, setSearchNotFound] = useState(false);
     const [error, setError] = useState(null);              // Add error state
+    const [searchError, setSearchError] = useState(null);   // Lookup failed for a reason other than "not found"
+    const [offline, setOffline] = useState(isServingOffline); // Showing cached data because the network is down
+    const loadMoreController = useRef(null);
+    const sentinelRef = useRef(null);
+    const listTopRef = useRef(null);
+    const latestSearch = useRef(0);
+    const listScrollY = useRef(0);
+    const [isTeamOpen, setIsTeamOpen] = useState(false);
+    const { activeTeam } = useTeams();
+    const { language, t } = useTranslation();
+
+    // The URL is the source of truth: /pokemon/:nameOrId opens the modal,
+    // /compare the comparison view, the query string holds the search term,
+    // filters, sort and the Pokemon picked for comparison
+    const location = useLocation();
+    const { searchTerm, filters, sort, compare, page: requestedPage, from } = useMemo(() => parseListQuery(location.search), [location.search]);
+    const modalRoute = matchRoute('/pokemon/:nameOrId', location.pathname);
+    const selectedName = modalRoute?.nameOrId;
+    const isCompareOpen = Boolean(matchRoute('/compare', location.pathname));
+    const isModalOpen = Boolean(selectedName) || isCompareOpen;
+    const selectedPokemon = useMemo(() => (selectedName ? { name: selectedName } : null), [selectedName]);
+
+    // /type/:name, /ability/:name and /move/:name show the Pokemon behind a type,
+    // ability or move instead of the dex; dialogs opened there keep it behind them
+    const backgroundPath = isModalOpen ? location.state?.lookupPath : null;
+    const lookup = useMemo(
+        () => matchLookupRoute(location.pathname) ?? (backgroundPath ? matchLookupRoute(backgroundPath) : null),
+        [location.pathname, backgroundPath]
+    );
+    const lookupKey = lookup ? lookupPath(lookup.kind, lookup.name) : null;
+    const lookupResult = useLookup(lookup);
+
+    // Filters and sorting work on the whole dex, not just the loaded pages
+    const filtersActive = isFilteringActive(filters, sort);
+    const { entries: dexEntries } = useDex();
+    const dexResults = usePokemonFilters({ filters, sort, searchTerm, enabled: filtersActive, dexEntries });
+
+    // Which slice of the dex the list starts with: one page in pagination mode,
+    // otherwise everything from the "jump to" number on (infinite scroll adds more).
+    // ?page= past the end shows the last page once the size of the list is known.
+    const pageCount = totalCount ? Math.ceil(totalCount / LIST_PAGE_SIZE) : null;
+    const pageMode = requestedPage !== null;
+    const page = pageMode ? Math.max(1, Math.min(requestedPage, pageCount ?? requestedPage)) : null;
+    const windowStart = pageMode ? (page - 1) * LIST_PAGE_SIZE : from - 1;
+    const windowSize = pageMode ? LIST_PAGE_SIZE : INITIAL_BATCH;
 
     useEffect(() => {
-        const fetchInitialPokemon = async () => {
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        const fetchWindow = async () => {
             try {
                 setLoading(true);
+                setLoadingMore(false);
                 setError(null); // Clear previous errors
-                const response = await axios.get('https://pokeapi.co/api/v2/pokemon?limit=150&offset=0');
-                setPokemon(response.data.results);
-                setFilteredPokemon(response.data.results);
-                setOffset(150); // set to 150 for next batch
-
+                setLoadMoreError(null);
+                const data = await getPokemonPage({ offset: windowStart, limit: windowSize }, { signal });
+                setPokemon(data.results);
+                setOffset(windowStart + data.results.length); // next batch starts after this one
+                setHasMore(Boolean(data.next));
+                setTotalCount(data.count);
             } catch (error) {
+                if (isAbortError(error)) return;
                 console.error("Error fetching Pokemon: ", error);
-                setError('Failed to load Pokemon. Please check your internet connection and try again.');
+                setPokemon([]);
+                setError(describeLoadError(error));
             } finally {
-                setLoading(false);
+                if (!signal.aborted) setLoading(false);
             }
         };
 
-        fetchInitialPokemon();
-    }, []); // Empty dependency - only run once
+        fetchWindow();
 
-    const loadMorePokemon = async () => {
-        if (loadingMore || !hasMore) return; // Prevent duplicate calls
+        // Cancel whatever is still pending when the window changes or the list unmounts
+        return () => {
+            controller.abort();
+            loadMoreController.current?.abort();
+        };
+    }, [windowStart, windowSize, reloadCount]);
+
+    // Everything this reads is a dependency, so the observer below always
+    // calls a version that sees the current offset
+    const loadMorePokemon = useCallback(async () => {
+        if (loadingMore || !hasMore || pageMode) return; // Prevent duplicate calls
+
+        const controller = new AbortController();
+        loadMoreController.current = controller;
 
         try {
             setLoadingMore(true);
-            const response = await axios.get(`https://pokeapi.co/api/v2/pokemon?limit=20&offset=${offset}`);
+            setLoadMoreError(null);
+            const data = await getPokemonPage({ offset, limit: PAGE_SIZE }, { signal: controller.signal });
 
-            const newPokemon = [...pokemon, ...response.data.results];
-            setPokemon(newPokemon);
+            setPokemon(prevPokemon => [...prevPokemon, ...data.results]);
+            setOffset(offset + data.results.length);
+            setHasMore(Boolean(data.next) && data.results.length === PAGE_SIZE);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error("Error loading more Pokemon:", error);
+            setLoadMoreError(describeLoadError(error));
+        } finally {
+            if (!controller.signal.aborted) setLoadingMore(false);
+        }
+    }, [loadingMore, hasMore, pageMode, offset]);
 
-            // Update filteredPokemon only if no search is active
-            if (searchTerm.trim() === '') {
-                setFilteredPokemon(newPokemon);
-            }
+    // Show the offline banner while the API client answers from cache
+    useEffect(() => subscribeToConnection(setOffline), []);
 
-            setOffset(prevOffset => prevOffset + 20);
+    // Load the next batch once the sentinel under the grid comes near the
+    // viewport. After a failure we wait for the retry button instead.
+    const canLoadMore = !pageMode && hasMore && !loading && !loadingMore && !loadMoreError &&
+        !filtersActive && !searchTerm.trim() && !isModalOpen && !lookupKey;
 
-            if (response.data.results.length < 20) {
-                setHasMore(false);
-            }
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!canLoadMore || !sentinel) return;
 
-        } catch (error) {
-        console.error("Error loading more Pokemon:", error);
-        } finally {
-            setLoadingMore(false);
-        }
-    };
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) loadMorePokemon();
+        }, { rootMargin: `0px 0px ${PRELOAD_MARGIN}px 0px` });
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [canLoadMore, loadMorePokemon]);
 
-    // scrolling down and load more pokemons
+    // Run the name search whenever the term (or what's loaded) changes
     useEffect(() => {
-        const handleScroll = () => {
-            // Check if user scrolled near bottom
-            const scrolled = window.innerHeight + document.documentElement.scrollTop;
-            const totalHeight = document.documentElement.offsetHeight;
-
-            // If scrolled to 90% of page → load more
-            if (scrolled >= totalHeight * 0.8 && hasMore && !loadingMore) {
-                loadMorePokemon();
-            }
-        };
+        setSearchNotFound(false);
+        setSearchError(null);
 
-        // Add scroll listener
-        window.addEventListener('scroll', handleScroll);
+        // The filtered view matches names across the whole dex by itself
+        if (filtersActive) return;
 
-        // Cleanup function - remove listener when component unmounts
-        return () => window.removeEventListener('scroll', handleScroll);
-    }, [hasMore, loadingMore, offset]); // Dependencies
+        const searchId = ++latestSearch.current;
+        if (searchTerm.trim() === '') return;
+
+        // Search the full national dex by name (typo tolerant) or dex number
+        loadNameIndex()
+            .then(index => {
+                if (searchId !== latestSearch.current) return; // a newer search took over
+                const results = searchNameIndex(searchTerm, index, { language });
+                setFilteredPokemon(results);
+                setSearchNotFound(results.length === 0);
+            })
+            .catch(error => {
+                if (searchId !== latestSearch.current) return;
+                // Without the index we can still search what's already loaded
+                const localResults = pokemon.filter(p =>
+                    getSearchNames(p, language).some(name => matchesQuery(searchTerm, name))
+                );
+                setFilteredPokemon(localResults);
+                if (localResults.length === 0) {
+                    setSearchError(describeLoadError(error));
+                }
+            });
+    }, [searchTerm, filtersActive, pokemon, language]);
+
+    // Put the list back where it was when the modal closes
+    const wasModalOpen = useRef(isModalOpen);
+    useLayoutEffect(() => {
+        if (wasModalOpen.current && !isModalOpen) {
+            window.scrollTo(0, location.state?.scrollY ?? listScrollY.current);
+        }
+        wasModalOpen.current = isModalOpen;
+    }, [isModalOpen, location.state]);
+
+    // A lookup page starts at the top (runs after the restore above)
+    useLayoutEffect(() => {
+        if (lookupKey) window.scrollTo(0, 0);
+    }, [lookupKey]);
+
+    // Jumping or turning the page shows the new window from its first row
+    const windowKey = `${windowStart}:${windowSize}`;
+    const shownWindow = useRef(windowKey);
+    useLayoutEffect(() => {
+        if (shownWindow.current === windowKey) return;
+        shownWindow.current = windowKey;
+        listTopRef.current?.scrollIntoView({ block: 'start' });
+    }, [windowKey]);
 
     // Add retry function
-    const handleRetry = () => {
-        setError(null);
-        setPokemon([]);
-        setFilteredPokemon([]);
-        setOffset(0);
-        setLoading(true);
-        
-        // Re-run the initial fetch
-        const fetchInitialPokemon = async () => {
-            try {
-                const response = await axios.get('https://pokeapi.co/api/v2/pokemon?limit=150&offset=0');
-                setPokemon(response.data.results);
-                setFilteredPokemon(response.data.results);
-                setOffset(150);
-            } catch (error) {
-                console.error("Error fetching Pokemon: ", error);
-                setError('Failed to load Pokemon. Please check your internet connection and try again.');
-            } finally {
-                setLoading(false);
-            }
-        };
-        fetchInitialPokemon();
+    const handleRetry = () => setReloadCount(count => count + 1);
+
+    // Query changes replace the history entry so typing doesn't flood the back button.
+    // getLocation() is read at call time so back-to-back navigations see each other.
+    const updateQuery = (changes) => {
+        const current = getLocation();
+        const query = buildListQuery({ ...parseListQuery(current.search), ...changes });
+        navigate(`${current.pathname}${query}`, { replace: true, state: current.state });
+    };
+
+    const openDetails = (pokemonData) => {
+        const name = pokemonData.basicInfo?.name || pokemonData.name;
+        listScrollY.current = window.scrollY;
+        updateHistoryState({ scrollY: window.scrollY });
+        navigate(`/pokemon/${encodeURIComponent(name)}${getLocation().search}`, { state: { fromList: true, lookupPath: lookupKey } });
+    };
+
+    // Switch the open modal to another Pokemon (e.g. an evolution) without closing it
+    const switchDetails = (nameOrId) => {
+        const current = getLocation();
+        navigate(`/pokemon/${encodeURIComponent(nameOrId)}${current.search}`, { replace: true, state: current.state });
+    };
+
+    const closeDetails = () => {
+        const current = getLocation();
+        // Opened from the list: step back so Back/Forward keep working as expected.
+        // Cold load of a deep link: there is no list entry to go back to.
+        if (current.state?.fromList) {
+            goBack();
+        } else {
+            navigate(`/${current.search}`, { replace: true });
+        }
+    };
+
+    const toggleCompare = (name) => {
+        const current = parseListQuery(getLocation().search).compare;
+        if (current.includes(name)) {
+            updateQuery({ compare: current.filter(other => other !== name) });
+        } else if (current.length < MAX_COMPARE) {
+            updateQuery({ compare: [...current, name] });
+        }
     };
 
-    if (loading) {
-        return <Loader />;
+    const openComparison = () => {
+        listScrollY.current = window.scrollY;
+        updateHistoryState({ scrollY: window.scrollY });
+        navigate(`/compare${getLocation().search}`, { state: { fromList: true, lookupPath: lookupKey } });
+    };
+
+    // A crash inside a dialog only takes the dialog down; moving to another
+    // Pokemon or comparison (resetKeys) gives it a fresh start
+    const modal = isModalOpen && (
+        <ErrorBoundary
+            name={isCompareOpen ? 'comparison' : 'modal'}
+            resetKeys={[location.pathname, location.search]}
+            fallback={({ error, errorInfo, reset }) => (
+                <ModalError error={error} errorInfo={errorInfo} onRetry={reset} onClose={closeDetails} />
+            )}
+        >
+            {isCompareOpen ? (
+                <ComparisonView
+                    names={compare}
+                    onClose={closeDetails}
+                    onRemove={toggleCompare}
+                    onSelect={switchDetails}
+                />
+            ) : (
+                <PokemonModal
+                    pokemon={selectedPokemon}
+                    onClose={closeDetails}
+                    onNavigate={switchDetails}
+                    pokedex={filters.pokedex}
+                />
+            )}
+        </ErrorBoundary>
+    );
+
+    // Later windows (jump, next page) keep the current cards up until the new ones arrive
+    if (loading && pokemon.length === 0 && !lookup) {
+        return (
+            <>
+                <Loader />
+                {modal}
+            </>
+        );
     }
 
     // Show error UI if there's an error and no Pokemon loaded
-    if (error && pokemon.length === 0) {
+    if (error && pokemon.length === 0 && !lookup) {
         return (
-            <div className="error-container">
-                <h2>Unable to Load Pokemon</h2>
-                <p>{error}</p>
+            <div className="error-container" role="alert">
+                <h2>{t('list.unableToLoad')}</h2>
+                <p>{t(error)}</p>
                 <div className="error-details">
-                    <p>This might be due to:</p>
+                    <p>{t('error.causes')}</p>
                     <ul>
-                        <li>Network connection issues</li>
-                        <li>PokeAPI server problems</li>
-                        <li>Temporary service interruption</li>
+                        <li>{t('error.network')}</li>
+                        <li>{t('error.pokeapi')}</li>
+                        <li>{t('error.interruption')}</li>
                     </ul>
                 </div>
                 <button onClick={handleRetry} className="retry-button">
-                    Try Again
+                    {t('list.tryAgain')}
                 </button>
+                {modal}
             </div>
         );
     }
     
-    // Handle search
-    const handleSearch = async (term) => {
-        setSearchTerm(term);
-        setSearchNotFound(false);
-        
-        if (term.trim() === '') {
-            // Show all loaded Pokemon when search is empty
-            setFilteredPokemon(pokemon);
-            return;
-    }
-    
-    // Step 1: Search within already loaded Pokemon
-    const localResults = pokemon.filter(p => 
-        p.name.toLowerCase().includes(term.toLowerCase())
-    );
-    
-    // Step 2: If no local results, try API search for specific Pokemon
-    if (localResults.length === 0) {
-        try {
-            const response = await axios.get(`https://pokeapi.co/api/v2/pokemon/${term.toLowerCase()}`);
-            const foundPokemon = {
-                name: response.data.name,
-                url: `https://pokeapi.co/api/v2/pokemon/${response.data.id}/`
-            };
-            
-            // Add to loaded Pokemon list for future searches
-            setPokemon(prevPokemon => {
-                const exists = prevPokemon.find(p => p.name === foundPokemon.name);
-                return exists ? prevPokemon : [...prevPokemon, foundPokemon];
-            });
-            
-            setFilteredPokemon([foundPokemon]);
-        } catch (error) {
-            // Pokemon not found
-            setFilteredPokemon([]);
-            setSearchNotFound(true);
-            console.log("Pokemon not found:", term);
-        }
-    } else {
-        // Show local search results
-        setFilteredPokemon(localResults);
-    }
+    const handleSearch = (term) => {
+        if (term !== searchTerm) updateQuery({ searchTerm: term });
     };
 
-    const openDetails = (pokemonData) => {
-        setSelectedPokemon(pokemonData);
-        setIsModalOpen(true);
-    };
+    let visiblePokemon = searchTerm.trim() ? filteredPokemon : pokemon;
+    if (filtersActive) visiblePokemon = dexResults.results;
+    if (lookup) visiblePokemon = lookupResult.pokemon;
 
-    const closeDetails = () => {
-        setSelectedPokemon(null);
-        setIsModalOpen(false);
-    };
+    // Paging controls only make sense for the plain dex order
+    const showListNavigation = !lookup && !searchTerm.trim() && !filtersActive;
+
+    // Read out by screen readers through the always-present live region below
+    const announcement = lookup
+        ? (lookupResult.data ? t(`lookup.count.${lookup.kind}`, { count: lookupResult.pokemon.length }) : '')
+        : filtersActive
+        ? (dexResults.loading ? t('list.filtering')
+            : dexResults.error ? '' : t('list.found', { count: dexResults.results.length }))
+        : searchNotFound ? t('list.notFound', { term: searchTerm })
+            : searchTerm.trim() && filteredPokemon.length > 0 ? t('list.found', { count: filteredPokemon.length }) : '';
 
     return (
         <div className="pokemon-list-container">
-            <h1>Discover and explore the world of Pokemon!</h1>
-            <SearchBar onSearch={handleSearch} />
-
-            {searchNotFound && (
-                <div className="no-results">
-                    <p>Pokemon not found: "{searchTerm}"</p>
+            <p className="visually-hidden" role="status" aria-live="polite">{announcement}</p>
+            {offline && (
+                <div className="offline-banner" role="status">
+                    <p>{t('list.offline')}</p>
                 </div>
             )}
 
-            <div className="pokemon-grid">
-                {filteredPokemon.length > 0 ?  (
-                    filteredPokemon.map((pokemon) => (
+            {lookup ? (
+                <LookupView lookup={lookup} entry={lookupResult} onRetry={lookupResult.retry} />
+            ) : (
+                <>
+                    <h1>{t('list.title')}</h1>
+                    <SearchBar
+                        value={searchTerm}
+                        onSearch={handleSearch}
+                        onSelect={(entry) => openDetails({ name: entry.name, url: entry.url })}
+                    />
+                    <FilterPanel
+                        filters={filters}
+                        sort={sort}
+                        onFiltersChange={(nextFilters) => updateQuery({ filters: nextFilters })}
+                        onSortChange={(nextSort) => updateQuery({ sort: nextSort })}
+                    />
+                    {showListNavigation && (
+                        <ListNavigation
+                            page={page}
+                            windowStart={windowStart}
+                            pageSize={LIST_PAGE_SIZE}
+                            lastNumber={LAST_DEX_NUMBER}
+                            onChange={(position) => updateQuery(position)}
+                        />
+                    )}
+
+                    {filtersActive && (
+                        <div className="filter-status">
+                            {dexResults.loading ? (
+                                <p>
+                                    {dexResults.progress
+                                        ? t('list.loadingStats', dexResults.progress)
+                                        : t('list.filtering')}
+                                </p>
+                            ) : dexResults.error ? (
+                                <p className="search-error">{t('list.filterFailed', { reason: t(describeLoadError(dexResults.error)) })}</p>
+                            ) : dexResults.results.length === 0 ? (
+                                <p>{t('list.noMatches')}</p>
+                            ) : (
+                                <p>{t('list.found', { count: dexResults.results.length })}</p>
+                            )}
+                        </div>
+                    )}
+
+                    {searchNotFound && (
+                        <div className="no-results">
+                            <p>{t('list.notFound', { term: searchTerm })}</p>
+                        </div>
+                    )}
+
+                    {searchError && (
+                        <div className="no-results search-error" role="alert">
+                            <p>{t('list.searchFailed', { term: searchTerm, reason: t(searchError) })}</p>
+                        </div>
+                    )}
+                </>
+            )}
+
+            {/* Only the rows near the viewport are mounted, so the DOM stays small */}
+            <div ref={listTopRef} className="list-top" />
+            <VirtualGrid
+                className={`pokemon-grid ${loading && showListNavigation ? 'is-stale' : ''}`}
+                label={t('a11y.grid')}
+                items={visiblePokemon}
+                getKey={(pokemon) => pokemon.name}
+                renderItem={(pokemon, index, { tabIndex }) => (
+                    <ErrorBoundary
+                        name="card"
+                        fallback={({ error, errorInfo, reset }) => (
+                            <CardError name={pokemon.name} onRetry={reset}>
+                                <ErrorDetails error={error} errorInfo={errorInfo} />
+                            </CardError>
+                        )}
+                    >
                         <PokemonCard
-                            key={pokemon.name}
                             pokemon={pokemon}
                             onCardClick={openDetails}
+                            compareSelected={compare.includes(pokemon.name)}
+                            compareDisabled={compare.length >= MAX_COMPARE}
+                            onToggleCompare={toggleCompare}
+                            tabIndex={tabIndex}
+                            note={pokemon.hiddenAbility ? t('lookup.hiddenAbility') : undefined}
                         />
-                    ))
-                ) : null}
-            </div>
+                    </ErrorBoundary>
+                )}
+            />
 
-            {isModalOpen && (
-                <PokemonModal
-                    pokemon={selectedPokemon}
-                    onClose={closeDetails}
+            {showListNavigation && (pageMode ? (
+                totalCount > 0 && (
+                    <Pagination
+                        page={page}
+                        pageCount={pageCount}
+                        onChange={(nextPage) => updateQuery({ page: nextPage })}
+                    />
+                )
+            ) : (
+                // Coming into view (or near it) loads the next batch
+                <div ref={sentinelRef} className="load-more">
+                    {loadingMore && <p>{t('list.loadingMore')}</p>}
+                    {loadMoreError && (
+                        <div className="load-more-error" role="alert">
+                            <p>{t('list.loadMoreFailed', { reason: t(loadMoreError) })}</p>
+                            <button type="button" onClick={loadMorePokemon}>
+                                {t('list.retry')}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            ))}
+
+            {compare.length > 0 && (
+                <div className="compare-tray" role="region" aria-label={t('compare.title')}>
+                    <span className="compare-tray-label">
+                        {t('compare.tray', { count: compare.length, max: MAX_COMPARE })}
+                    </span>
+                    {compare.map(name => (
+                        <button
+                            key={name}
+                            type="button"
+                            className="compare-chip"
+                            onClick={() => toggleCompare(name)}
+                            aria-label={t('compare.remove', { name })}
+                        >
+                            {formatSlug(name)} ✕
+                        </button>
+                    ))}
+                    <button
+                        type="button"
+                        className="compare-open"
+                        onClick={openComparison}
+                        disabled={compare.length < 2}
+                        title={compare.length < 2 ? t('compare.pickMore') : undefined}
+                    >
+                        {t('compare.open')}
+                    </button>
+                    <button type="button" className="compare-clear" onClick={() => updateQuery({ compare: [] })}>
+                        {t('compare.clear')}
+                    </button>
+                </div>
+            )}
+
+            <button type="button" className="team-toggle" onClick={() => setIsTeamOpen(open => !open)}>
+                {t('list.team', { count: activeTeam.members.length, size: TEAM_SIZE })}
+            </button>
+            {isTeamOpen && (
+                <TeamPanel
+                    onClose={() => setIsTeamOpen(false)}
+                    onSelectPokemon={(member) => openDetails({ name: member.name })}
                 />
             )}
+
+            {modal}
         </div>
     );
 };
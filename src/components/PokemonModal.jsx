@@ -1,23 +1,58 @@
 // PokemonModal.jsx shows detailed information for pokemon
 
-import { useState, useEffect } from 'react';
-import axios from 'axios';
+import { useState, useEffect, useId, useRef } from 'react';
 import './PokemonModal.css';
 import formatId from '../utils/formatters.js';
-import { capitalizeWords } from '../utils/string.js';
+import { getPokemon, peekPokemon, isAbortError } from '../api/pokeapi.js';
+import { NotFoundError } from '../api/errors.js';
+import TypeEffectiveness from './TypeEffectiveness';
+import EvolutionChain from './EvolutionChain';
+import { idFromUrl } from '../utils/pokemonFilters.js';
+import useTeams from '../hooks/useTeams.js';
+import { TEAM_SIZE, addToTeam, toTeamMember } from '../store/teamStore.js';
+import PokedexEntry from './PokedexEntry';
+import StatBar from './StatBar';
+import StatCalculator from './StatCalculator';
+import MovesTab from './MovesTab';
+import EncounterList from './EncounterList';
+import SpriteGallery from './SpriteGallery';
+import VarietySelector from './VarietySelector';
+import CryButton from './CryButton';
+import DexStatusButton from './DexStatusButton';
+import ExportImageButtons from './ExportImageButtons';
+import RegionalNumber from './RegionalNumber';
+import TypeBadge from './TypeBadge';
+import RouteLink from './RouteLink';
+import AbilityName from './AbilityName';
+import useFocusTrap from '../hooks/useFocusTrap.js';
+import useTranslation from '../hooks/useTranslation.js';
+import useResource from '../hooks/useResource.js';
+import { speciesStore } from '../api/speciesStore.js';
+import { getDisplayName } from '../utils/localize.js';
+import { lookupPath } from '../utils/lookup.js';
+import { findRegionalNumber } from '../utils/regionalDex.js';
 
 
-const PokemonModal = ({ pokemon, onClose }) => {
+// pokedex: regional dex picked in the list, its entry number is shown next to the national one
+const PokemonModal = ({ pokemon, onClose, onNavigate, pokedex }) => {
     const [pokemonDetails, setPokemonDetails] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-
-    if (!pokemon) {
-        return <p>No Pokemon data</p>;
-    }
+    const [tab, setTab] = useState('overview');
+    const dialogRef = useRef(null);
+    const titleId = useId();
+    useFocusTrap(dialogRef);
+    const { activeTeam } = useTeams();
+    const teamFull = activeTeam.members.length >= TEAM_SIZE;
+    const { language, t } = useTranslation();
+    const speciesId = idFromUrl(pokemonDetails?.species?.url);
+    const species = useResource(speciesStore, speciesId);
+    const regionalNumber = pokedex ? findRegionalNumber(species.data, pokedex) : null;
 
     // Fetch Pokemon details for basic info
     useEffect(() => {
+        const controller = new AbortController();
+
         const fetchPokemonDetails = async () => {
             try {
                 setLoading(true);
@@ -30,23 +65,37 @@ const PokemonModal = ({ pokemon, onClose }) => {
                     return;
                 }
                 
-                // Otherwise fetch detailed info using the URL
-                const pokemonUrl = pokemon.url || pokemon.basicInfo?.url;
-                if (pokemonUrl) {
-                    const response = await axios.get(pokemonUrl);
-                    setPokemonDetails(response.data);
+                // Otherwise use the cached copy, or fetch detailed info by name
+                const pokemonName = pokemon.name || pokemon.basicInfo?.name;
+                const cached = pokemonName && peekPokemon(pokemonName);
+                if (cached) {
+                    setPokemonDetails(cached);
+                    setLoading(false);
+                    return;
+                }
+                if (pokemonName) {
+                    const data = await getPokemon(pokemonName, {
+                        signal: controller.signal,
+                        onRevalidate: setPokemonDetails,
+                    });
+                    setPokemonDetails(data);
                 }
             } catch (err) {
-                setError('Failed to load Pokemon details. Please try again.');
+                if (isAbortError(err)) return;
+                setError(err instanceof NotFoundError
+                    ? 'modal.notFound'
+                    : 'modal.loadFailed');
                 console.error('Error fetching Pokemon details:', err);
             } finally {
-                setLoading(false);
+                if (!controller.signal.aborted) setLoading(false);
             }
         };
 
         if (pokemon) {
             fetchPokemonDetails();
         }
+
+        return () => controller.abort();
     }, [pokemon]);
 
     // Close modal when clicking outside
@@ -68,26 +117,38 @@ const PokemonModal = ({ pokemon, onClose }) => {
         return () => document.removeEventListener('keydown', handleEscape);
     }, [onClose]);
 
+    if (!pokemon) {
+        return <p>No Pokemon data</p>;
+    }
+
     return (
         <div className="modal-backdrop" onClick={handleBackdropClick}>
-            <div className="modal-content">
-                <button className="modal-close" onClick={onClose}>
+            <div
+                ref={dialogRef}
+                className="modal-content"
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby={pokemonDetails && !loading && !error ? titleId : undefined}
+                aria-label={pokemonDetails && !loading && !error ? undefined : t('modal.loading')}
+                tabIndex={-1}
+            >
+                <button className="modal-close" onClick={onClose} aria-label={t('modal.close')}>
                     ✕
                 </button>
 
                 {loading && (
-                    <div className="modal-loading">
-                        <div className="modal-loader"></div>
-                        <p>Loading Pokemon details...</p>
+                    <div className="modal-loading" role="status">
+                        <div className="modal-loader" aria-hidden="true"></div>
+                        <p>{t('modal.loading')}</p>
                     </div>
                 )}
 
                 {error && (
-                    <div className="modal-error">
-                        <h3>😔 Oops!</h3>
-                        <p>{error}</p>
+                    <div className="modal-error" role="alert">
+                        <h3>{t('modal.oops')}</h3>
+                        <p>{t(error)}</p>
                         <button onClick={onClose} className="error-close-btn">
-                            Close
+                            {t('modal.close')}
                         </button>
                     </div>
                 )}
@@ -95,72 +156,130 @@ const PokemonModal = ({ pokemon, onClose }) => {
                 {pokemonDetails && !loading && !error && (
                     <div className="pokemon-details">
                         <div className="pokemon-header">
-                            <img
-                                src={pokemonDetails.sprites?.other?.['official-artwork']?.front_default || pokemonDetails.sprites?.front_default}
-                                alt={pokemonDetails.name}
-                                className="pokemon-modal-image"
-                            />
+                            <SpriteGallery key={pokemonDetails.id} details={pokemonDetails} />
                             <div className="pokemon-basic-info">
-                                <h2 className="pokemon-name pokemon-name-large">{capitalizeWords(pokemonDetails.name)}</h2>
-                                <p className="pokemon-modal-id">{formatId(pokemonDetails.id)}</p>
+                                <h2 className="pokemon-name pokemon-name-large" id={titleId}>{getDisplayName(pokemonDetails.name, species.data, language)}</h2>
+                                <p className="pokemon-modal-id">
+                                    {formatId(pokemonDetails.id)}
+                                    {regionalNumber && <RegionalNumber pokedex={pokedex} number={regionalNumber} />}
+                                </p>
                                 
                                 <div className="pokemon-types">
                                     {pokemonDetails.types.map((typeInfo) => (
-                                        <span 
-                                        key={typeInfo.type.name}
-                                        className={`type-${typeInfo.type.name}`}>
-                                            {capitalizeWords(typeInfo.type.name)}
-                                        </span>
+                                        <TypeBadge key={typeInfo.type.name} type={typeInfo.type.name} link />
                                     ))}
                                 </div>
-                            </div>
-                        </div>
 
-                        <div className="pokemon-stats-section">
-                            <h3>Physical Characteristics</h3>
-                            <div className="pokemon-characteristics">
-                                <div className="characteristic">
-                                    <span className="label">Height:</span>
-                                    <span className="value">{(pokemonDetails.height / 10).toFixed(1)} m</span>
-                                </div>
-                                <div className="characteristic">
-                                    <span className="label">Weight:</span>
-                                    <span className="value">{(pokemonDetails.weight / 10).toFixed(1)} kg</span>
-                                </div>
-                                <div className="characteristic">
-                                    <span className="label">Base Experience:</span>
-                                    <span className="value">{pokemonDetails.base_experience}</span>
+                                <VarietySelector
+                                    species={species.data}
+                                    currentName={pokemonDetails.name}
+                                    onSelect={(name) => onNavigate?.(name)}
+                                />
+
+                                <div className="modal-actions">
+                                    <button
+                                        type="button"
+                                        className="modal-action"
+                                        onClick={() => addToTeam(toTeamMember(pokemonDetails))}
+                                        disabled={teamFull}
+                                    >
+                                        {t(teamFull ? 'modal.teamFull' : 'modal.addToTeam', { team: activeTeam.name })}
+                                    </button>
+                                    <DexStatusButton name={pokemonDetails.name} className="modal-action" />
+                                    <CryButton cries={pokemonDetails.cries} />
+                                    <ExportImageButtons names={[pokemonDetails.name]} fileName={pokemonDetails.name} />
                                 </div>
                             </div>
+                        </div>
+
+                        <div className="modal-tabs" role="tablist">
+                            {['overview', 'moves'].map(name => (
+                                <button
+                                    key={name}
+                                    id={`${titleId}-tab-${name}`}
+                                    type="button"
+                                    role="tab"
+                                    aria-controls={`${titleId}-panel`}
+                                    className={`modal-tab ${tab === name ? 'active' : ''}`}
+                                    aria-selected={tab === name}
+                                    onClick={() => setTab(name)}
+                                >
+                                    {t(name === 'overview' ? 'modal.tabOverview' : 'modal.tabMoves')}
+                                </button>
+                            ))}
+                        </div>
+
+                        <div role="tabpanel" id={`${titleId}-panel`} aria-labelledby={`${titleId}-tab-${tab}`}>
+                            {tab === 'moves' ? (
+                                <MovesTab key={pokemonDetails.id} details={pokemonDetails} />
+                            ) : (
+                                <div className="pokemon-stats-section">
+                                    <h3>{t('modal.pokedexEntry')}</h3>
+                                    {species.data ? (
+                                        <PokedexEntry key={`${species.data.id}-${language}`} species={species.data} />
+                                    ) : (
+                                        <p className="pokedex-entry-empty">
+                                            {species.status === 'error' ? t('modal.noFlavorText') : t('modal.loading')}
+                                        </p>
+                                    )}
 
-                            <h3>Base Stats</h3>
-                            <div className="pokemon-stats">
-                                {pokemonDetails.stats.map((stat) => (
-                                    <div key={stat.stat.name} className="stat-item">
-                                        <span className="stat-name">{capitalizeWords(stat.stat.name.replace('-', ' '))}</span>
-                                        <div className="stat-bar">
-                                            <div 
-                                                className="stat-fill" 
-                                                style={{ 
-                                                    width: `${Math.min((stat.base_stat / 200) * 100, 100)}%`,
-                                                    backgroundColor: stat.base_stat > 100 ? '#ef4444' : stat.base_stat > 50 ? '#f59e0b' : '#10b981'
-                                                }}
-                                            ></div>
+                                    <h3>{t('modal.physical')}</h3>
+                                    <div className="pokemon-characteristics">
+                                        <div className="characteristic">
+                                            <span className="label">{t('modal.height')}</span>
+                                            <span className="value">{(pokemonDetails.height / 10).toFixed(1)} m</span>
+                                        </div>
+                                        <div className="characteristic">
+                                            <span className="label">{t('modal.weight')}</span>
+                                            <span className="value">{(pokemonDetails.weight / 10).toFixed(1)} kg</span>
+                                        </div>
+                                        <div className="characteristic">
+                                            <span className="label">{t('modal.baseExperience')}</span>
+                                            <span className="value">{pokemonDetails.base_experience}</span>
                                         </div>
-                                        <span className="stat-value">{stat.base_stat}</span>
                                     </div>
-                                ))}
-                            </div>
 
-                            <h3>Abilities</h3>
-                            <div className="pokemon-abilities">
-                                {pokemonDetails.abilities.map((ability) => (
-                                    <span key={ability.ability.name} className="ability-badge">
-                                        {capitalizeWords(ability.ability.name.replace('-', ' '))}
-                                        {ability.is_hidden && <small> (Hidden)</small>}
-                                    </span>
-                                ))}
-                            </div>
+                                    <h3>{t('modal.baseStats')}</h3>
+                                    <div className="pokemon-stats">
+                                        {pokemonDetails.stats.map((stat) => (
+                                            <div key={stat.stat.name} className="stat-item">
+                                                <span className="stat-name">{t(`stat.${stat.stat.name}`)}</span>
+                                                <StatBar value={stat.base_stat} />
+                                                <span className="stat-value">{stat.base_stat}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+
+                                    <h3>{t('modal.statCalculator')}</h3>
+                                    <StatCalculator key={pokemonDetails.id} details={pokemonDetails} />
+
+                                    <h3>{t('modal.typeEffectiveness')}</h3>
+                                    <TypeEffectiveness types={pokemonDetails.types.map(typeInfo => typeInfo.type.name)} />
+
+                                    <h3>{t('modal.evolution')}</h3>
+                                    <EvolutionChain
+                                        speciesId={speciesId}
+                                        onSelect={(stage) => onNavigate?.(stage.id)}
+                                    />
+
+                                    <h3>{t('modal.whereToFind')}</h3>
+                                    <EncounterList key={pokemonDetails.location_area_encounters} url={pokemonDetails.location_area_encounters} />
+
+                                    <h3>{t('modal.abilities')}</h3>
+                                    <div className="pokemon-abilities">
+                                        {pokemonDetails.abilities.map((ability) => (
+                                            <RouteLink
+                                                key={ability.ability.name}
+                                                to={lookupPath('ability', ability.ability.name)}
+                                                className="ability-badge"
+                                            >
+                                                <AbilityName name={ability.ability.name} />
+                                                {ability.is_hidden && <small> {t('modal.hidden')}</small>}
+                                            </RouteLink>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
                         </div>
                     </div>
                 )}
@@ -0,0 +1,170 @@
+// ProgressView.jsx - personal Pokedex completion per generation and per
+// regional dex, plus moving the progress between machines as a JSON file
+
+import { useEffect, useMemo, useState } from 'react';
+import './ProgressView.css';
+import useDex from '../hooks/useDex.js';
+import useNameIndex from '../hooks/useNameIndex.js';
+import useResources from '../hooks/useResources.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { getPokedexList, isAbortError } from '../api/pokeapi.js';
+import { pokedexStore } from '../api/pokedexStore.js';
+import { exportDexProgress, importDexProgress, resetDexProgress } from '../store/dexStore.js';
+import { getMarkedSpecies, getGenerationProgress, getPokedexProgress, toPercent } from '../utils/dexProgress.js';
+import { GENERATION_REGIONS } from '../utils/pokemonFilters.js';
+import { formatSlug, getLocalizedName } from '../utils/localize.js';
+
+const generationLabel = (name, t) => {
+    const numeral = name.replace('generation-', '').toUpperCase();
+    return t('generation.label', { numeral, region: GENERATION_REGIONS[name] });
+};
+
+const ProgressRow = ({ label, total, seen, caught }) => {
+    const { t } = useTranslation();
+    return (
+        <tr>
+            <th scope="row">{label}</th>
+            <td>
+                <div className="progress-bar" aria-hidden="true">
+                    <div className="progress-seen" style={{ width: `${toPercent(seen, total)}%` }}></div>
+                    <div className="progress-caught" style={{ width: `${toPercent(caught, total)}%` }}></div>
+                </div>
+            </td>
+            <td>{t('dex.count', { count: seen, total })}</td>
+            <td>{t('dex.count', { count: caught, total })}</td>
+            <td className="progress-percent">{toPercent(caught, total)}%</td>
+        </tr>
+    );
+};
+
+const ProgressTable = ({ caption, children }) => {
+    const { t } = useTranslation();
+    return (
+        <div className="progress-table-wrapper">
+            <table className="progress-table">
+                <caption>{caption}</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">{t('dex.dex')}</th>
+                        <th scope="col"><span className="visually-hidden">{t('dex.progress')}</span></th>
+                        <th scope="col">{t('dex.status.seen')}</th>
+                        <th scope="col">{t('dex.status.caught')}</th>
+                        <th scope="col">{t('dex.complete')}</th>
+                    </tr>
+                </thead>
+                <tbody>{children}</tbody>
+            </table>
+        </div>
+    );
+};
+
+const ProgressView = () => {
+    const { entries } = useDex();
+    const { entries: nameIndex, error: indexError } = useNameIndex();
+    const { language, t } = useTranslation();
+    const [pokedexNames, setPokedexNames] = useState([]);
+    const [message, setMessage] = useState(null);   // { text, error }
+
+    // Regional dexes come from PokeAPI so new games show up on their own
+    useEffect(() => {
+        const controller = new AbortController();
+        getPokedexList({ signal: controller.signal })
+            .then(data => setPokedexNames(data.results.map(pokedex => pokedex.name).filter(name => name !== 'national')))
+            .catch(error => {
+                if (!isAbortError(error)) console.error("Error loading Pokedex list:", error);
+            });
+        return () => controller.abort();
+    }, []);
+
+    const pokedexes = useResources(pokedexStore, pokedexNames);
+    const marked = useMemo(() => getMarkedSpecies(entries, nameIndex), [entries, nameIndex]);
+    const generations = getGenerationProgress(marked);
+    const national = generations.reduce((sum, generation) => ({
+        total: sum.total + generation.total,
+        seen: sum.seen + generation.seen,
+        caught: sum.caught + generation.caught,
+    }), { total: 0, seen: 0, caught: 0 });
+    const pendingDexes = [...pokedexes.values()].filter(entry => !entry.data && entry.status !== 'error').length;
+
+    const handleExport = () => {
+        const blob = new Blob([exportDexProgress()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `pokedex-progress-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 0); // Firefox cancels downloads revoked in the same task
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // picking the same file again should import again
+        if (!file) return;
+        try {
+            const count = importDexProgress(await file.text());
+            setMessage({ text: t('dex.imported', { count }), error: false });
+        } catch (error) {
+            setMessage({ text: t('dex.importFailed', { reason: error.key ? t(error.key) : error.message }), error: true });
+        }
+    };
+
+    const handleReset = () => {
+        if (window.confirm(t('dex.resetConfirm'))) {
+            resetDexProgress();
+            setMessage(null);
+        }
+    };
+
+    return (
+        <div className="progress-view">
+            <h2>{t('dex.title')}</h2>
+            <p className="progress-summary">
+                {t('dex.summary', { caught: national.caught, seen: national.seen, total: national.total })}
+            </p>
+            {indexError && !nameIndex && <p className="error" role="alert">{t('quiz.loadError')}</p>}
+
+            <div className="progress-actions">
+                <button type="button" className="modal-action" onClick={handleExport}>
+                    {t('dex.export')}
+                </button>
+                <label className="modal-action progress-import">
+                    {t('dex.import')}
+                    <input type="file" accept="application/json,.json" onChange={handleImport} className="visually-hidden" />
+                </label>
+                {Object.keys(entries).length > 0 && (
+                    <button type="button" className="progress-reset" onClick={handleReset}>
+                        {t('dex.reset')}
+                    </button>
+                )}
+            </div>
+            {message && (
+                <p className={`progress-message ${message.error ? 'error' : ''}`} role={message.error ? 'alert' : 'status'}>
+                    {message.text}
+                </p>
+            )}
+
+            <ProgressTable caption={t('dex.byGeneration')}>
+                {generations.map(generation => (
+                    <ProgressRow key={generation.name} label={generationLabel(generation.name, t)} {...generation} />
+                ))}
+            </ProgressTable>
+
+            <ProgressTable caption={t('dex.byRegionalDex')}>
+                {[...pokedexes.entries()]
+                    .filter(([, entry]) => entry.data?.is_main_series)
+                    .map(([name, entry]) => (
+                        <ProgressRow
+                            key={name}
+                            label={getLocalizedName(entry.data.names, language) || formatSlug(name)}
+                            {...getPokedexProgress(entry.data, marked)}
+                        />
+                    ))}
+            </ProgressTable>
+            {pendingDexes > 0 && (
+                <p className="progress-status">{t('dex.loadingDexes', { count: pendingDexes })}</p>
+            )}
+        </div>
+    );
+};
+
+export default ProgressView;
@@ -0,0 +1,242 @@
+// QuizMode.jsx - "Who's That Pokemon?": guess the Pokemon from the silhouette
+// of its official artwork
+
+import { useEffect, useMemo, useState } from 'react';
+import './QuizMode.css';
+import useNameIndex from '../hooks/useNameIndex.js';
+import useQuiz from '../hooks/useQuiz.js';
+import useResources from '../hooks/useResources.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { speciesStore } from '../api/speciesStore.js';
+import { updateQuizSettings, recordAnswer, resetQuizScores } from '../store/quizStore.js';
+import { artworkUrl } from '../utils/sprites.js';
+import { getDisplayName, getLocalizedName } from '../utils/localize.js';
+import { GENERATION_REGIONS, GENERATION_RANGES } from '../utils/pokemonFilters.js';
+import {
+    QUIZ_MODES,
+    TIME_LIMITS,
+    getQuizPool,
+    pickQuestion,
+    isCorrectGuess,
+} from '../utils/quiz.js';
+import Loader from './Loader';
+
+const generationLabel = (name, t) => {
+    const numeral = name.replace('generation-', '').toUpperCase();
+    return t('generation.label', { numeral, region: GENERATION_REGIONS[name] });
+};
+
+const QuizMode = () => {
+    const { language, t } = useTranslation();
+    const { entries, error } = useNameIndex();
+    const { settings, streak, bestStreak, answered, correct } = useQuiz();
+    const [question, setQuestion] = useState(null);
+    const [guess, setGuess] = useState('');
+    // null while guessing, then { correct, picked, timedOut, newBest }
+    const [result, setResult] = useState(null);
+    const [timeLeft, setTimeLeft] = useState(settings.timeLimit);
+
+    const pool = useMemo(() => getQuizPool(entries, settings), [entries, settings]);
+
+    // Species carry the localized names shown on the buttons and accepted as guesses
+    const shown = question ? question.choices || [question.answer] : [];
+    const species = useResources(speciesStore, shown.map(entry => String(entry.id)));
+    const nameOf = (entry) => getDisplayName(entry.name, species.get(String(entry.id))?.data, language);
+
+    const nextQuestion = () => {
+        setQuestion(pickQuestion(pool, settings, { previous: question?.answer.name }));
+        setGuess('');
+        setResult(null);
+        setTimeLeft(settings.timeLimit);
+    };
+
+    const changeSettings = (changes) => {
+        updateQuizSettings(changes);
+        setQuestion(null);
+        setResult(null);
+    };
+
+    const answer = (isCorrect, picked = null) => {
+        if (result) return;
+        const newBest = recordAnswer(isCorrect);
+        setResult({ correct: isCorrect, picked, timedOut: false, newBest });
+    };
+
+    const submitGuess = (e) => {
+        e.preventDefault();
+        if (!guess.trim()) return;
+        const answerSpecies = species.get(String(question.answer.id))?.data;
+        answer(isCorrectGuess(guess, [
+            question.answer.name,
+            getLocalizedName(answerSpecies?.names, language),
+            getLocalizedName(answerSpecies?.names, 'en'),
+        ].filter(Boolean)));
+    };
+
+    // Count down while the player is guessing; running out counts as a miss
+    useEffect(() => {
+        if (!question || result || !settings.timeLimit) return;
+        const deadline = Date.now() + settings.timeLimit * 1000;
+        const timer = setInterval(() => {
+            const left = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+            setTimeLeft(left);
+            if (left === 0) {
+                clearInterval(timer);
+                const newBest = recordAnswer(false);
+                setResult({ correct: false, picked: null, timedOut: true, newBest });
+            }
+        }, 250);
+        return () => clearInterval(timer);
+    }, [question, result, settings.timeLimit]);
+
+    const resultMessage = () => {
+        const name = nameOf(question.answer);
+        if (result.correct) return t('quiz.correct', { name });
+        return t(result.timedOut ? 'quiz.timeUp' : 'quiz.wrong', { name });
+    };
+
+    const choiceClass = (entry) => {
+        if (!result) return '';
+        if (entry.name === question.answer.name) return 'correct';
+        return entry.name === result.picked ? 'wrong' : '';
+    };
+
+    return (
+        <div className="quiz-mode">
+            <h2 className="quiz-title">{t('quiz.title')}</h2>
+
+            <div className="quiz-settings">
+                <label>
+                    {t('quiz.from')}
+                    <select
+                        value={settings.fromGeneration}
+                        onChange={(e) => changeSettings({ fromGeneration: Number(e.target.value) })}
+                    >
+                        {GENERATION_RANGES.map((generation, index) => (
+                            <option key={generation.name} value={index}>{generationLabel(generation.name, t)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('quiz.to')}
+                    <select
+                        value={settings.toGeneration}
+                        onChange={(e) => changeSettings({ toGeneration: Number(e.target.value) })}
+                    >
+                        {GENERATION_RANGES.map((generation, index) => (
+                            <option key={generation.name} value={index}>{generationLabel(generation.name, t)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('quiz.mode')}
+                    <select value={settings.mode} onChange={(e) => changeSettings({ mode: e.target.value })}>
+                        {QUIZ_MODES.map(mode => (
+                            <option key={mode} value={mode}>{t(`quiz.mode.${mode}`)}</option>
+                        ))}
+                    </select>
+                </label>
+                <label>
+                    {t('quiz.timeLimit')}
+                    <select
+                        value={settings.timeLimit}
+                        onChange={(e) => changeSettings({ timeLimit: Number(e.target.value) })}
+                    >
+                        {TIME_LIMITS.map(seconds => (
+                            <option key={seconds} value={seconds}>
+                                {seconds ? t('quiz.seconds', { count: seconds }) : t('quiz.noLimit')}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <div className="quiz-scores" aria-live="polite">
+                <span>{t('quiz.streak', { count: streak })}</span>
+                <span>{t('quiz.best', { count: bestStreak })}</span>
+                <span>{t('quiz.accuracy', { correct, answered })}</span>
+                {answered > 0 && (
+                    <button type="button" className="quiz-link" onClick={resetQuizScores}>
+                        {t('quiz.resetScores')}
+                    </button>
+                )}
+            </div>
+
+            {error && !entries && <p className="error" role="alert">{t('quiz.loadError')}</p>}
+            {!error && !entries && <Loader />}
+
+            {entries && !question && (
+                <button type="button" className="quiz-primary" onClick={nextQuestion} disabled={pool.length === 0}>
+                    {t('quiz.start')}
+                </button>
+            )}
+
+            {question && (
+                <div className="quiz-stage">
+                    {settings.timeLimit > 0 && !result && (
+                        <p className="quiz-timer" aria-live="off">{t('quiz.timeLeft', { seconds: timeLeft })}</p>
+                    )}
+
+                    <div className="quiz-artwork-frame">
+                        <img
+                            key={question.answer.name}
+                            src={artworkUrl(question.answer.id)}
+                            alt={result ? nameOf(question.answer) : t('quiz.silhouette')}
+                            className={`quiz-artwork ${result ? 'revealed' : ''}`}
+                            draggable={false}
+                        />
+                    </div>
+
+                    {!result && <p className="quiz-prompt">{t('quiz.prompt')}</p>}
+
+                    {result && (
+                        <p className={`quiz-result ${result.correct ? 'correct' : 'wrong'}`} role="status">
+                            {resultMessage()}
+                            {result.newBest && <strong> {t('quiz.newBest')}</strong>}
+                        </p>
+                    )}
+
+                    {question.choices ? (
+                        <div className="quiz-choices">
+                            {question.choices.map(entry => (
+                                <button
+                                    key={entry.name}
+                                    type="button"
+                                    className={`quiz-choice ${choiceClass(entry)}`}
+                                    onClick={() => answer(entry.name === question.answer.name, entry.name)}
+                                    disabled={Boolean(result)}
+                                >
+                                    {nameOf(entry)}
+                                </button>
+                            ))}
+                        </div>
+                    ) : !result && (
+                        <form className="quiz-guess" onSubmit={submitGuess}>
+                            <input
+                                type="text"
+                                value={guess}
+                                onChange={(e) => setGuess(e.target.value)}
+                                placeholder={t('quiz.guess')}
+                                aria-label={t('quiz.guess')}
+                                autoComplete="off"
+                                autoFocus
+                            />
+                            <button type="submit" className="quiz-primary">{t('quiz.submit')}</button>
+                            <button type="button" className="quiz-link" onClick={() => answer(false)}>
+                                {t('quiz.giveUp')}
+                            </button>
+                        </form>
+                    )}
+
+                    {result && (
+                        <button type="button" className="quiz-primary" onClick={nextQuestion} autoFocus>
+                            {t('quiz.next')}
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default QuizMode;
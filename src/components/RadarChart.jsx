@@ -0,0 +1,68 @@
+// RadarChart.jsx - SVG radar chart with one overlaid polygon per series
+
+import './RadarChart.css';
+
+const SIZE = 320;
+const CENTER = SIZE / 2;
+const RADIUS = 110;
+const RINGS = 4;
+
+// Point for `value` (0..max) on the axis at `index`, axes start at 12 o'clock
+const pointAt = (index, count, value, max) => {
+    const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+    const distance = (Math.min(value, max) / max) * RADIUS;
+    return [CENTER + Math.cos(angle) * distance, CENTER + Math.sin(angle) * distance];
+};
+
+const toPoints = (points) => points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+// axes: labels around the chart; series: [{ label, color, values }], one value per axis
+const RadarChart = ({ axes, series, max, title }) => {
+    // Scale to the largest value, rounded up to a multiple of 50
+    const scale = max ?? Math.max(50, Math.ceil(Math.max(...series.flatMap(s => s.values)) / 50) * 50);
+
+    const ring = (fraction) =>
+        toPoints(axes.map((_, index) => pointAt(index, axes.length, scale * fraction, scale)));
+
+    return (
+        <figure className="radar-chart">
+            <svg viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label={title}>
+                {Array.from({ length: RINGS }, (_, i) => (
+                    <polygon key={i} points={ring((i + 1) / RINGS)} className="radar-ring" />
+                ))}
+                {axes.map((label, index) => {
+                    const [x, y] = pointAt(index, axes.length, scale, scale);
+                    const [labelX, labelY] = pointAt(index, axes.length, scale * 1.2, scale * 1.2);
+                    return (
+                        <g key={label}>
+                            <line x1={CENTER} y1={CENTER} x2={x} y2={y} className="radar-axis" />
+                            <text x={labelX} y={labelY} className="radar-label" textAnchor="middle" dominantBaseline="middle">
+                                {label}
+                            </text>
+                        </g>
+                    );
+                })}
+                {series.map(entry => (
+                    <polygon
+                        key={entry.label}
+                        points={toPoints(entry.values.map((value, index) => pointAt(index, axes.length, value, scale)))}
+                        className="radar-series"
+                        style={{ fill: entry.color, stroke: entry.color }}
+                    >
+                        <title>{entry.label}</title>
+                    </polygon>
+                ))}
+            </svg>
+            <figcaption className="radar-legend">
+                {series.map(entry => (
+                    <span key={entry.label} className="radar-legend-item">
+                        <span className="radar-swatch" style={{ background: entry.color }}></span>
+                        {entry.label}
+                    </span>
+                ))}
+            </figcaption>
+        </figure>
+    );
+};
+
+export default RadarChart;
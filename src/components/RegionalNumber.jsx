@@ -0,0 +1,22 @@
+// RegionalNumber.jsx - "Kanto #025": a Pokemon's entry number in a regional
+// Pokedex, shown next to its national number
+
+import './RegionalNumber.css';
+import useResource from '../hooks/useResource.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { pokedexStore } from '../api/pokedexStore.js';
+import formatId from '../utils/formatters.js';
+import { getPokedexLabel } from '../utils/regionalDex.js';
+
+const RegionalNumber = ({ pokedex, number }) => {
+    const { data } = useResource(pokedexStore, pokedex);
+    const { language } = useTranslation();
+
+    return (
+        <span className="regional-number">
+            {getPokedexLabel(pokedex, data, language)} {formatId(number, { scheme: 'regional' })}
+        </span>
+    );
+};
+
+export default RegionalNumber;
@@ -0,0 +1,21 @@
+// RouteLink.jsx - a real link (middle click, "open in new tab" keep working)
+// that navigates with the app's router on a plain click
+
+import { navigate } from '../utils/router.js';
+
+const RouteLink = ({ to, state, onClick, children, ...props }) => {
+    const handleClick = (e) => {
+        onClick?.(e);
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(to, { state });
+    };
+
+    return (
+        <a href={to} onClick={handleClick} {...props}>
+            {children}
+        </a>
+    );
+};
+
+export default RouteLink;
@@ -1,45 +1,169 @@
-import { useState } from 'react';
+import { useState, useEffect, useId, useMemo, useRef } from 'react';
 import './SearchBar.css';
+import useDebouncedValue from '../hooks/useDebouncedValue.js';
+import useNameIndex from '../hooks/useNameIndex.js';
+import { getSearchNames, searchNameIndex } from '../api/nameIndex.js';
+import formatId from '../utils/formatters.js';
+import { spriteUrl } from '../utils/sprites.js';
+import { formatSlug } from '../utils/localize.js';
+import useTranslation from '../hooks/useTranslation.js';
 
-const SearchBar = ({ onSearch }) => {
-  const [searchTerm, setSearchTerm] = useState('');
+const SEARCH_DELAY = 300;   // ms of typing pause before searching
+const MAX_SUGGESTIONS = 8;
+
+// Suggestions come from the Pokemon name index unless getSuggestions(term, { limit, language })
+// supplies others as [{ name, label, image, meta }]; onSelect gets the picked entry.
+const SearchBar = ({ value = '', onSearch, onSelect, placeholder, getSuggestions }) => {
+  const [searchTerm, setSearchTerm] = useState(value);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const debouncedTerm = useDebouncedValue(searchTerm, SEARCH_DELAY);
+  const { entries } = useNameIndex({ enabled: !getSuggestions });
+  const { language, t } = useTranslation();
+  const lastSearched = useRef(value);
+  // Several search bars can be on screen (list, team builder...)
+  const listId = useId();
+
+  // Follow outside changes to the term, e.g. browser back/forward
+  useEffect(() => {
+    if (value === lastSearched.current) return;
+    lastSearched.current = value;
+    setSearchTerm(value);
+  }, [value]);
+
+  // Search once the user pauses typing instead of on every keystroke
+  useEffect(() => {
+    if (debouncedTerm === lastSearched.current) return;
+    lastSearched.current = debouncedTerm;
+    onSearch(debouncedTerm);
+  }, [debouncedTerm, onSearch]);
+
+  // Ranking the whole name index is too slow to repeat on every render
+  const suggestions = useMemo(() => {
+    if (!showSuggestions) return [];
+    const suggestPokemon = (term, options) =>
+      searchNameIndex(term, entries, options).map(entry => ({
+        ...entry,
+        label: getSearchNames(entry, language)[1] || formatSlug(entry.name),
+        image: spriteUrl(entry.id),
+        meta: formatId(entry.id),
+      }));
+    return (getSuggestions || suggestPokemon)(debouncedTerm, { limit: MAX_SUGGESTIONS, language });
+  }, [showSuggestions, getSuggestions, debouncedTerm, entries, language]);
+
+  const runSearch = (term) => {
+    lastSearched.current = term;
+    onSearch(term);
+  };
 
   const handleInputChange = (e) => {
-        const value = e.target.value;
-        setSearchTerm(value);
-        onSearch(value); // Call search immediately on every keystroke
-    };
+    setSearchTerm(e.target.value);
+    setShowSuggestions(true);
+    setActiveIndex(-1);
+  };
 
   const handleClear = () => {
     setSearchTerm('');
-    onSearch('');
+    setShowSuggestions(false);
+    runSearch('');
   };
 
+  const selectSuggestion = (entry) => {
+    setSearchTerm(entry.name);
+    setShowSuggestions(false);
+    setActiveIndex(-1);
+    runSearch(entry.name);
+    onSelect?.(entry);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' && suggestions.length > 0) {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveIndex(index => (index + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp' && suggestions.length > 0) {
+      e.preventDefault();
+      setActiveIndex(index => (index <= 0 ? suggestions.length - 1 : index - 1));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (activeIndex >= 0 && suggestions[activeIndex]) {
+        selectSuggestion(suggestions[activeIndex]);
+      } else {
+        setShowSuggestions(false);
+        runSearch(searchTerm);
+      }
+    } else if (e.key === 'Escape' && showSuggestions) {
+      // Don't let Escape bubble up and close other things (e.g. the modal)
+      e.stopPropagation();
+      setShowSuggestions(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  const listOpen = showSuggestions && suggestions.length > 0;
+
     return (
     <div className="search-bar">
-      <form className="search-form">
+      <form className="search-form" onSubmit={(e) => e.preventDefault()}>
         <div className="search-input-container">
           <input
             type="text"
-            placeholder="Search Pokemon by name... "
+            placeholder={placeholder ?? t('search.placeholder')}
             value={searchTerm}
             onChange={handleInputChange}
+            onKeyDown={handleKeyDown}
+            onFocus={() => setShowSuggestions(true)}
+            onBlur={() => setShowSuggestions(false)}
             className="search-input"
+            role="combobox"
+            aria-expanded={listOpen}
+            aria-controls={listId}
+            aria-autocomplete="list"
+            aria-activedescendant={activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
           />
           {searchTerm && (
-            <button 
-              type="button" 
+            <button
+              type="button"
               onClick={handleClear}
               className="clear-button"
-              aria-label="Clear search"
+              aria-label={t('search.clear')}
             >
               ✕
             </button>
           )}
+
+          {listOpen && (
+            <ul className="search-suggestions" id={listId} role="listbox">
+              {suggestions.map((entry, index) => (
+                <li
+                  key={entry.name}
+                  id={`${listId}-${index}`}
+                  role="option"
+                  aria-selected={index === activeIndex}
+                  className={`search-suggestion ${index === activeIndex ? 'active' : ''}`}
+                  // mousedown fires before the input's blur hides the list
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    selectSuggestion(entry);
+                  }}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  <img
+                    src={entry.image}
+                    alt=""
+                    className="suggestion-sprite"
+                    loading="lazy"
+                  />
+                  <span className="suggestion-name">{entry.label}</span>
+                  {entry.meta && <span className="suggestion-id">{entry.meta}</span>}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </form>
     </div>
   );
 };
 
-export default SearchBar;
\ No newline at end of file
+export default SearchBar;
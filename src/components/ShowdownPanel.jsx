@@ -0,0 +1,109 @@
+// ShowdownPanel.jsx - export team members as Showdown paste text, or import
+// pasted text as a new team after checking it against PokeAPI
+
+import { useEffect, useRef, useState } from 'react';
+import { importShowdownText } from '../api/showdownImport.js';
+import { isAbortError } from '../api/pokeapi.js';
+import { addTeam } from '../store/teamStore.js';
+import { formatShowdownTeam } from '../utils/showdown.js';
+import useTranslation from '../hooks/useTranslation.js';
+
+// mode: 'export' (members is what to export) or 'import'
+const ShowdownPanel = ({ mode, members = [], onClose }) => {
+    const { t } = useTranslation();
+    const [text, setText] = useState('');
+    const [result, setResult] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [failed, setFailed] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const controller = useRef(null);
+
+    useEffect(() => () => controller.current?.abort(), []);
+
+    if (mode === 'export') {
+        const exported = formatShowdownTeam(members);
+        const copy = () => {
+            navigator.clipboard?.writeText(exported)
+                .then(() => setCopied(true))
+                .catch(error => console.warn('Could not copy team:', error));
+        };
+
+        return (
+            <section className="showdown-panel">
+                <h3>{t('showdown.exportTitle')}</h3>
+                <textarea className="showdown-text" value={exported} readOnly rows={12} aria-label={t('showdown.text')} />
+                <div className="showdown-actions">
+                    <button type="button" onClick={copy}>{copied ? t('showdown.copied') : t('showdown.copy')}</button>
+                    <button type="button" onClick={onClose}>{t('showdown.close')}</button>
+                </div>
+            </section>
+        );
+    }
+
+    const check = async () => {
+        controller.current?.abort();
+        controller.current = new AbortController();
+        setChecking(true);
+        setFailed(false);
+        setResult(null);
+        try {
+            setResult(await importShowdownText(text, { signal: controller.current.signal }));
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error('Error checking Showdown team:', error);
+            setFailed(true);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    const importTeam = () => {
+        addTeam(result.teamName || undefined, result.members);
+        onClose();
+    };
+
+    const canImport = result && result.errors.length === 0 && result.members.length > 0;
+
+    return (
+        <section className="showdown-panel">
+            <h3>{t('showdown.importTitle')}</h3>
+            <textarea
+                className="showdown-text"
+                value={text}
+                rows={12}
+                placeholder={t('showdown.placeholder')}
+                aria-label={t('showdown.text')}
+                onChange={(e) => {
+                    setText(e.target.value);
+                    setResult(null);
+                }}
+            />
+
+            {failed && <p className="team-hint error">{t('showdown.unreachable')}</p>}
+            {result && result.errors.length > 0 && (
+                <ul className="showdown-errors">
+                    {result.errors.map((error, index) => (
+                        <li key={index}>{t('showdown.lineError', { line: error.line, message: t(error.key, error.values) })}</li>
+                    ))}
+                </ul>
+            )}
+            {canImport && (
+                <p className="team-hint">
+                    {result.teamName
+                        ? t('showdown.readyAs', { count: result.members.length, name: result.teamName })
+                        : t('showdown.ready', { count: result.members.length })}
+                </p>
+            )}
+
+            <div className="showdown-actions">
+                <button type="button" onClick={check} disabled={!text.trim() || checking}>
+                    {checking ? t('showdown.checking') : t('showdown.check')}
+                </button>
+                <button type="button" onClick={importTeam} disabled={!canImport}>{t('showdown.importTeam')}</button>
+                <button type="button" onClick={onClose}>{t('showdown.cancel')}</button>
+            </div>
+        </section>
+    );
+};
+
+export default ShowdownPanel;
@@ -0,0 +1,23 @@
+// SkeletonCard.jsx - placeholder shown while a card's details are loading
+
+import './SkeletonCard.css';
+
+const SkeletonCard = () => {
+    return (
+        <div className="pokemon-card skeleton-card" aria-hidden="true">
+            <div className="pokemon-image-container">
+                <div className="skeleton skeleton-image"></div>
+            </div>
+            <div className="pokemon-info">
+                <div className="skeleton skeleton-line skeleton-id"></div>
+                <div className="skeleton skeleton-line skeleton-name"></div>
+                <div className="skeleton-types">
+                    <div className="skeleton skeleton-badge"></div>
+                    <div className="skeleton skeleton-badge"></div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SkeletonCard;
@@ -0,0 +1,89 @@
+// SpriteGallery.jsx - the modal's main image, switchable between sprite sets
+// (artwork, HOME, per-game sprites...), front/back, shiny, female and cosmetic forms
+
+import { useState } from 'react';
+import './SpriteGallery.css';
+import { formStore } from '../api/formStore.js';
+import useResource from '../hooks/useResource.js';
+import useTranslation from '../hooks/useTranslation.js';
+import { getSpriteSets, pickSprite } from '../utils/sprites.js';
+import { formatSlug } from '../utils/localize.js';
+
+const DEFAULT_VIEW = { back: false, shiny: false, female: false };
+
+const setLabel = (set, t) => (set.game
+    ? t('sprites.gameSet', { numeral: set.generation.replace('generation-', '').toUpperCase(), game: formatSlug(set.game) })
+    : t(`sprites.${set.id}`));
+
+// details: /pokemon payload. Remount (key) to reset the selection for another Pokemon.
+const SpriteGallery = ({ details }) => {
+    const { t } = useTranslation();
+    const forms = details.forms || [];
+    const [formName, setFormName] = useState(forms[0]?.name ?? '');
+    const [setId, setSetId] = useState('official-artwork');
+    const [view, setView] = useState(DEFAULT_VIEW);
+
+    // The first form is the Pokemon itself; other (cosmetic) forms have their own sprites
+    const isDefaultForm = !formName || formName === forms[0]?.name;
+    const form = useResource(formStore, isDefaultForm ? null : formName);
+    const sprites = isDefaultForm ? details.sprites : form.data?.sprites;
+
+    const sets = getSpriteSets(sprites);
+    const currentSet = sets.find(set => set.id === setId) || sets[0];
+    const has = (change) => Boolean(pickSprite(currentSet?.sprites, { ...view, ...change }));
+    // Not every set has every view; fall back to the plain front sprite
+    const image = pickSprite(currentSet?.sprites, view) || pickSprite(currentSet?.sprites, DEFAULT_VIEW);
+
+    const toggle = (name) => setView(current => ({ ...current, [name]: !current[name] }));
+
+    return (
+        <div className="sprite-gallery">
+            {image ? (
+                <img src={image} alt={details.name} className="pokemon-modal-image" />
+            ) : (
+                <div className="pokemon-modal-image sprite-missing">{form.status === 'loading' ? '…' : '?'}</div>
+            )}
+
+            <div className="sprite-controls">
+                {forms.length > 1 && (
+                    <select
+                        value={formName}
+                        onChange={(e) => setFormName(e.target.value)}
+                        aria-label={t('sprites.form')}
+                    >
+                        {forms.map(entry => (
+                            <option key={entry.name} value={entry.name}>{formatSlug(entry.name)}</option>
+                        ))}
+                    </select>
+                )}
+                {sets.length > 1 && (
+                    <select
+                        value={currentSet.id}
+                        onChange={(e) => setSetId(e.target.value)}
+                        aria-label={t('sprites.set')}
+                    >
+                        {sets.map(set => (
+                            <option key={set.id} value={set.id}>{setLabel(set, t)}</option>
+                        ))}
+                    </select>
+                )}
+                <div className="sprite-toggles">
+                    {['back', 'shiny', 'female'].map(name => (
+                        <button
+                            key={name}
+                            type="button"
+                            className={`sprite-toggle ${view[name] ? 'active' : ''}`}
+                            aria-pressed={view[name]}
+                            onClick={() => toggle(name)}
+                            disabled={!view[name] && !has({ [name]: true })}
+                        >
+                            {t(`sprites.${name}`)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SpriteGallery;
@@ -0,0 +1,18 @@
+// StatBar.jsx - horizontal bar for one base stat (details modal, comparison view)
+
+import './StatBar.css';
+import { STAT_BAR_MAX, statColor } from '../utils/statBar.js';
+
+const StatBar = ({ value }) => (
+    <div className="stat-bar">
+        <div
+            className="stat-fill"
+            style={{
+                width: `${Math.min((value / STAT_BAR_MAX) * 100, 100)}%`,
+                backgroundColor: statColor(value),
+            }}
+        ></div>
+    </div>
+);
+
+export default StatBar;
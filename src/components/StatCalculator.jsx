@@ -0,0 +1,164 @@
+// StatCalculator.jsx - actual stats for a chosen level, IVs, EVs and nature,
+// plus the possible range at levels 50 and 100
+
+import { useState } from 'react';
+import './StatCalculator.css';
+import useTranslation from '../hooks/useTranslation.js';
+import { formatSlug } from '../utils/localize.js';
+import {
+    MIN_LEVEL,
+    MAX_LEVEL,
+    MAX_IV,
+    MAX_EV,
+    MAX_EV_TOTAL,
+    NATURES,
+    getNatureEffect,
+    calculateStats,
+    getStatRange,
+    getEvTotal,
+    setEv,
+    getBaseStats,
+} from '../utils/stats.js';
+
+const DEFAULT_LEVEL = 50;
+const RANGE_LEVELS = [50, 100];
+
+const StatCalculator = ({ details }) => {
+    const { t } = useTranslation();
+    const baseStats = getBaseStats(details);
+    const statNames = Object.keys(baseStats);
+    const maxIvs = Object.fromEntries(statNames.map(stat => [stat, MAX_IV]));
+
+    // Level is kept as typed so the field can be cleared; it is clamped when used
+    const [level, setLevel] = useState(String(DEFAULT_LEVEL));
+    const [nature, setNature] = useState('hardy');
+    const [ivs, setIvs] = useState(maxIvs);
+    const [evs, setEvs] = useState({});
+
+    const stats = calculateStats(baseStats, { level, ivs, evs, nature });
+    const effect = getNatureEffect(nature);
+    const evTotal = getEvTotal(evs);
+
+    const natureLabel = (name) => {
+        const natureEffect = getNatureEffect(name);
+        return natureEffect
+            ? t('calc.natureEffect', {
+                nature: formatSlug(name),
+                raised: t(`stat.${natureEffect.raised}`),
+                lowered: t(`stat.${natureEffect.lowered}`),
+            })
+            : t('calc.natureNeutral', { nature: formatSlug(name) });
+    };
+
+    const reset = () => {
+        setLevel(String(DEFAULT_LEVEL));
+        setNature('hardy');
+        setIvs(maxIvs);
+        setEvs({});
+    };
+
+    const clampLevel = () => {
+        const value = Math.floor(Number(level)) || DEFAULT_LEVEL;
+        setLevel(String(Math.min(MAX_LEVEL, Math.max(MIN_LEVEL, value))));
+    };
+
+    const setIv = (stat, value) => {
+        setIvs(current => ({ ...current, [stat]: Math.min(MAX_IV, Math.max(0, Math.floor(Number(value)) || 0)) }));
+    };
+
+    const natureClass = (stat) => {
+        if (effect?.raised === stat) return 'calc-raised';
+        if (effect?.lowered === stat) return 'calc-lowered';
+        return '';
+    };
+
+    return (
+        <div className="stat-calculator">
+            <div className="calc-controls">
+                <label>
+                    {t('calc.level')}
+                    <input
+                        type="number"
+                        min={MIN_LEVEL}
+                        max={MAX_LEVEL}
+                        value={level}
+                        onChange={(e) => setLevel(e.target.value)}
+                        onBlur={clampLevel}
+                    />
+                </label>
+                <label>
+                    {t('calc.nature')}
+                    <select value={nature} onChange={(e) => setNature(e.target.value)}>
+                        {NATURES.map(name => (
+                            <option key={name} value={name}>{natureLabel(name)}</option>
+                        ))}
+                    </select>
+                </label>
+                <button type="button" className="modal-action" onClick={reset}>
+                    {t('calc.reset')}
+                </button>
+            </div>
+
+            <div className="moves-table-wrapper">
+                <table className="calc-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">{t('calc.stat')}</th>
+                            <th scope="col">{t('calc.base')}</th>
+                            <th scope="col">{t('calc.iv')}</th>
+                            <th scope="col">{t('calc.ev')}</th>
+                            <th scope="col">{t('calc.result')}</th>
+                            {RANGE_LEVELS.map(rangeLevel => (
+                                <th key={rangeLevel} scope="col">{t('calc.range', { level: rangeLevel })}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {statNames.map(stat => (
+                            <tr key={stat}>
+                                <th scope="row">{t(`stat.${stat}`)}</th>
+                                <td>{baseStats[stat]}</td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        max={MAX_IV}
+                                        value={ivs[stat] ?? MAX_IV}
+                                        aria-label={`${t(`stat.${stat}`)} ${t('calc.iv')}`}
+                                        onChange={(e) => setIv(stat, e.target.value)}
+                                    />
+                                </td>
+                                <td>
+                                    <input
+                                        type="number"
+                                        min={0}
+                                        max={MAX_EV}
+                                        step={4}
+                                        value={evs[stat] ?? 0}
+                                        aria-label={`${t(`stat.${stat}`)} ${t('calc.ev')}`}
+                                        onChange={(e) => setEvs(current => setEv(current, stat, e.target.value))}
+                                    />
+                                </td>
+                                <td className={`calc-result ${natureClass(stat)}`}>{stats[stat]}</td>
+                                {RANGE_LEVELS.map(rangeLevel => {
+                                    const range = getStatRange(stat, baseStats[stat], rangeLevel);
+                                    return (
+                                        <td key={rangeLevel} className="calc-range">
+                                            {range.min === range.max ? range.min : `${range.min}–${range.max}`}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <p className={`calc-ev-total ${evTotal >= MAX_EV_TOTAL ? 'full' : ''}`}>
+                {t('calc.evTotal', { used: evTotal, max: MAX_EV_TOTAL })}
+            </p>
+        </div>
+    );
+};
+
+export default StatCalculator;
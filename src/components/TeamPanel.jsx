@@ -0,0 +1,235 @@
+// TeamPanel.jsx - the six team slots plus defensive and offensive type analysis
+
+import { useState } from 'react';
+import './TeamPanel.css';
+import useTeams from '../hooks/useTeams.js';
+import useTypeRelations from '../hooks/useTypeRelations.js';
+import {
+    TEAM_SIZE,
+    addTeam,
+    renameTeam,
+    deleteTeam,
+    setActiveTeam,
+    removeFromTeam,
+} from '../store/teamStore.js';
+import { POKEMON_TYPES } from '../utils/pokemonFilters.js';
+import { analyzeTeam, formatMultiplier } from '../utils/typeEffectiveness.js';
+import { spriteUrl } from '../utils/sprites.js';
+import formatId from '../utils/formatters.js';
+import ShowdownPanel from './ShowdownPanel';
+import TypeBadge from './TypeBadge';
+import ExportImageButtons from './ExportImageButtons';
+import useDisplayNames from '../hooks/useDisplayNames.js';
+import useTranslation from '../hooks/useTranslation.js';
+
+const multiplierClass = (multiplier) => {
+    if (multiplier === 0) return 'immune';
+    if (multiplier > 1) return 'weak';
+    if (multiplier < 1) return 'resist';
+    return 'neutral';
+};
+
+const TeamPanel = ({ onClose, onSelectPokemon }) => {
+    const { t } = useTranslation();
+    const { teams, activeTeam } = useTeams();
+    const [editingName, setEditingName] = useState(null);
+    // { mode: 'import' } or { mode: 'export', members }
+    const [showdown, setShowdown] = useState(null);
+    // Offense coverage needs every type's relations, not just the team's
+    const { relationsByType, loading, error } = useTypeRelations(POKEMON_TYPES);
+
+    const members = activeTeam.members;
+    const displayNames = useDisplayNames(members.map(member => member.name));
+    const analysis = !loading && !error && members.length > 0
+        ? analyzeTeam(members, relationsByType)
+        : null;
+
+    const saveName = () => {
+        if (editingName?.trim()) renameTeam(activeTeam.id, editingName.trim());
+        setEditingName(null);
+    };
+
+    const handleDelete = () => {
+        if (window.confirm(t('team.deleteConfirm', { name: activeTeam.name }))) {
+            deleteTeam(activeTeam.id);
+        }
+    };
+
+    return (
+        <aside className="team-panel" aria-label={t('team.title')}>
+            <div className="team-panel-header">
+                <h2>{t('team.title')}</h2>
+                <button className="modal-close" onClick={onClose} aria-label={t('team.close')}>✕</button>
+            </div>
+
+            <div className="team-controls">
+                {editingName !== null ? (
+                    <input
+                        className="team-name-input"
+                        value={editingName}
+                        autoFocus
+                        onChange={(e) => setEditingName(e.target.value)}
+                        onBlur={saveName}
+                        onKeyDown={(e) => e.key === 'Enter' && saveName()}
+                        aria-label={t('team.name')}
+                    />
+                ) : (
+                    <select
+                        className="team-select"
+                        value={activeTeam.id}
+                        onChange={(e) => setActiveTeam(e.target.value)}
+                        aria-label={t('team.select')}
+                    >
+                        {teams.map(team => (
+                            <option key={team.id} value={team.id}>
+                                {t('team.option', { name: team.name, count: team.members.length, size: TEAM_SIZE })}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <button type="button" onClick={() => addTeam()}>{t('team.new')}</button>
+                <button type="button" onClick={() => setEditingName(activeTeam.name)}>{t('team.rename')}</button>
+                <button type="button" className="danger" onClick={handleDelete}>{t('team.delete')}</button>
+                <button type="button" onClick={() => setShowdown({ mode: 'import' })}>{t('team.import')}</button>
+                <button
+                    type="button"
+                    onClick={() => setShowdown({ mode: 'export', members })}
+                    disabled={members.length === 0}
+                >
+                    {t('team.export')}
+                </button>
+                {/* The whole team as one shareable image */}
+                <ExportImageButtons
+                    names={members.map(member => member.name)}
+                    title={activeTeam.name}
+                    fileName={`team-${activeTeam.name}`}
+                />
+            </div>
+
+            {showdown && (
+                <ShowdownPanel
+                    key={`${showdown.mode}:${(showdown.members || []).map(member => member.name).join(',')}`}
+                    mode={showdown.mode}
+                    members={showdown.members}
+                    onClose={() => setShowdown(null)}
+                />
+            )}
+
+            <div className="team-slots">
+                {Array.from({ length: TEAM_SIZE }, (_, index) => {
+                    const member = members[index];
+                    if (!member) {
+                        return <div key={index} className="team-slot empty">{t('team.emptySlot')}</div>;
+                    }
+                    return (
+                        <div key={index} className="team-slot">
+                            <button
+                                type="button"
+                                className="team-slot-main"
+                                onClick={() => onSelectPokemon?.(member)}
+                            >
+                                <img src={spriteUrl(member.id)} alt="" className="team-slot-sprite" />
+                                <span className="team-slot-name">{displayNames.get(member.name)}</span>
+                                <span className="team-slot-id">{formatId(member.id)}</span>
+                            </button>
+                            <div className="team-slot-types">
+                                {member.types.map(type => (
+                                    <TypeBadge key={type} type={type} />
+                                ))}
+                            </div>
+                            <button
+                                type="button"
+                                className="team-slot-export"
+                                onClick={() => setShowdown({ mode: 'export', members: [member] })}
+                                aria-label={t('team.exportMember', { name: displayNames.get(member.name) })}
+                                title={t('showdown.exportTitle')}
+                            >
+                                ⇪
+                            </button>
+                            <button
+                                type="button"
+                                className="team-slot-remove"
+                                onClick={() => removeFromTeam(activeTeam.id, index)}
+                                aria-label={t('team.removeMember', { name: displayNames.get(member.name) })}
+                            >
+                                ✕
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {members.length === 0 && (
+                <p className="team-hint">{t('team.hint', { button: t('card.team') })}</p>
+            )}
+            {loading && members.length > 0 && <p className="team-hint">{t('matchups.loading')}</p>}
+            {error && <p className="team-hint error">{t('matchups.failed')}</p>}
+
+            {analysis && (
+                <>
+                    <h3>{t('team.defense')}</h3>
+                    <div className="team-table-wrapper">
+                        <table className="team-table">
+                            <thead>
+                                <tr>
+                                    <th>{t('team.attack')}</th>
+                                    {members.map((member, index) => (
+                                        <th key={index} title={displayNames.get(member.name)}>
+                                            <img src={spriteUrl(member.id)} alt={displayNames.get(member.name)} className="team-table-sprite" />
+                                        </th>
+                                    ))}
+                                    <th>{t('team.weak')}</th>
+                                    <th>{t('team.resist')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {analysis.defense.map(row => (
+                                    <tr key={row.attackType} className={row.shared ? 'shared-weakness' : ''}>
+                                        <td><span className={`type-${row.attackType}`}>{row.attackType}</span></td>
+                                        {row.multipliers.map((multiplier, index) => (
+                                            <td key={index} className={`multiplier ${multiplierClass(multiplier)}`}>
+                                                {multiplier === 1 ? '' : formatMultiplier(multiplier)}
+                                            </td>
+                                        ))}
+                                        <td className="count weak">{row.weak || ''}</td>
+                                        <td className="count resist">{row.resist || ''}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                    {analysis.defense.some(row => row.shared) && (
+                        <p className="team-warning">
+                            {t('team.sharedWeaknesses', {
+                                types: analysis.defense.filter(row => row.shared).map(row => t(`type.${row.attackType}`)).join(', '),
+                            })}
+                        </p>
+                    )}
+
+                    <h3>{t('team.offense')}</h3>
+                    <div className="coverage-grid">
+                        {analysis.offense.map(entry => (
+                            <div
+                                key={entry.defendType}
+                                className={`coverage-item ${entry.covered ? 'covered' : 'uncovered'}`}
+                                title={entry.covered ? t('team.covered') : t('team.notCovered')}
+                            >
+                                <span className={`type-${entry.defendType}`}>{entry.defendType}</span>
+                                <span className="coverage-value">{formatMultiplier(entry.multiplier)}</span>
+                            </div>
+                        ))}
+                    </div>
+                    {analysis.offense.some(entry => !entry.covered) && (
+                        <p className="team-warning">
+                            {t('team.uncovered', {
+                                types: analysis.offense.filter(entry => !entry.covered).map(entry => t(`type.${entry.defendType}`)).join(', '),
+                            })}
+                        </p>
+                    )}
+                </>
+            )}
+        </aside>
+    );
+};
+
+export default TeamPanel;
@@ -0,0 +1,25 @@
+// TypeBadge.jsx - colored type label; screen readers hear "Type: fire"
+// instead of a bare "fire". With `link` it opens the type's lookup page.
+
+import './TypeBadge.css';
+import useTranslation from '../hooks/useTranslation.js';
+import { lookupPath } from '../utils/lookup.js';
+import RouteLink from './RouteLink';
+
+const TypeBadge = ({ type, link = false }) => {
+    const { t } = useTranslation();
+    const label = (
+        <>
+            <span className="visually-hidden">{t('a11y.type')} </span>
+            {type}
+        </>
+    );
+
+    return link ? (
+        <RouteLink to={lookupPath('type', type)} className={`type-${type} type-link`}>{label}</RouteLink>
+    ) : (
+        <span className={`type-${type}`}>{label}</span>
+    );
+};
+
+export default TypeBadge;
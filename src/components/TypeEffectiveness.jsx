@@ -0,0 +1,58 @@
+// TypeEffectiveness.jsx - what a Pokemon is weak to, resists and is immune to
+
+import './TypeEffectiveness.css';
+import useTypeRelations from '../hooks/useTypeRelations.js';
+import { defensiveMultipliers, groupByMultiplier, formatMultiplier } from '../utils/typeEffectiveness.js';
+import TypeBadge from './TypeBadge';
+import useTranslation from '../hooks/useTranslation.js';
+
+// Catalog keys per damage multiplier
+const GROUP_LABELS = {
+    4: 'matchups.veryWeak',
+    2: 'matchups.weak',
+    1: 'matchups.normal',
+    0.5: 'matchups.resists',
+    0.25: 'matchups.stronglyResists',
+    0: 'matchups.immune',
+};
+
+const TypeEffectiveness = ({ types }) => {
+    const { t } = useTranslation();
+    const { relationsByType, loading, error } = useTypeRelations(types);
+
+    if (loading) {
+        return <p className="type-effectiveness-status">{t('matchups.loading')}</p>;
+    }
+
+    if (error) {
+        return <p className="type-effectiveness-status error">{t('matchups.failed')}</p>;
+    }
+
+    // Only the Pokemon's own types need to be loaded for defensive matchups
+    if (!types.every(type => relationsByType[type])) {
+        return null;
+    }
+
+    const groups = groupByMultiplier(defensiveMultipliers(types, relationsByType))
+        .filter(group => group.multiplier !== 1);
+
+    return (
+        <div className="type-effectiveness">
+            {groups.map(group => (
+                <div key={group.multiplier} className="effectiveness-group">
+                    <span className="effectiveness-label">
+                        {t(GROUP_LABELS[group.multiplier])}
+                        <strong> {formatMultiplier(group.multiplier)}</strong>
+                    </span>
+                    <div className="effectiveness-types">
+                        {group.types.map(type => (
+                            <TypeBadge key={type} type={type} link />
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default TypeEffectiveness;
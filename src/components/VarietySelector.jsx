@@ -0,0 +1,27 @@
+// VarietySelector.jsx - switch between a species' varieties (regional forms,
+// megas, Gigantamax...). Each variety is its own Pokemon with its own stats.
+
+import useTranslation from '../hooks/useTranslation.js';
+import { getDisplayName } from '../utils/localize.js';
+
+const VarietySelector = ({ species, currentName, onSelect }) => {
+    const { language, t } = useTranslation();
+    const varieties = species?.varieties || [];
+
+    if (varieties.length < 2) return null;
+
+    return (
+        <label className="variety-selector">
+            {t('sprites.variety')}
+            <select value={currentName} onChange={(e) => onSelect(e.target.value)}>
+                {varieties.map(variety => (
+                    <option key={variety.pokemon.name} value={variety.pokemon.name}>
+                        {getDisplayName(variety.pokemon.name, species, language)}
+                    </option>
+                ))}
+            </select>
+        </label>
+    );
+};
+
+export default VarietySelector;
@@ -0,0 +1,175 @@
+// VirtualGrid.jsx - windowed grid: only the rows near the viewport are mounted,
+// the rest of the list is represented by padding so the page keeps its height.
+// Arrow keys, Home/End and PageUp/PageDown move focus between items (roving
+// tabindex): renderItem(item, index, { tabIndex }) should put that tabIndex and
+// a data-grid-item attribute on the item's main control.
+
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
+
+const DEFAULT_ROW_HEIGHT = 280; // px, used until the first row has been measured
+const OVERSCAN_ROWS = 2;        // extra rows rendered above and below the viewport
+
+const VirtualGrid = ({ items, renderItem, getKey, className = '', label, minColumnWidth = 250, gap = 24 }) => {
+    const containerRef = useRef(null);
+    const [columns, setColumns] = useState(1);
+    const [rowHeight, setRowHeight] = useState(DEFAULT_ROW_HEIGHT);
+    const [range, setRange] = useState({ start: 0, end: 0 });
+    const [activeIndex, setActiveIndex] = useState(0);
+    const pendingFocus = useRef(null); // index to focus once its row is mounted
+
+    const rowCount = Math.ceil(items.length / columns);
+    const rowStride = rowHeight + gap;
+
+    // Work out which rows intersect the viewport (plus overscan)
+    const updateRange = useCallback(() => {
+        const container = containerRef.current;
+        if (!container) return;
+
+        const top = container.getBoundingClientRect().top;
+        const firstVisible = Math.floor(-top / rowStride);
+        const lastVisible = Math.ceil((window.innerHeight - top) / rowStride);
+
+        const start = Math.max(0, firstVisible - OVERSCAN_ROWS);
+        const end = Math.min(rowCount, Math.max(start, lastVisible + OVERSCAN_ROWS));
+
+        setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
+    }, [rowCount, rowStride]);
+
+    // Column count follows the CSS grid: as many minColumnWidth columns as fit.
+    // Row height is taken from the tallest mounted cell so the spacers match.
+    const measure = useCallback(() => {
+        const container = containerRef.current;
+        if (!container) return;
+
+        const width = container.clientWidth;
+        setColumns(Math.max(1, Math.floor((width + gap) / (minColumnWidth + gap))));
+
+        const tallest = Math.max(0, ...Array.from(container.children).map(child => child.offsetHeight));
+        if (tallest > 0) setRowHeight(tallest);
+    }, [minColumnWidth, gap]);
+
+    // The container resizes when the window does and when cards finish loading
+    useLayoutEffect(() => {
+        const container = containerRef.current;
+        if (!container) return;
+
+        const observer = new ResizeObserver(measure);
+        observer.observe(container);
+        return () => observer.disconnect();
+    }, [measure]);
+
+    useLayoutEffect(() => {
+        measure();
+    }, [measure, range, columns]);
+
+    useLayoutEffect(() => {
+        updateRange();
+    }, [updateRange, items.length]);
+
+    useEffect(() => {
+        let frame = null;
+        const handleScroll = () => {
+            if (frame) return;
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                updateRange();
+            });
+        };
+
+        window.addEventListener('scroll', handleScroll, { passive: true });
+        window.addEventListener('resize', handleScroll);
+        return () => {
+            window.removeEventListener('scroll', handleScroll);
+            window.removeEventListener('resize', handleScroll);
+            if (frame) cancelAnimationFrame(frame);
+        };
+    }, [updateRange]);
+
+    // Focus an item that was just scrolled into the mounted range
+    useLayoutEffect(() => {
+        if (pendingFocus.current === null) return;
+        const item = containerRef.current?.querySelector(`[data-index="${pendingFocus.current}"] [data-grid-item]`);
+        if (item) {
+            item.focus();
+            pendingFocus.current = null;
+        }
+    });
+
+    // Scroll just enough to bring the row of `index` into view
+    const scrollToIndex = (index) => {
+        const container = containerRef.current;
+        const row = Math.floor(index / columns);
+        const rowTop = container.getBoundingClientRect().top + window.scrollY + row * rowStride;
+        if (rowTop < window.scrollY) {
+            window.scrollTo(0, rowTop - gap);
+        } else if (rowTop + rowHeight > window.scrollY + window.innerHeight) {
+            window.scrollTo(0, rowTop + rowHeight - window.innerHeight + gap);
+        }
+        updateRange();
+    };
+
+    const handleKeyDown = (e) => {
+        const cell = e.target.closest('[data-index]');
+        if (!cell || items.length === 0) return;
+        const current = Number(cell.dataset.index);
+        const rowsPerPage = Math.max(1, Math.floor(window.innerHeight / rowStride));
+
+        const targets = {
+            ArrowRight: current + 1,
+            ArrowLeft: current - 1,
+            ArrowDown: current + columns,
+            ArrowUp: current - columns,
+            PageDown: current + columns * rowsPerPage,
+            PageUp: current - columns * rowsPerPage,
+            Home: 0,
+            End: items.length - 1,
+        };
+        if (!(e.key in targets)) return;
+        e.preventDefault();
+
+        const next = Math.max(0, Math.min(items.length - 1, targets[e.key]));
+        setActiveIndex(next);
+        pendingFocus.current = next;
+        scrollToIndex(next);
+    };
+
+    const visibleItems = items.slice(range.start * columns, range.end * columns);
+    const paddingTop = range.start * rowStride;
+    const paddingBottom = Math.max(0, (rowCount - range.end) * rowStride);
+
+    // Exactly one item is in the tab order: the active one, or the first
+    // mounted item when the active one has been scrolled away
+    const firstMounted = range.start * columns;
+    const lastMounted = firstMounted + visibleItems.length - 1;
+    const tabbableIndex = activeIndex >= firstMounted && activeIndex <= lastMounted ? activeIndex : firstMounted;
+
+    return (
+        <div
+            ref={containerRef}
+            className={className}
+            style={{ paddingTop, paddingBottom }}
+            role="list"
+            aria-label={label}
+            onKeyDown={handleKeyDown}
+        >
+            {visibleItems.map((item, offset) => {
+                const index = firstMounted + offset;
+                return (
+                    <div
+                        key={getKey(item)}
+                        className="virtual-grid-cell"
+                        role="listitem"
+                        aria-setsize={items.length}
+                        aria-posinset={index + 1}
+                        data-index={index}
+                        onFocus={() => setActiveIndex(index)}
+                    >
+                        {renderItem(item, index, { tabIndex: index === tabbableIndex ? 0 : -1 })}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default VirtualGrid;
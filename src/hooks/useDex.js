@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getDexState, subscribeToDex } from '../store/dexStore.js';
+
+// { entries: { [pokemonName]: 'seen' | 'caught' } } - re-renders on every change
+const useDex = () => useSyncExternalStore(subscribeToDex, getDexState);
+
+export default useDex;
@@ -0,0 +1,15 @@
+import useResource from './useResource.js';
+import useTranslation from './useTranslation.js';
+import { speciesStore } from '../api/speciesStore.js';
+import { idFromUrl } from '../utils/pokemonFilters.js';
+import { getDisplayName } from '../utils/localize.js';
+
+// Localized display name for a Pokemon, from its species' `names`.
+// Falls back to the prettified slug until the species has loaded.
+const useDisplayName = (pokemonName, details) => {
+    const { language } = useTranslation();
+    const species = useResource(speciesStore, idFromUrl(details?.species?.url));
+    return getDisplayName(pokemonName, species.data, language);
+};
+
+export default useDisplayName;
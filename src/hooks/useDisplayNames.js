@@ -0,0 +1,24 @@
+import useResources from './useResources.js';
+import useTranslation from './useTranslation.js';
+import { detailStore } from '../api/detailStore.js';
+import { speciesStore } from '../api/speciesStore.js';
+import { idFromUrl } from '../utils/pokemonFilters.js';
+import { getDisplayName } from '../utils/localize.js';
+
+// Localized display names for several Pokemon (Map of name -> display name),
+// for lists that only know the Pokemon's names. Each name falls back to the
+// prettified slug until its details and species have loaded.
+const useDisplayNames = (names) => {
+    const { language } = useTranslation();
+    const uniqueNames = [...new Set(names)];
+    const details = useResources(detailStore, uniqueNames);
+    const speciesIdOf = (name) => idFromUrl(details.get(name)?.data?.species?.url);
+    const species = useResources(speciesStore, uniqueNames.map(speciesIdOf).filter(Boolean).map(String));
+
+    return new Map(uniqueNames.map(name => {
+        const speciesId = speciesIdOf(name);
+        return [name, getDisplayName(name, speciesId && species.get(String(speciesId))?.data, language)];
+    }));
+};
+
+export default useDisplayNames;
@@ -0,0 +1,57 @@
+import { useEffect } from 'react';
+
+const FOCUSABLE = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+// Keep keyboard focus inside a dialog while it is open and give it back to
+// whatever had it (usually the card that opened the dialog) on close
+const useFocusTrap = (ref) => {
+    useEffect(() => {
+        const dialog = ref.current;
+        if (!dialog) return;
+        const previouslyFocused = document.activeElement;
+
+        const focusable = () =>
+            Array.from(dialog.querySelectorAll(FOCUSABLE)).filter(element => element.offsetParent !== null);
+
+        if (!dialog.contains(document.activeElement)) {
+            (focusable()[0] || dialog).focus();
+        }
+
+        const handleKeyDown = (e) => {
+            if (e.key !== 'Tab') return;
+            const elements = focusable();
+            if (elements.length === 0) {
+                e.preventDefault();
+                dialog.focus();
+                return;
+            }
+            const first = elements[0];
+            const last = elements[elements.length - 1];
+            if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+                e.preventDefault();
+                first.focus();
+            }
+        };
+
+        document.addEventListener('keydown', handleKeyDown);
+        return () => {
+            document.removeEventListener('keydown', handleKeyDown);
+            if (previouslyFocused?.isConnected) {
+                // The list restores its own scroll position; don't let focus move it
+                previouslyFocused.focus({ preventScroll: true });
+            }
+        };
+    }, [ref]);
+};
+
+export default useFocusTrap;
@@ -0,0 +1,72 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getBerryList, getItemCategory, getItemCategoryList, getItemList, isAbortError } from '../api/pokeapi.js';
+import { rankMatches } from '../utils/fuzzy.js';
+import { berryItemName } from '../utils/items.js';
+
+const IDLE_STATE = { pool: [], loading: true, error: null };
+
+// Items (or only berries) in the chosen category as { name, url }: `pool` in
+// PokeAPI order, `items` narrowed down by the (typo tolerant) name search and
+// ranked by match. Also returns the category names for the filter and
+// retry() to reload after an error.
+const useItemBrowser = ({ searchTerm, category, kind }) => {
+    const [state, setState] = useState(IDLE_STATE);
+    const [categories, setCategories] = useState([]);
+    const [reloadCount, setReloadCount] = useState(0);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        getItemCategoryList({ signal: controller.signal })
+            .then(data => setCategories(data.results.map(entry => entry.name)))
+            .catch(error => {
+                if (!isAbortError(error)) console.error("Error loading item categories:", error);
+            });
+        return () => controller.abort();
+    }, []);
+
+    useEffect(() => {
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        const loadItems = async () => {
+            setState(prev => ({ ...prev, loading: true, error: null }));
+
+            let items = await getItemList({ signal });
+
+            // Berries keep the berry order (by index number), not the item order
+            if (kind === 'berries') {
+                const byName = new Map(items.map(item => [item.name, item]));
+                const berries = await getBerryList({ signal });
+                items = berries.results
+                    .map(berry => byName.get(berryItemName(berry.name)))
+                    .filter(Boolean);
+            }
+
+            if (category) {
+                const members = new Set((await getItemCategory(category, { signal })).items.map(item => item.name));
+                items = items.filter(item => members.has(item.name));
+            }
+
+            if (!signal.aborted) {
+                setState({ pool: items, loading: false, error: null });
+            }
+        };
+
+        loadItems().catch(error => {
+            if (isAbortError(error) || signal.aborted) return;
+            console.error("Error loading items:", error);
+            setState({ pool: [], loading: false, error });
+        });
+
+        return () => controller.abort();
+    }, [category, kind, reloadCount]);
+
+    const items = useMemo(
+        () => (searchTerm.trim() ? rankMatches(searchTerm, state.pool) : state.pool),
+        [searchTerm, state.pool]
+    );
+
+    return { ...state, items, categories, retry: () => setReloadCount(count => count + 1) };
+};
+
+export default useItemBrowser;
@@ -0,0 +1,7 @@
+import { useSyncExternalStore } from 'react';
+import { getLocation, subscribeToLocation } from '../utils/router.js';
+
+// Current { pathname, search, state }; re-renders on navigation and back/forward
+const useLocation = () => useSyncExternalStore(subscribeToLocation, getLocation);
+
+export default useLocation;
@@ -0,0 +1,21 @@
+import { useMemo } from 'react';
+import useResource from './useResource.js';
+import { typeStore } from '../api/typeStore.js';
+import { abilityStore } from '../api/abilityStore.js';
+import { moveStore } from '../api/moveStore.js';
+import { getLookupPokemon } from '../utils/lookup.js';
+
+const STORES = { type: typeStore, ability: abilityStore, move: moveStore };
+
+// The type, ability or move behind a lookup route ({ kind, name } or null).
+// Returns the resource entry ({ status, data, error }) plus `pokemon` for the
+// grid and `retry` to reload after an error.
+const useLookup = (lookup) => {
+    const store = STORES[lookup?.kind] ?? typeStore;
+    const name = lookup?.name ?? null;
+    const entry = useResource(store, name);
+    const pokemon = useMemo(() => getLookupPokemon(lookup?.kind, entry.data), [lookup?.kind, entry.data]);
+    return { ...entry, pokemon, retry: () => store.retry(name) };
+};
+
+export default useLookup;
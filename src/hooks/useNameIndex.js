@@ -0,0 +1,29 @@
+import { useEffect, useState } from 'react';
+import { getLoadedNameIndex, loadNameIndex } from '../api/nameIndex.js';
+
+// The full national dex name index ({ entries, error }); entries is null while loading.
+// With enabled: false nothing is loaded (for search bars that suggest something else).
+const useNameIndex = ({ enabled = true } = {}) => {
+    const [entries, setEntries] = useState(getLoadedNameIndex);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (entries || !enabled) return;
+        let cancelled = false;
+        loadNameIndex()
+            .then(loaded => {
+                if (!cancelled) setEntries(loaded);
+            })
+            .catch(loadError => {
+                console.error("Error loading Pokemon name index:", loadError);
+                if (!cancelled) setError(loadError);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [entries, enabled]);
+
+    return { entries, error };
+};
+
+export default useNameIndex;
@@ -0,0 +1,8 @@
+import useResource from './useResource.js';
+import { detailStore } from '../api/detailStore.js';
+
+// One Pokemon's detail payload from the shared store.
+// Returns { status: 'idle' | 'loading' | 'loaded' | 'error', data, error }
+const usePokemonDetails = (name) => useResource(detailStore, name);
+
+export default usePokemonDetails;
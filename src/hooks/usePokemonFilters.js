@@ -0,0 +1,177 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getAllPokemon, getGeneration, getType, isAbortError } from '../api/pokeapi.js';
+import { ensureDetails } from '../api/detailStore.js';
+import { pokedexStore } from '../api/pokedexStore.js';
+import { getSearchNames, parseDexNumber } from '../api/nameIndex.js';
+import useTranslation from './useTranslation.js';
+import { matchesQuery } from '../utils/fuzzy.js';
+import {
+    combineTypeMembers,
+    hasStatFilters,
+    idFromUrl,
+    matchesDexFilter,
+    matchesStatRanges,
+    needsStats,
+    sortPokemon,
+} from '../utils/pokemonFilters.js';
+import { getRegionalNumbers } from '../utils/regionalDex.js';
+
+const IDLE_STATE = { results: [], loading: false, progress: null, error: null };
+
+const STATS_CONCURRENCY = 6;  // detail requests in flight while loading stats
+const PROGRESS_INTERVAL = 250; // ms between progress updates
+
+// name -> { stats }, kept across filter changes so changing a filter or the
+// sort doesn't load (or read back from the cache) every Pokemon's details again
+const statsByName = new Map();
+
+// Load the stats of the Pokemon not seen yet, a few at a time.
+// onProgress(done) is called after each one; failed Pokemon are skipped.
+const loadStats = async (names, { signal, onProgress }) => {
+    const missing = names.filter(name => !statsByName.has(name));
+    let done = names.length - missing.length;
+    let next = 0;
+
+    const worker = async () => {
+        while (next < missing.length) {
+            const name = missing[next];
+            next += 1;
+            try {
+                const details = await ensureDetails(name, { signal });
+                statsByName.set(name, { stats: details.stats });
+            } catch (error) {
+                if (isAbortError(error)) throw error;
+                // Skip Pokemon whose details failed to load
+            }
+            done += 1;
+            onProgress(done);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(STATS_CONCURRENCY, missing.length) }, worker));
+};
+
+// Same matching as the search bar: dex number, or typo tolerant name
+// including the localized names the name index knows
+const matchesSearch = (pokemon, searchTerm, language) => {
+    const id = idFromUrl(pokemon.url);
+    const dexNumber = parseDexNumber(searchTerm);
+    if (dexNumber !== null) return id === dexNumber;
+    return getSearchNames({ name: pokemon.name, id }, language).some(name => matchesQuery(searchTerm, name));
+};
+
+// Apply type, generation and stat filters plus sorting to the whole national
+// dex (not just the Pokemon loaded by infinite scroll), or to a regional dex.
+// dexEntries is the personal Pokedex progress used by the missing/caught filter.
+// Results from a regional dex carry { regionalDex, regionalNumber }.
+// The search term and the progress filter narrow the finished results, so
+// typing doesn't restart the pipeline.
+// Returns { results, loading, progress: { done, total } | null, error }
+const usePokemonFilters = ({ filters, sort, searchTerm, enabled, dexEntries }) => {
+    const { language } = useTranslation();
+    const [state, setState] = useState(IDLE_STATE);
+    // filters and sort are parsed from the URL on every change, search included,
+    // so the pipeline depends on their contents
+    const pipelineKey = JSON.stringify({ filters: { ...filters, dex: '' }, sort });
+
+    useEffect(() => {
+        if (!enabled) {
+            setState(IDLE_STATE);
+            return;
+        }
+
+        const { filters, sort } = JSON.parse(pipelineKey);
+        const controller = new AbortController();
+        const { signal } = controller;
+
+        const applyFilters = async () => {
+            setState(prev => ({ ...prev, loading: true, progress: null, error: null }));
+
+            let candidates = await getAllPokemon({ signal });
+
+            if (filters.types.length > 0) {
+                const typeData = await Promise.all(filters.types.map(type => getType(type, { signal })));
+                const members = combineTypeMembers(
+                    typeData.map(type => type.pokemon.map(entry => entry.pokemon.name)),
+                    filters.typeMatch
+                );
+                candidates = candidates.filter(pokemon => members.has(pokemon.name));
+            }
+
+            // Generations list species; regular Pokemon ids match their species id
+            if (filters.generation) {
+                const generation = await getGeneration(filters.generation, { signal });
+                const speciesIds = new Set(generation.pokemon_species.map(species => idFromUrl(species.url)));
+                candidates = candidates.filter(pokemon => speciesIds.has(idFromUrl(pokemon.url)));
+            }
+
+            // A regional dex limits the list to its species and numbers them its own way
+            if (filters.pokedex) {
+                const regionalNumbers = getRegionalNumbers(await pokedexStore.ensure(filters.pokedex, { signal }));
+                candidates = candidates
+                    .filter(pokemon => regionalNumbers.has(idFromUrl(pokemon.url)))
+                    .map(pokemon => ({
+                        ...pokemon,
+                        regionalDex: filters.pokedex,
+                        regionalNumber: regionalNumbers.get(idFromUrl(pokemon.url)),
+                    }));
+            }
+
+            const detailsByName = new Map();
+            if (needsStats(filters, sort)) {
+                const names = candidates.map(pokemon => pokemon.name);
+                const total = names.length;
+                let lastUpdate = 0;
+                setState(prev => ({ ...prev, progress: { done: 0, total } }));
+
+                await loadStats(names, {
+                    signal,
+                    onProgress: (done) => {
+                        const now = Date.now();
+                        if (done < total && now - lastUpdate < PROGRESS_INTERVAL) return;
+                        lastUpdate = now;
+                        setState(prev => ({ ...prev, progress: { done, total } }));
+                    },
+                });
+                names.forEach(name => {
+                    if (statsByName.has(name)) detailsByName.set(name, statsByName.get(name));
+                });
+
+                if (hasStatFilters(filters)) {
+                    candidates = candidates.filter(pokemon =>
+                        detailsByName.has(pokemon.name) &&
+                        matchesStatRanges(detailsByName.get(pokemon.name), filters.stats)
+                    );
+                }
+            }
+
+            const results = sortPokemon(candidates, sort, detailsByName);
+            if (!signal.aborted) {
+                setState({ results, loading: false, progress: null, error: null });
+            }
+        };
+
+        applyFilters().catch(error => {
+            if (isAbortError(error) || signal.aborted) return;
+            console.error("Error filtering Pokemon:", error);
+            setState({ results: [], loading: false, progress: null, error });
+        });
+
+        return () => controller.abort();
+    }, [pipelineKey, enabled]);
+
+    // Progress changes with every click on a card and the search with every
+    // keystroke, so both filter the finished results
+    return useMemo(() => {
+        let { results } = state;
+        if (filters.dex) {
+            results = results.filter(pokemon => matchesDexFilter(dexEntries?.[pokemon.name], filters.dex));
+        }
+        if (searchTerm.trim()) {
+            results = results.filter(pokemon => matchesSearch(pokemon, searchTerm, language));
+        }
+        return results === state.results ? state : { ...state, results };
+    }, [state, filters.dex, dexEntries, searchTerm, language]);
+};
+
+export default usePokemonFilters;
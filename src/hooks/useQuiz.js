@@ -0,0 +1,12 @@
+import { useSyncExternalStore } from 'react';
+import { getQuizState, subscribeToQuiz } from '../store/quizStore.js';
+import { difficultyKey } from '../utils/quiz.js';
+
+// { settings, streak, bestStreaks, answered, correct, bestStreak } - bestStreak
+// is the record for the current settings
+const useQuiz = () => {
+    const state = useSyncExternalStore(subscribeToQuiz, getQuizState);
+    return { ...state, bestStreak: state.bestStreaks[difficultyKey(state.settings)] || 0 };
+};
+
+export default useQuiz;
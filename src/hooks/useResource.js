@@ -0,0 +1,20 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+
+// Subscribe a component to one entry of a resource store (see api/resourceStore.js).
+// Returns { status: 'idle' | 'loading' | 'loaded' | 'error', data, error }
+const useResource = (store, key) => {
+    const subscribe = useCallback(
+        (listener) => store.subscribe(key, listener),
+        [store, key]
+    );
+    const entry = useSyncExternalStore(subscribe, () => store.getSnapshot(key));
+
+    useEffect(() => {
+        if (key === null || key === undefined) return;
+        return store.request(key);
+    }, [store, key]);
+
+    return entry;
+};
+
+export default useResource;
@@ -0,0 +1,40 @@
+import { useCallback, useEffect, useMemo, useRef, useSyncExternalStore } from 'react';
+
+// Like useResource, for a list of keys. Returns a Map of key -> entry that only
+// changes identity when one of the entries does.
+const useResources = (store, keys) => {
+    // Callers usually build the key list inline, so depend on its contents
+    const keysKey = keys.join('\n');
+    const snapshot = useRef({ keysKey: null, entries: [] });
+
+    const subscribe = useCallback((listener) => {
+        const unsubscribers = (keysKey ? keysKey.split('\n') : []).map(key => store.subscribe(key, listener));
+        return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+    }, [store, keysKey]);
+
+    const getSnapshot = () => {
+        const list = keysKey ? keysKey.split('\n') : [];
+        const entries = list.map(key => store.getSnapshot(key));
+        const previous = snapshot.current;
+        if (previous.keysKey === keysKey && previous.entries.every((entry, index) => entry === entries[index])) {
+            return previous.entries;
+        }
+        snapshot.current = { keysKey, entries };
+        return entries;
+    };
+
+    const entries = useSyncExternalStore(subscribe, getSnapshot);
+
+    useEffect(() => {
+        if (!keysKey) return;
+        const releases = keysKey.split('\n').map(key => store.request(key));
+        return () => releases.forEach(release => release());
+    }, [store, keysKey]);
+
+    return useMemo(() => {
+        const list = keysKey ? keysKey.split('\n') : [];
+        return new Map(list.map((key, index) => [key, entries[index]]));
+    }, [keysKey, entries]);
+};
+
+export default useResources;
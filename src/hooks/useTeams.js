@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from 'react';
+import { getTeamState, subscribeToTeams } from '../store/teamStore.js';
+
+// { teams, activeTeamId, activeTeam } - re-renders whenever a team changes
+const useTeams = () => {
+    const state = useSyncExternalStore(subscribeToTeams, getTeamState);
+    const activeTeam = state.teams.find(team => team.id === state.activeTeamId) || state.teams[0];
+    return { ...state, activeTeam };
+};
+
+export default useTeams;
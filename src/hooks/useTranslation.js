@@ -0,0 +1,11 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { getLanguage, setLanguage, subscribeToLanguage, translate } from '../store/languageStore.js';
+
+// { language, setLanguage, t } - components re-render when the language changes
+const useTranslation = () => {
+    const language = useSyncExternalStore(subscribeToLanguage, getLanguage);
+    const t = useCallback((key, values) => translate(key, values, language), [language]);
+    return { language, setLanguage, t };
+};
+
+export default useTranslation;
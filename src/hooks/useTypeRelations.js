@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import { getType, isAbortError } from '../api/pokeapi.js';
+
+// Load damage_relations for the given types.
+// Returns { relationsByType, loading, error }
+const useTypeRelations = (typeNames) => {
+    const key = [...new Set(typeNames)].sort().join(',');
+    const [state, setState] = useState({ relationsByType: {}, loading: false, error: null });
+
+    useEffect(() => {
+        const types = key ? key.split(',') : [];
+        if (types.length === 0) {
+            setState({ relationsByType: {}, loading: false, error: null });
+            return;
+        }
+
+        const controller = new AbortController();
+        setState(prev => ({ ...prev, loading: true, error: null }));
+
+        Promise.all(types.map(type => getType(type, { signal: controller.signal })))
+            .then(results => {
+                const relationsByType = Object.fromEntries(
+                    results.map(type => [type.name, type.damage_relations])
+                );
+                setState({ relationsByType, loading: false, error: null });
+            })
+            .catch(error => {
+                if (isAbortError(error)) return;
+                console.error("Error loading type relations:", error);
+                setState({ relationsByType: {}, loading: false, error });
+            });
+
+        return () => controller.abort();
+    }, [key]);
+
+    return state;
+};
+
+export default useTypeRelations;
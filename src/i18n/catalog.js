@@ -0,0 +1,1690 @@
+// UI strings per language. Keys missing from a language fall back to English;
+// "{name}" placeholders are filled in by translate().
+
+const en = {
+    'language.label': 'Language',
+
+    'a11y.type': 'Type:',
+    'a11y.grid': 'Pokemon',
+
+    'loader.loading': 'Loading Pokemon ...',
+
+    'error.title': '🚨 Oops! Something went wrong',
+    'error.intro': 'We encountered an error while loading the Pokemon data.',
+    'error.causes': 'This might be due to:',
+    'error.network': 'Network connection issues',
+    'error.server': 'API server problems',
+    'error.pokeapi': 'PokeAPI server problems',
+    'error.interruption': 'Temporary service interruption',
+    'error.retry': '🔄 Try Again',
+    'error.reload': 'Reload page',
+    'error.devDetails': 'Error details (developer mode)',
+    'error.cardFailed': "Couldn't show {name}",
+    'error.retryShort': 'Retry',
+    'error.modalCrashed': 'Something went wrong while showing this view.',
+
+    'load.rateLimited': 'PokeAPI is receiving too many requests right now. Please wait a moment and try again.',
+    'load.notFound': 'The Pokemon list could not be found on the server.',
+    'load.failed': 'Failed to load Pokemon. Please check your internet connection and try again.',
+
+    'list.title': 'Discover and explore the world of Pokemon!',
+    'list.offline': "📡 You're offline, showing cached data.",
+    'list.unableToLoad': 'Unable to Load Pokemon',
+    'list.tryAgain': 'Try Again',
+    'list.notFound': 'Pokemon not found: "{term}"',
+    'list.searchFailed': 'Couldn\'t search for "{term}": {reason}',
+    'list.filtering': 'Filtering the Pokedex...',
+    'list.loadingStats': 'Filtering the Pokedex - loading stats {done}/{total}...',
+    'list.filterFailed': "Couldn't apply filters: {reason}",
+    'list.noMatches': 'No Pokemon match these filters.',
+    'list.found': '{count} Pokemon found',
+    'list.team': 'Team ({count}/{size})',
+    'list.loadingMore': 'Loading more Pokemon...',
+    'list.loadMoreFailed': "Couldn't load more Pokemon: {reason}",
+    'list.retry': 'Retry',
+    'list.mode': 'List mode',
+    'list.modeInfinite': 'Infinite scroll',
+    'list.modePages': 'Pages',
+    'list.jumpTo': 'Jump to #',
+    'list.go': 'Go',
+    'list.showingFrom': 'Showing from #{number}.',
+    'list.backToStart': 'Back to #1',
+    'list.pagination': 'Pages',
+    'list.firstPage': 'First page',
+    'list.previousPage': 'Previous',
+    'list.nextPage': 'Next',
+    'list.lastPage': 'Last page',
+    'list.page': 'Page {page} of {count}',
+
+    'search.placeholder': 'Search Pokemon by name or number... ',
+    'search.clear': 'Clear search',
+
+    'card.addToTeam': 'Add to {team}',
+    'card.team': '+ Team',
+
+    'compare.add': '⇄ Compare',
+    'compare.selected': '✓ Comparing',
+    'compare.tray': 'Compare ({count}/{max})',
+    'compare.open': 'Compare',
+    'compare.clear': 'Clear',
+    'compare.pickMore': 'Pick at least two Pokemon to compare.',
+    'compare.title': 'Comparison',
+    'compare.loading': 'Loading Pokemon...',
+    'compare.loadFailed': "Couldn't load every Pokemon in this comparison.",
+    'compare.stat': 'Stat',
+    'compare.total': 'Total',
+    'compare.radar': 'Base stats overview',
+    'compare.remove': 'Remove {name} from the comparison',
+
+    'modal.close': 'Close',
+    'modal.loading': 'Loading Pokemon details...',
+    'modal.oops': '😔 Oops!',
+    'modal.notFound': 'This Pokemon could not be found.',
+    'modal.loadFailed': 'Failed to load Pokemon details. Please try again.',
+    'modal.addToTeam': '+ Add to {team}',
+    'modal.teamFull': '{team} is full',
+    'modal.pokedexEntry': 'Pokedex Entry',
+    'modal.version': 'Game version',
+    'modal.noFlavorText': 'No Pokedex entry is available in this language.',
+    'modal.physical': 'Physical Characteristics',
+    'modal.height': 'Height:',
+    'modal.weight': 'Weight:',
+    'modal.baseExperience': 'Base Experience:',
+    'modal.baseStats': 'Base Stats',
+    'modal.typeEffectiveness': 'Type Effectiveness',
+    'modal.evolution': 'Evolution',
+    'modal.whereToFind': 'Where to find',
+    'modal.statCalculator': 'Stat Calculator',
+    'calc.level': 'Level',
+    'calc.nature': 'Nature',
+    'calc.natureEffect': '{nature} (+{raised}, −{lowered})',
+    'calc.natureNeutral': '{nature} (neutral)',
+    'calc.reset': 'Reset',
+    'calc.stat': 'Stat',
+    'calc.base': 'Base',
+    'calc.iv': 'IVs',
+    'calc.ev': 'EVs',
+    'calc.result': 'Result',
+    'calc.range': 'Lv. {level} range',
+    'calc.evTotal': 'EVs used: {used} / {max}',
+    'modal.abilities': 'Abilities',
+    'modal.hidden': '(Hidden)',
+    'modal.tabOverview': 'Overview',
+    'modal.tabMoves': 'Moves',
+
+    'sprites.variety': 'Form',
+    'sprites.form': 'Appearance',
+    'sprites.set': 'Sprite set',
+    'sprites.back': 'Back',
+    'sprites.shiny': 'Shiny',
+    'sprites.female': 'Female',
+    'sprites.cry': 'Cry',
+    'sprites.cryLegacy': 'Legacy cry',
+    'sprites.official-artwork': 'Official artwork',
+    'sprites.home': 'HOME',
+    'sprites.showdown': 'Showdown (animated)',
+    'sprites.default': 'Default sprites',
+
+    'stat.hp': 'HP',
+    'stat.attack': 'Attack',
+    'stat.defense': 'Defense',
+    'stat.special-attack': 'Sp. Attack',
+    'stat.special-defense': 'Sp. Defense',
+    'stat.speed': 'Speed',
+    'matchups.loading': 'Loading type matchups...',
+    'matchups.failed': "Couldn't load type matchups.",
+    'matchups.veryWeak': 'Very weak to',
+    'matchups.weak': 'Weak to',
+    'matchups.normal': 'Normal damage from',
+    'matchups.resists': 'Resists',
+    'matchups.stronglyResists': 'Strongly resists',
+    'matchups.immune': 'Immune to',
+    'evolution.loading': 'Loading evolutions...',
+    'evolution.none': 'This Pokemon does not evolve.',
+    'evolution.failed': 'Failed to load the evolution chain.',
+    'filters.toggle': 'Filters',
+    'filters.sortBy': 'Sort by',
+    'sort.id': 'Dex number',
+    'sort.name': 'Name',
+    'sort.total': 'Base stat total',
+    'filters.sortAscending': 'Sort ascending',
+    'filters.sortDescending': 'Sort descending',
+    'filters.ascending': 'Ascending',
+    'filters.descending': 'Descending',
+    'filters.reset': 'Reset',
+    'filters.types': 'Types',
+    'filters.matchAll': 'Match all selected types',
+    'filters.generation': 'Generation',
+    'filters.allGenerations': 'All generations',
+    'generation.label': 'Gen {numeral} ({region})',
+    'generation.labelShort': 'Gen {numeral}',
+    'filters.baseStats': 'Base stats',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'filters.minStat': 'Minimum {stat}',
+    'filters.maxStat': 'Maximum {stat}',
+    'team.title': 'Team Builder',
+    'team.close': 'Close team panel',
+    'team.name': 'Team name',
+    'team.select': 'Select team',
+    'team.option': '{name} ({count}/{size})',
+    'team.new': 'New',
+    'team.rename': 'Rename',
+    'team.delete': 'Delete',
+    'team.deleteConfirm': 'Delete "{name}"?',
+    'team.import': 'Import',
+    'team.export': 'Export',
+    'team.emptySlot': 'Empty slot',
+    'team.exportMember': 'Export {name} to Showdown',
+    'team.removeMember': 'Remove {name} from team',
+    'team.hint': 'Add Pokemon with the "{button}" button on a card or in the details view.',
+    'team.defense': 'Defensive matchups',
+    'team.attack': 'Attack',
+    'team.weak': 'Weak',
+    'team.resist': 'Resist',
+    'team.sharedWeaknesses': '⚠️ Shared weaknesses: {types}',
+    'team.offense': 'Offensive coverage (STAB)',
+    'team.covered': 'Super effective',
+    'team.notCovered': 'Not covered',
+    'team.uncovered': '⚠️ No super effective STAB against: {types}',
+
+    'moves.versionGroup': 'Game',
+    'moves.search': 'Filter moves...',
+    'moves.allTypes': 'All types',
+    'moves.allCategories': 'All categories',
+    'moves.loading': 'Loading move data {done}/{total}...',
+    'moves.none': 'No moves match these filters.',
+    'moves.noMoves': 'No moves are recorded for this Pokemon.',
+    'moves.method.level-up': 'Level up',
+    'moves.method.machine': 'TM / HM',
+    'moves.method.egg': 'Egg moves',
+    'moves.method.tutor': 'Move tutor',
+    'moves.col.level': 'Lv.',
+    'moves.col.name': 'Move',
+    'moves.col.type': 'Type',
+    'moves.col.category': 'Category',
+    'moves.col.power': 'Power',
+    'moves.col.accuracy': 'Acc.',
+    'moves.col.pp': 'PP',
+    'moves.category.physical': 'Physical',
+    'moves.category.special': 'Special',
+    'moves.category.status': 'Status',
+    'sprites.gameSet': 'Gen {numeral} · {game}',
+    'showdown.exportTitle': 'Export to Showdown',
+    'showdown.importTitle': 'Import from Showdown',
+    'showdown.text': 'Showdown team text',
+    'showdown.copy': 'Copy',
+    'showdown.copied': 'Copied!',
+    'showdown.close': 'Close',
+    'showdown.placeholder': 'Paste a Showdown team here',
+    'showdown.unreachable': "Couldn't reach PokeAPI to check the team. Please try again.",
+    'showdown.lineError': 'Line {line}: {message}',
+    'showdown.ready': '{count} Pokemon ready to import.',
+    'showdown.readyAs': '{count} Pokemon ready to import as "{name}".',
+    'showdown.check': 'Check',
+    'showdown.checking': 'Checking...',
+    'showdown.importTeam': 'Import as new team',
+    'showdown.cancel': 'Cancel',
+    'showdown.error.missingSpecies': 'Missing species',
+    'showdown.error.teamSize': "A team can't have more than {max} Pokemon",
+    'showdown.error.moveCount': "A Pokemon can't know more than {max} moves",
+    'showdown.error.nature': 'Unknown nature "{nature}"',
+    'showdown.error.unreadable': 'Unreadable text "{text}"',
+    'showdown.error.level': 'Level must be between 1 and 100',
+    'showdown.error.teraType': 'Unknown Tera Type "{type}"',
+    'showdown.error.spreadMax': "{stat} can't be higher than {max}",
+    'showdown.error.evTotal': 'EVs add up to {total}, the limit is {max}',
+    'showdown.error.field': 'Unknown field "{field}"',
+    'showdown.error.unknownPokemon': 'Unknown Pokemon "{name}"',
+    'showdown.error.ability': '{pokemon} cannot have the ability "{ability}"',
+    'showdown.error.move': '{pokemon} cannot learn "{move}"',
+    'nav.label': 'Mode',
+    'nav.browse': 'Browse',
+    'nav.quiz': 'Quiz',
+    'quiz.title': "Who's That Pokémon?",
+    'quiz.from': 'From',
+    'quiz.to': 'To',
+    'quiz.mode': 'Answer',
+    'quiz.mode.choice': 'Multiple choice',
+    'quiz.mode.text': 'Type the name',
+    'quiz.timeLimit': 'Time limit',
+    'quiz.noLimit': 'No limit',
+    'quiz.seconds': '{count} s',
+    'quiz.streak': 'Streak: {count}',
+    'quiz.best': 'Best: {count}',
+    'quiz.accuracy': '{correct} of {answered} correct',
+    'quiz.resetScores': 'Reset scores',
+    'quiz.loadError': "Couldn't load the Pokémon list. Check your connection and reload.",
+    'quiz.start': 'Start',
+    'quiz.timeLeft': '{seconds} s left',
+    'quiz.silhouette': 'Mystery Pokémon silhouette',
+    'quiz.prompt': "Who's that Pokémon?",
+    'quiz.correct': "Correct! It's {name}!",
+    'quiz.wrong': "Not quite, it's {name}.",
+    'quiz.timeUp': "Time's up! It was {name}.",
+    'quiz.newBest': 'New best streak!',
+    'quiz.guess': 'Your guess',
+    'quiz.submit': 'Guess',
+    'quiz.giveUp': 'Give up',
+    'quiz.next': 'Next Pokémon',
+    'nav.progress': 'My Pokédex',
+    'nav.items': 'Items & Berries',
+    'dex.cycleHint': 'Click to mark as seen, then caught',
+    'dex.status.none': 'Not seen',
+    'dex.status.seen': 'Seen',
+    'dex.status.caught': 'Caught',
+    'dex.title': 'My Pokédex',
+    'dex.summary': '{caught} caught and {seen} seen of {total} Pokémon',
+    'dex.dex': 'Pokédex',
+    'dex.progress': 'Progress',
+    'dex.complete': 'Complete',
+    'dex.count': '{count} / {total}',
+    'dex.byGeneration': 'By generation',
+    'dex.byRegionalDex': 'By regional Pokédex',
+    'dex.loadingDexes': 'Loading {count} regional Pokédexes…',
+    'dex.export': 'Export progress',
+    'dex.import': 'Import progress',
+    'dex.imported': 'Imported progress for {count} Pokémon.',
+    'dex.importFailed': "Couldn't import: {reason}",
+    'dex.reset': 'Reset progress',
+    'dex.resetConfirm': 'Clear all seen and caught marks? This cannot be undone.',
+    'filters.myDex': 'My Pokédex',
+    'filters.dexProgress': 'Pokédex progress',
+    'filters.dex.all': 'All',
+    'filters.dex.missing': 'Missing',
+    'filters.dex.caught': 'Caught',
+    'dex.error.invalidJson': 'The file is not valid JSON.',
+    'dex.error.notAnExport': 'The file is not a Pokédex progress export.',
+    'dex.error.newerVersion': 'The file was made by a newer version of the app.',
+    'lookup.back': 'All Pokémon',
+    'lookup.kind.type': 'Type',
+    'lookup.kind.ability': 'Ability',
+    'lookup.kind.move': 'Move',
+    'lookup.attack': 'Attacking',
+    'lookup.defense': 'Defending',
+    'lookup.relation.double_damage_to': 'damage to',
+    'lookup.relation.half_damage_to': 'damage to',
+    'lookup.relation.no_damage_to': 'damage to',
+    'lookup.relation.double_damage_from': 'damage from',
+    'lookup.relation.half_damage_from': 'damage from',
+    'lookup.relation.no_damage_from': 'damage from',
+    'lookup.none': 'None',
+    'lookup.priority': 'Priority',
+    'lookup.notFound': 'There is no "{name}" in PokeAPI.',
+    'lookup.failed': "Couldn't load {name}. Check your connection and try again.",
+    'lookup.count.type': '{count} Pokémon have this type',
+    'lookup.count.ability': '{count} Pokémon have this ability',
+    'lookup.count.move': '{count} Pokémon can learn this move',
+    'lookup.hiddenCount': '({count} only as a hidden ability)',
+    'lookup.hiddenAbility': 'Hidden ability',
+    'filters.regionalDex': 'Regional Pokédex',
+    'filters.nationalDex': 'National (all Pokémon)',
+    'items.title': 'Items & Berries',
+    'items.kind': 'Show',
+    'items.kind.all': 'All items',
+    'items.kind.berries': 'Berries',
+    'items.search': 'Search items...',
+    'items.category': 'Category',
+    'items.allCategories': 'All categories',
+    'items.unableToLoad': 'Unable to Load Items',
+    'items.found': '{count} items found',
+    'items.noMatches': 'No items match.',
+    'items.grid': 'Items',
+    'items.costValue': '₽{cost}',
+    'items.effect': 'Effect',
+    'items.noEffect': 'No effect text available.',
+    'items.cost': 'Cost',
+    'items.flingPower': 'Fling power',
+    'items.flingEffect': 'Fling effect',
+    'items.berry': 'Berry',
+    'items.berryFailed': "Couldn't load the berry details.",
+    'items.firmness': 'Firmness',
+    'items.growthTime': 'Growth time',
+    'items.hours': '{count} h per stage',
+    'items.maxHarvest': 'Max harvest',
+    'items.size': 'Size',
+    'items.naturalGift': 'Natural Gift',
+    'items.flavors': 'Flavors',
+    'items.heldBy': 'Held by wild Pokémon',
+    'items.noHolders': 'No wild Pokémon hold this item.',
+    'items.rarity': '{rarity}% · {count} games',
+    'items.notFound': 'There is no "{name}" in PokeAPI.',
+    'items.detailFailed': "Couldn't load {name}. Check your connection and try again.",
+    'encounters.version': 'Game',
+    'encounters.allVersions': 'All games',
+    'encounters.none': "Can't be found in the wild. It is obtained by evolving, trading, breeding or at events.",
+    'encounters.failed': "Couldn't load encounter locations.",
+    'encounters.col.location': 'Location',
+    'encounters.col.method': 'Method',
+    'encounters.col.level': 'Level',
+    'encounters.col.chance': 'Chance',
+    'encounters.col.conditions': 'Conditions',
+    'export.image': 'Export image',
+    'export.copy': 'Copy image',
+    'export.working': 'Creating image...',
+    'export.downloaded': 'Image saved.',
+    'export.copied': 'Image copied to the clipboard.',
+    'export.failed': "Couldn't create the image.",
+    'type.normal': 'Normal',
+    'type.fire': 'Fire',
+    'type.water': 'Water',
+    'type.electric': 'Electric',
+    'type.grass': 'Grass',
+    'type.ice': 'Ice',
+    'type.fighting': 'Fighting',
+    'type.poison': 'Poison',
+    'type.ground': 'Ground',
+    'type.flying': 'Flying',
+    'type.psychic': 'Psychic',
+    'type.bug': 'Bug',
+    'type.rock': 'Rock',
+    'type.ghost': 'Ghost',
+    'type.dragon': 'Dragon',
+    'type.dark': 'Dark',
+    'type.steel': 'Steel',
+    'type.fairy': 'Fairy',
+    'evolution.trigger.levelUp': 'Level up',
+    'evolution.trigger.level': 'Level {level}',
+    'evolution.trigger.useItem': 'Use {item}',
+    'evolution.trigger.trade': 'Trade',
+    'evolution.trigger.shed': 'Level 20 with an empty party slot and a Poke Ball',
+    'evolution.trigger.spin': 'Spin around holding a Sweet',
+    'evolution.trigger.tower-of-darkness': 'Train in the Tower of Darkness',
+    'evolution.trigger.tower-of-waters': 'Train in the Tower of Waters',
+    'evolution.trigger.three-critical-hits': 'Land three critical hits in one battle',
+    'evolution.trigger.take-damage': 'Take damage, then walk under the stone arch',
+    'evolution.trigger.agile-style-move': 'Use its signature move in agile style 20 times',
+    'evolution.trigger.strong-style-move': 'Use its signature move in strong style 20 times',
+    'evolution.trigger.recoil-damage': 'Lose HP from recoil damage',
+    'evolution.trigger.other': 'Special condition',
+    'evolution.trigger.unknown': '{name}',
+    'evolution.heldItem': 'holding {item}',
+    'evolution.tradeSpecies': 'for {pokemon}',
+    'evolution.happiness': 'with high friendship',
+    'evolution.affection': 'with high affection',
+    'evolution.beauty': 'with high beauty',
+    'evolution.knownMove': 'knowing {move}',
+    'evolution.knownMoveType': 'knowing a {type} move',
+    'evolution.location': 'at {location}',
+    'evolution.partySpecies': 'with {pokemon} in party',
+    'evolution.partyType': 'with a {type} type in party',
+    'evolution.stats.higher': '(Attack > Defense)',
+    'evolution.stats.equal': '(Attack = Defense)',
+    'evolution.stats.lower': '(Attack < Defense)',
+    'evolution.time.day': 'during the day',
+    'evolution.time.night': 'during the night',
+    'evolution.time.other': 'during the {time}',
+    'evolution.female': '(female)',
+    'evolution.male': '(male)',
+    'evolution.rain': 'while raining',
+    'evolution.upsideDown': 'holding the console upside down',
+    'team.defaultName': 'My Team',
+    'team.numberedName': 'Team {number}',
+};
+
+const de = {
+    'language.label': 'Sprache',
+
+    'a11y.type': 'Typ:',
+    'a11y.grid': 'Pokémon',
+
+    'loader.loading': 'Pokémon werden geladen ...',
+
+    'error.title': '🚨 Hoppla! Etwas ist schiefgelaufen',
+    'error.intro': 'Beim Laden der Pokémon-Daten ist ein Fehler aufgetreten.',
+    'error.causes': 'Mögliche Ursachen:',
+    'error.network': 'Probleme mit der Netzwerkverbindung',
+    'error.server': 'Probleme mit dem API-Server',
+    'error.pokeapi': 'Probleme mit dem PokeAPI-Server',
+    'error.interruption': 'Vorübergehende Dienstunterbrechung',
+    'error.retry': '🔄 Erneut versuchen',
+    'error.reload': 'Seite neu laden',
+    'error.devDetails': 'Fehlerdetails (Entwicklermodus)',
+    'error.cardFailed': '{name} kann nicht angezeigt werden',
+    'error.retryShort': 'Erneut versuchen',
+    'error.modalCrashed': 'Beim Anzeigen dieser Ansicht ist ein Fehler aufgetreten.',
+
+    'load.rateLimited': 'PokeAPI erhält gerade zu viele Anfragen. Bitte warte einen Moment und versuche es erneut.',
+    'load.notFound': 'Die Pokémon-Liste wurde auf dem Server nicht gefunden.',
+    'load.failed': 'Pokémon konnten nicht geladen werden. Bitte prüfe deine Internetverbindung und versuche es erneut.',
+
+    'list.title': 'Entdecke und erkunde die Welt der Pokémon!',
+    'list.offline': '📡 Du bist offline, zwischengespeicherte Daten werden angezeigt.',
+    'list.unableToLoad': 'Pokémon konnten nicht geladen werden',
+    'list.tryAgain': 'Erneut versuchen',
+    'list.notFound': 'Pokémon nicht gefunden: „{term}“',
+    'list.searchFailed': 'Suche nach „{term}“ fehlgeschlagen: {reason}',
+    'list.filtering': 'Pokédex wird gefiltert...',
+    'list.loadingStats': 'Pokédex wird gefiltert - Werte werden geladen {done}/{total}...',
+    'list.filterFailed': 'Filter konnten nicht angewendet werden: {reason}',
+    'list.noMatches': 'Keine Pokémon entsprechen diesen Filtern.',
+    'list.found': '{count} Pokémon gefunden',
+    'list.team': 'Team ({count}/{size})',
+    'list.loadingMore': 'Weitere Pokémon werden geladen...',
+    'list.loadMoreFailed': 'Weitere Pokémon konnten nicht geladen werden: {reason}',
+    'list.retry': 'Erneut versuchen',
+    'list.mode': 'Listenmodus',
+    'list.modeInfinite': 'Endlos scrollen',
+    'list.modePages': 'Seiten',
+    'list.jumpTo': 'Springe zu #',
+    'list.go': 'Los',
+    'list.showingFrom': 'Anzeige ab #{number}.',
+    'list.backToStart': 'Zurück zu #1',
+    'list.pagination': 'Seiten',
+    'list.firstPage': 'Erste Seite',
+    'list.previousPage': 'Zurück',
+    'list.nextPage': 'Weiter',
+    'list.lastPage': 'Letzte Seite',
+    'list.page': 'Seite {page} von {count}',
+
+    'search.placeholder': 'Pokémon nach Name oder Nummer suchen... ',
+    'search.clear': 'Suche löschen',
+
+    'card.addToTeam': 'Zu {team} hinzufügen',
+    'card.team': '+ Team',
+
+    'compare.add': '⇄ Vergleichen',
+    'compare.selected': '✓ Im Vergleich',
+    'compare.tray': 'Vergleich ({count}/{max})',
+    'compare.open': 'Vergleichen',
+    'compare.clear': 'Leeren',
+    'compare.pickMore': 'Wähle mindestens zwei Pokémon zum Vergleichen.',
+    'compare.title': 'Vergleich',
+    'compare.loading': 'Pokémon werden geladen...',
+    'compare.loadFailed': 'Nicht alle Pokémon dieses Vergleichs konnten geladen werden.',
+    'compare.stat': 'Wert',
+    'compare.total': 'Summe',
+    'compare.radar': 'Basiswerte im Überblick',
+    'compare.remove': '{name} aus dem Vergleich entfernen',
+
+    'modal.close': 'Schließen',
+    'modal.loading': 'Pokémon-Details werden geladen...',
+    'modal.oops': '😔 Hoppla!',
+    'modal.notFound': 'Dieses Pokémon wurde nicht gefunden.',
+    'modal.loadFailed': 'Pokémon-Details konnten nicht geladen werden. Bitte versuche es erneut.',
+    'modal.addToTeam': '+ Zu {team} hinzufügen',
+    'modal.teamFull': '{team} ist voll',
+    'modal.pokedexEntry': 'Pokédex-Eintrag',
+    'modal.version': 'Spielversion',
+    'modal.noFlavorText': 'In dieser Sprache gibt es keinen Pokédex-Eintrag.',
+    'modal.physical': 'Körperliche Merkmale',
+    'modal.height': 'Größe:',
+    'modal.weight': 'Gewicht:',
+    'modal.baseExperience': 'Basiserfahrung:',
+    'modal.baseStats': 'Basiswerte',
+    'modal.typeEffectiveness': 'Typ-Effektivität',
+    'modal.evolution': 'Entwicklung',
+    'modal.whereToFind': 'Fundorte',
+    'modal.statCalculator': 'Statuswert-Rechner',
+    'calc.level': 'Level',
+    'calc.nature': 'Wesen',
+    'calc.natureEffect': '{nature} (+{raised}, −{lowered})',
+    'calc.natureNeutral': '{nature} (neutral)',
+    'calc.reset': 'Zurücksetzen',
+    'calc.stat': 'Wert',
+    'calc.base': 'Basis',
+    'calc.iv': 'DVs',
+    'calc.ev': 'EVs',
+    'calc.result': 'Ergebnis',
+    'calc.range': 'Bereich Lv. {level}',
+    'calc.evTotal': 'Verteilte EVs: {used} / {max}',
+    'modal.abilities': 'Fähigkeiten',
+    'modal.hidden': '(Versteckt)',
+    'modal.tabOverview': 'Übersicht',
+    'modal.tabMoves': 'Attacken',
+
+    'sprites.variety': 'Form',
+    'sprites.form': 'Aussehen',
+    'sprites.set': 'Sprite-Set',
+    'sprites.back': 'Rücken',
+    'sprites.shiny': 'Schillernd',
+    'sprites.female': 'Weiblich',
+    'sprites.cry': 'Ruf',
+    'sprites.cryLegacy': 'Alter Ruf',
+    'sprites.official-artwork': 'Offizielles Artwork',
+    'sprites.home': 'HOME',
+    'sprites.showdown': 'Showdown (animiert)',
+    'sprites.default': 'Standard-Sprites',
+
+    'stat.hp': 'KP',
+    'stat.attack': 'Angriff',
+    'stat.defense': 'Verteidigung',
+    'stat.special-attack': 'Spez.-Angriff',
+    'stat.special-defense': 'Spez.-Verteidigung',
+    'stat.speed': 'Initiative',
+    'matchups.loading': 'Typ-Effektivität wird geladen...',
+    'matchups.failed': 'Typ-Effektivität konnte nicht geladen werden.',
+    'matchups.veryWeak': 'Sehr schwach gegen',
+    'matchups.weak': 'Schwach gegen',
+    'matchups.normal': 'Normaler Schaden durch',
+    'matchups.resists': 'Resistent gegen',
+    'matchups.stronglyResists': 'Sehr resistent gegen',
+    'matchups.immune': 'Immun gegen',
+    'evolution.loading': 'Entwicklungen werden geladen...',
+    'evolution.none': 'Dieses Pokémon entwickelt sich nicht.',
+    'evolution.failed': 'Die Entwicklungsreihe konnte nicht geladen werden.',
+    'filters.toggle': 'Filter',
+    'filters.sortBy': 'Sortieren nach',
+    'sort.id': 'Dex-Nummer',
+    'sort.name': 'Name',
+    'sort.total': 'Basiswertsumme',
+    'filters.sortAscending': 'Aufsteigend sortieren',
+    'filters.sortDescending': 'Absteigend sortieren',
+    'filters.ascending': 'Aufsteigend',
+    'filters.descending': 'Absteigend',
+    'filters.reset': 'Zurücksetzen',
+    'filters.types': 'Typen',
+    'filters.matchAll': 'Alle gewählten Typen müssen passen',
+    'filters.generation': 'Generation',
+    'filters.allGenerations': 'Alle Generationen',
+    'generation.label': 'Gen. {numeral} ({region})',
+    'generation.labelShort': 'Gen. {numeral}',
+    'filters.baseStats': 'Basiswerte',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'filters.minStat': '{stat} mindestens',
+    'filters.maxStat': '{stat} höchstens',
+    'team.title': 'Team-Planer',
+    'team.close': 'Team-Bereich schließen',
+    'team.name': 'Teamname',
+    'team.select': 'Team auswählen',
+    'team.option': '{name} ({count}/{size})',
+    'team.new': 'Neu',
+    'team.rename': 'Umbenennen',
+    'team.delete': 'Löschen',
+    'team.deleteConfirm': '„{name}“ löschen?',
+    'team.import': 'Importieren',
+    'team.export': 'Exportieren',
+    'team.emptySlot': 'Freier Platz',
+    'team.exportMember': '{name} nach Showdown exportieren',
+    'team.removeMember': '{name} aus dem Team entfernen',
+    'team.hint': 'Füge Pokémon mit der Schaltfläche „{button}“ auf einer Karte oder in der Detailansicht hinzu.',
+    'team.defense': 'Defensive Typ-Effektivität',
+    'team.attack': 'Angriff',
+    'team.weak': 'Schwach',
+    'team.resist': 'Resistent',
+    'team.sharedWeaknesses': '⚠️ Gemeinsame Schwächen: {types}',
+    'team.offense': 'Offensive Abdeckung (STAB)',
+    'team.covered': 'Sehr effektiv',
+    'team.notCovered': 'Nicht abgedeckt',
+    'team.uncovered': '⚠️ Kein sehr effektiver STAB gegen: {types}',
+
+    'moves.versionGroup': 'Spiel',
+    'moves.search': 'Attacken filtern...',
+    'moves.allTypes': 'Alle Typen',
+    'moves.allCategories': 'Alle Kategorien',
+    'moves.loading': 'Attackendaten werden geladen {done}/{total}...',
+    'moves.none': 'Keine Attacke passt zu diesen Filtern.',
+    'moves.noMoves': 'Für dieses Pokémon sind keine Attacken verzeichnet.',
+    'moves.method.level-up': 'Levelaufstieg',
+    'moves.method.machine': 'TM / VM',
+    'moves.method.egg': 'Ei-Attacken',
+    'moves.method.tutor': 'Attacken-Lehrer',
+    'moves.col.level': 'Lv.',
+    'moves.col.name': 'Attacke',
+    'moves.col.type': 'Typ',
+    'moves.col.category': 'Kategorie',
+    'moves.col.power': 'Stärke',
+    'moves.col.accuracy': 'Genauigkeit',
+    'moves.col.pp': 'AP',
+    'moves.category.physical': 'Physisch',
+    'moves.category.special': 'Speziell',
+    'moves.category.status': 'Status',
+    'sprites.gameSet': 'Gen. {numeral} · {game}',
+    'showdown.exportTitle': 'Nach Showdown exportieren',
+    'showdown.importTitle': 'Aus Showdown importieren',
+    'showdown.text': 'Showdown-Teamtext',
+    'showdown.copy': 'Kopieren',
+    'showdown.copied': 'Kopiert!',
+    'showdown.close': 'Schließen',
+    'showdown.placeholder': 'Showdown-Team hier einfügen',
+    'showdown.unreachable': 'PokeAPI war zum Prüfen des Teams nicht erreichbar. Bitte versuche es erneut.',
+    'showdown.lineError': 'Zeile {line}: {message}',
+    'showdown.ready': '{count} Pokémon bereit zum Import.',
+    'showdown.readyAs': '{count} Pokémon bereit zum Import als „{name}“.',
+    'showdown.check': 'Prüfen',
+    'showdown.checking': 'Wird geprüft...',
+    'showdown.importTeam': 'Als neues Team importieren',
+    'showdown.cancel': 'Abbrechen',
+    'showdown.error.missingSpecies': 'Pokémon fehlt',
+    'showdown.error.teamSize': 'Ein Team kann höchstens {max} Pokémon haben',
+    'showdown.error.moveCount': 'Ein Pokémon kann höchstens {max} Attacken kennen',
+    'showdown.error.nature': 'Unbekanntes Wesen „{nature}“',
+    'showdown.error.unreadable': 'Nicht lesbarer Text „{text}“',
+    'showdown.error.level': 'Das Level muss zwischen 1 und 100 liegen',
+    'showdown.error.teraType': 'Unbekannter Tera-Typ „{type}“',
+    'showdown.error.spreadMax': '{stat} kann nicht höher als {max} sein',
+    'showdown.error.evTotal': 'Die EVs ergeben {total}, das Maximum ist {max}',
+    'showdown.error.field': 'Unbekanntes Feld „{field}“',
+    'showdown.error.unknownPokemon': 'Unbekanntes Pokémon „{name}“',
+    'showdown.error.ability': '{pokemon} kann die Fähigkeit „{ability}“ nicht haben',
+    'showdown.error.move': '{pokemon} kann „{move}“ nicht erlernen',
+    'nav.label': 'Modus',
+    'nav.browse': 'Durchsuchen',
+    'nav.quiz': 'Quiz',
+    'quiz.title': 'Wer ist das Pokémon?',
+    'quiz.from': 'Von',
+    'quiz.to': 'Bis',
+    'quiz.mode': 'Antwort',
+    'quiz.mode.choice': 'Multiple Choice',
+    'quiz.mode.text': 'Namen eingeben',
+    'quiz.timeLimit': 'Zeitlimit',
+    'quiz.noLimit': 'Kein Limit',
+    'quiz.seconds': '{count} s',
+    'quiz.streak': 'Serie: {count}',
+    'quiz.best': 'Rekord: {count}',
+    'quiz.accuracy': '{correct} von {answered} richtig',
+    'quiz.resetScores': 'Punkte zurücksetzen',
+    'quiz.loadError': 'Die Pokémon-Liste konnte nicht geladen werden. Prüfe deine Verbindung und lade neu.',
+    'quiz.start': 'Start',
+    'quiz.timeLeft': 'Noch {seconds} s',
+    'quiz.silhouette': 'Silhouette eines unbekannten Pokémon',
+    'quiz.prompt': 'Wer ist das Pokémon?',
+    'quiz.correct': 'Richtig! Es ist {name}!',
+    'quiz.wrong': 'Leider falsch, es ist {name}.',
+    'quiz.timeUp': 'Die Zeit ist um! Es war {name}.',
+    'quiz.newBest': 'Neuer Rekord!',
+    'quiz.guess': 'Dein Tipp',
+    'quiz.submit': 'Raten',
+    'quiz.giveUp': 'Aufgeben',
+    'quiz.next': 'Nächstes Pokémon',
+    'nav.progress': 'Mein Pokédex',
+    'nav.items': 'Items & Beeren',
+    'dex.cycleHint': 'Klicken, um als gesehen und dann als gefangen zu markieren',
+    'dex.status.none': 'Nicht gesehen',
+    'dex.status.seen': 'Gesehen',
+    'dex.status.caught': 'Gefangen',
+    'dex.title': 'Mein Pokédex',
+    'dex.summary': '{caught} gefangen und {seen} gesehen von {total} Pokémon',
+    'dex.dex': 'Pokédex',
+    'dex.progress': 'Fortschritt',
+    'dex.complete': 'Vollständig',
+    'dex.count': '{count} / {total}',
+    'dex.byGeneration': 'Nach Generation',
+    'dex.byRegionalDex': 'Nach regionalem Pokédex',
+    'dex.loadingDexes': 'Lade {count} regionale Pokédexe…',
+    'dex.export': 'Fortschritt exportieren',
+    'dex.import': 'Fortschritt importieren',
+    'dex.imported': 'Fortschritt für {count} Pokémon importiert.',
+    'dex.importFailed': 'Import fehlgeschlagen: {reason}',
+    'dex.reset': 'Fortschritt zurücksetzen',
+    'dex.resetConfirm': 'Alle Markierungen für gesehen und gefangen löschen? Das kann nicht rückgängig gemacht werden.',
+    'filters.myDex': 'Mein Pokédex',
+    'filters.dexProgress': 'Pokédex-Fortschritt',
+    'filters.dex.all': 'Alle',
+    'filters.dex.missing': 'Fehlend',
+    'filters.dex.caught': 'Gefangen',
+    'dex.error.invalidJson': 'Die Datei ist kein gültiges JSON.',
+    'dex.error.notAnExport': 'Die Datei ist kein Export des Pokédex-Fortschritts.',
+    'dex.error.newerVersion': 'Die Datei stammt aus einer neueren Version der App.',
+    'lookup.back': 'Alle Pokémon',
+    'lookup.kind.type': 'Typ',
+    'lookup.kind.ability': 'Fähigkeit',
+    'lookup.kind.move': 'Attacke',
+    'lookup.attack': 'Angriff',
+    'lookup.defense': 'Verteidigung',
+    'lookup.relation.double_damage_to': 'Schaden gegen',
+    'lookup.relation.half_damage_to': 'Schaden gegen',
+    'lookup.relation.no_damage_to': 'Schaden gegen',
+    'lookup.relation.double_damage_from': 'Schaden von',
+    'lookup.relation.half_damage_from': 'Schaden von',
+    'lookup.relation.no_damage_from': 'Schaden von',
+    'lookup.none': 'Keine',
+    'lookup.priority': 'Priorität',
+    'lookup.notFound': '„{name}“ gibt es in PokeAPI nicht.',
+    'lookup.failed': '{name} konnte nicht geladen werden. Prüfe deine Verbindung und versuche es erneut.',
+    'lookup.count.type': '{count} Pokémon haben diesen Typ',
+    'lookup.count.ability': '{count} Pokémon haben diese Fähigkeit',
+    'lookup.count.move': '{count} Pokémon können diese Attacke erlernen',
+    'lookup.hiddenCount': '({count} nur als versteckte Fähigkeit)',
+    'lookup.hiddenAbility': 'Versteckte Fähigkeit',
+    'filters.regionalDex': 'Regionaler Pokédex',
+    'filters.nationalDex': 'National (alle Pokémon)',
+    'items.title': 'Items & Beeren',
+    'items.kind': 'Anzeigen',
+    'items.kind.all': 'Alle Items',
+    'items.kind.berries': 'Beeren',
+    'items.search': 'Items suchen...',
+    'items.category': 'Kategorie',
+    'items.allCategories': 'Alle Kategorien',
+    'items.unableToLoad': 'Items konnten nicht geladen werden',
+    'items.found': '{count} Items gefunden',
+    'items.noMatches': 'Keine passenden Items.',
+    'items.grid': 'Items',
+    'items.costValue': '₽{cost}',
+    'items.effect': 'Effekt',
+    'items.noEffect': 'Kein Effekttext verfügbar.',
+    'items.cost': 'Preis',
+    'items.flingPower': 'Schleuderkraft',
+    'items.flingEffect': 'Schleudereffekt',
+    'items.berry': 'Beere',
+    'items.berryFailed': 'Die Beerendetails konnten nicht geladen werden.',
+    'items.firmness': 'Festigkeit',
+    'items.growthTime': 'Wachstumszeit',
+    'items.hours': '{count} Std. pro Stufe',
+    'items.maxHarvest': 'Max. Ernte',
+    'items.size': 'Größe',
+    'items.naturalGift': 'Beerenkräfte',
+    'items.flavors': 'Geschmack',
+    'items.heldBy': 'Von wilden Pokémon getragen',
+    'items.noHolders': 'Kein wildes Pokémon trägt dieses Item.',
+    'items.rarity': '{rarity} % · {count} Spiele',
+    'items.notFound': '„{name}“ gibt es in PokeAPI nicht.',
+    'items.detailFailed': '{name} konnte nicht geladen werden. Prüfe deine Verbindung und versuche es erneut.',
+    'encounters.version': 'Spiel',
+    'encounters.allVersions': 'Alle Spiele',
+    'encounters.none': 'Kommt nicht in freier Wildbahn vor. Man erhält es durch Entwicklung, Tausch, Zucht oder Events.',
+    'encounters.failed': 'Fundorte konnten nicht geladen werden.',
+    'encounters.col.location': 'Ort',
+    'encounters.col.method': 'Methode',
+    'encounters.col.level': 'Level',
+    'encounters.col.chance': 'Chance',
+    'encounters.col.conditions': 'Bedingungen',
+    'export.image': 'Als Bild exportieren',
+    'export.copy': 'Bild kopieren',
+    'export.working': 'Bild wird erstellt...',
+    'export.downloaded': 'Bild gespeichert.',
+    'export.copied': 'Bild in die Zwischenablage kopiert.',
+    'export.failed': 'Das Bild konnte nicht erstellt werden.',
+    'type.normal': 'Normal',
+    'type.fire': 'Feuer',
+    'type.water': 'Wasser',
+    'type.electric': 'Elektro',
+    'type.grass': 'Pflanze',
+    'type.ice': 'Eis',
+    'type.fighting': 'Kampf',
+    'type.poison': 'Gift',
+    'type.ground': 'Boden',
+    'type.flying': 'Flug',
+    'type.psychic': 'Psycho',
+    'type.bug': 'Käfer',
+    'type.rock': 'Gestein',
+    'type.ghost': 'Geist',
+    'type.dragon': 'Drache',
+    'type.dark': 'Unlicht',
+    'type.steel': 'Stahl',
+    'type.fairy': 'Fee',
+    'evolution.trigger.levelUp': 'Levelaufstieg',
+    'evolution.trigger.level': 'Level {level}',
+    'evolution.trigger.useItem': '{item} verwenden',
+    'evolution.trigger.trade': 'Tausch',
+    'evolution.trigger.shed': 'Level 20 mit freiem Platz im Team und einem Pokéball',
+    'evolution.trigger.spin': 'Mit einer Süßigkeit im Kreis drehen',
+    'evolution.trigger.tower-of-darkness': 'Im Turm des Unlichts trainieren',
+    'evolution.trigger.tower-of-waters': 'Im Turm des Wassers trainieren',
+    'evolution.trigger.three-critical-hits': 'Drei Volltreffer in einem Kampf landen',
+    'evolution.trigger.take-damage': 'Schaden nehmen und dann unter dem Steinbogen hindurchgehen',
+    'evolution.trigger.agile-style-move': 'Die Spezialattacke 20-mal im Tempo-Stil einsetzen',
+    'evolution.trigger.strong-style-move': 'Die Spezialattacke 20-mal im Kraft-Stil einsetzen',
+    'evolution.trigger.recoil-damage': 'KP durch Rückstoßschaden verlieren',
+    'evolution.trigger.other': 'Besondere Bedingung',
+    'evolution.trigger.unknown': '{name}',
+    'evolution.heldItem': 'mit {item} als Item',
+    'evolution.tradeSpecies': 'gegen {pokemon}',
+    'evolution.happiness': 'mit hoher Freundschaft',
+    'evolution.affection': 'mit hoher Zuneigung',
+    'evolution.beauty': 'mit hoher Schönheit',
+    'evolution.knownMove': 'mit der Attacke {move}',
+    'evolution.knownMoveType': 'mit einer Attacke vom Typ {type}',
+    'evolution.location': 'bei {location}',
+    'evolution.partySpecies': 'mit {pokemon} im Team',
+    'evolution.partyType': 'mit einem Pokémon vom Typ {type} im Team',
+    'evolution.stats.higher': '(Angriff > Verteidigung)',
+    'evolution.stats.equal': '(Angriff = Verteidigung)',
+    'evolution.stats.lower': '(Angriff < Verteidigung)',
+    'evolution.time.day': 'tagsüber',
+    'evolution.time.night': 'nachts',
+    'evolution.time.other': 'zur Tageszeit {time}',
+    'evolution.female': '(weiblich)',
+    'evolution.male': '(männlich)',
+    'evolution.rain': 'bei Regen',
+    'evolution.upsideDown': 'mit der Konsole auf dem Kopf',
+    'team.defaultName': 'Mein Team',
+    'team.numberedName': 'Team {number}',
+};
+
+const fr = {
+    'language.label': 'Langue',
+
+    'a11y.type': 'Type :',
+    'a11y.grid': 'Pokémon',
+
+    'loader.loading': 'Chargement des Pokémon ...',
+
+    'error.title': '🚨 Oups ! Une erreur est survenue',
+    'error.intro': 'Une erreur est survenue lors du chargement des données Pokémon.',
+    'error.causes': 'Causes possibles :',
+    'error.network': 'Problèmes de connexion réseau',
+    'error.server': 'Problèmes du serveur API',
+    'error.pokeapi': 'Problèmes du serveur PokeAPI',
+    'error.interruption': 'Interruption temporaire du service',
+    'error.retry': '🔄 Réessayer',
+    'error.reload': 'Recharger la page',
+    'error.devDetails': 'Détails de l’erreur (mode développeur)',
+    'error.cardFailed': 'Impossible d’afficher {name}',
+    'error.retryShort': 'Réessayer',
+    'error.modalCrashed': 'Une erreur est survenue lors de l’affichage de cette vue.',
+
+    'load.rateLimited': 'PokeAPI reçoit trop de requêtes en ce moment. Patientez un instant puis réessayez.',
+    'load.notFound': 'La liste des Pokémon est introuvable sur le serveur.',
+    'load.failed': 'Impossible de charger les Pokémon. Vérifiez votre connexion internet et réessayez.',
+
+    'list.title': 'Découvrez et explorez le monde des Pokémon !',
+    'list.offline': '📡 Vous êtes hors ligne, affichage des données en cache.',
+    'list.unableToLoad': 'Impossible de charger les Pokémon',
+    'list.tryAgain': 'Réessayer',
+    'list.notFound': 'Pokémon introuvable : « {term} »',
+    'list.searchFailed': 'Impossible de rechercher « {term} » : {reason}',
+    'list.filtering': 'Filtrage du Pokédex...',
+    'list.loadingStats': 'Filtrage du Pokédex - chargement des statistiques {done}/{total}...',
+    'list.filterFailed': "Impossible d'appliquer les filtres : {reason}",
+    'list.noMatches': 'Aucun Pokémon ne correspond à ces filtres.',
+    'list.found': '{count} Pokémon trouvés',
+    'list.team': 'Équipe ({count}/{size})',
+    'list.loadingMore': "Chargement d'autres Pokémon...",
+    'list.loadMoreFailed': 'Impossible de charger plus de Pokémon : {reason}',
+    'list.retry': 'Réessayer',
+    'list.mode': "Mode d'affichage",
+    'list.modeInfinite': 'Défilement infini',
+    'list.modePages': 'Pages',
+    'list.jumpTo': 'Aller au n°',
+    'list.go': 'OK',
+    'list.showingFrom': 'Affichage à partir du n°{number}.',
+    'list.backToStart': 'Revenir au n°1',
+    'list.pagination': 'Pages',
+    'list.firstPage': 'Première page',
+    'list.previousPage': 'Précédente',
+    'list.nextPage': 'Suivante',
+    'list.lastPage': 'Dernière page',
+    'list.page': 'Page {page} sur {count}',
+
+    'search.placeholder': 'Rechercher un Pokémon par nom ou numéro... ',
+    'search.clear': 'Effacer la recherche',
+
+    'card.addToTeam': 'Ajouter à {team}',
+    'card.team': '+ Équipe',
+
+    'compare.add': '⇄ Comparer',
+    'compare.selected': '✓ Comparé',
+    'compare.tray': 'Comparer ({count}/{max})',
+    'compare.open': 'Comparer',
+    'compare.clear': 'Vider',
+    'compare.pickMore': 'Choisissez au moins deux Pokémon à comparer.',
+    'compare.title': 'Comparaison',
+    'compare.loading': 'Chargement des Pokémon...',
+    'compare.loadFailed': 'Impossible de charger tous les Pokémon de cette comparaison.',
+    'compare.stat': 'Stat',
+    'compare.total': 'Total',
+    'compare.radar': 'Aperçu des statistiques de base',
+    'compare.remove': 'Retirer {name} de la comparaison',
+
+    'modal.close': 'Fermer',
+    'modal.loading': 'Chargement des détails du Pokémon...',
+    'modal.oops': '😔 Oups !',
+    'modal.notFound': 'Ce Pokémon est introuvable.',
+    'modal.loadFailed': 'Impossible de charger les détails du Pokémon. Veuillez réessayer.',
+    'modal.addToTeam': '+ Ajouter à {team}',
+    'modal.teamFull': '{team} est complète',
+    'modal.pokedexEntry': 'Entrée du Pokédex',
+    'modal.version': 'Version du jeu',
+    'modal.noFlavorText': "Aucune entrée du Pokédex n'est disponible dans cette langue.",
+    'modal.physical': 'Caractéristiques physiques',
+    'modal.height': 'Taille :',
+    'modal.weight': 'Poids :',
+    'modal.baseExperience': 'Expérience de base :',
+    'modal.baseStats': 'Statistiques de base',
+    'modal.typeEffectiveness': 'Efficacité des types',
+    'modal.evolution': 'Évolution',
+    'modal.whereToFind': 'Où le trouver',
+    'modal.statCalculator': 'Calculateur de statistiques',
+    'calc.level': 'Niveau',
+    'calc.nature': 'Nature',
+    'calc.natureEffect': '{nature} (+{raised}, −{lowered})',
+    'calc.natureNeutral': '{nature} (neutre)',
+    'calc.reset': 'Réinitialiser',
+    'calc.stat': 'Stat',
+    'calc.base': 'Base',
+    'calc.iv': 'IV',
+    'calc.ev': 'EV',
+    'calc.result': 'Résultat',
+    'calc.range': 'Plage N. {level}',
+    'calc.evTotal': 'EV utilisés : {used} / {max}',
+    'modal.abilities': 'Talents',
+    'modal.hidden': '(Caché)',
+    'modal.tabOverview': 'Aperçu',
+    'modal.tabMoves': 'Capacités',
+
+    'sprites.variety': 'Forme',
+    'sprites.form': 'Apparence',
+    'sprites.set': 'Jeu de sprites',
+    'sprites.back': 'Dos',
+    'sprites.shiny': 'Chromatique',
+    'sprites.female': 'Femelle',
+    'sprites.cry': 'Cri',
+    'sprites.cryLegacy': 'Ancien cri',
+    'sprites.official-artwork': 'Artwork officiel',
+    'sprites.home': 'HOME',
+    'sprites.showdown': 'Showdown (animé)',
+    'sprites.default': 'Sprites par défaut',
+
+    'stat.hp': 'PV',
+    'stat.attack': 'Attaque',
+    'stat.defense': 'Défense',
+    'stat.special-attack': 'Attaque Spé.',
+    'stat.special-defense': 'Défense Spé.',
+    'stat.speed': 'Vitesse',
+    'matchups.loading': 'Chargement des affinités de type...',
+    'matchups.failed': 'Impossible de charger les affinités de type.',
+    'matchups.veryWeak': 'Très vulnérable à',
+    'matchups.weak': 'Vulnérable à',
+    'matchups.normal': 'Dégâts normaux de',
+    'matchups.resists': 'Résiste à',
+    'matchups.stronglyResists': 'Résiste fortement à',
+    'matchups.immune': 'Immunisé contre',
+    'evolution.loading': 'Chargement des évolutions...',
+    'evolution.none': "Ce Pokémon n'évolue pas.",
+    'evolution.failed': "Impossible de charger la chaîne d'évolution.",
+    'filters.toggle': 'Filtres',
+    'filters.sortBy': 'Trier par',
+    'sort.id': 'Numéro du Pokédex',
+    'sort.name': 'Nom',
+    'sort.total': 'Total des stats de base',
+    'filters.sortAscending': 'Tri croissant',
+    'filters.sortDescending': 'Tri décroissant',
+    'filters.ascending': 'Croissant',
+    'filters.descending': 'Décroissant',
+    'filters.reset': 'Réinitialiser',
+    'filters.types': 'Types',
+    'filters.matchAll': 'Tous les types sélectionnés',
+    'filters.generation': 'Génération',
+    'filters.allGenerations': 'Toutes les générations',
+    'generation.label': 'Gén. {numeral} ({region})',
+    'generation.labelShort': 'Gén. {numeral}',
+    'filters.baseStats': 'Stats de base',
+    'filters.min': 'Min',
+    'filters.max': 'Max',
+    'filters.minStat': '{stat} minimum',
+    'filters.maxStat': '{stat} maximum',
+    'team.title': "Créateur d'équipe",
+    'team.close': "Fermer le panneau d'équipe",
+    'team.name': "Nom de l'équipe",
+    'team.select': 'Choisir une équipe',
+    'team.option': '{name} ({count}/{size})',
+    'team.new': 'Nouvelle',
+    'team.rename': 'Renommer',
+    'team.delete': 'Supprimer',
+    'team.deleteConfirm': 'Supprimer « {name} » ?',
+    'team.import': 'Importer',
+    'team.export': 'Exporter',
+    'team.emptySlot': 'Emplacement libre',
+    'team.exportMember': 'Exporter {name} vers Showdown',
+    'team.removeMember': "Retirer {name} de l'équipe",
+    'team.hint': 'Ajoutez des Pokémon avec le bouton « {button} » sur une carte ou dans la vue détaillée.',
+    'team.defense': 'Affinités défensives',
+    'team.attack': 'Attaque',
+    'team.weak': 'Faible',
+    'team.resist': 'Résiste',
+    'team.sharedWeaknesses': '⚠️ Faiblesses communes : {types}',
+    'team.offense': 'Couverture offensive (STAB)',
+    'team.covered': 'Super efficace',
+    'team.notCovered': 'Non couvert',
+    'team.uncovered': '⚠️ Aucun STAB super efficace contre : {types}',
+
+    'moves.versionGroup': 'Jeu',
+    'moves.search': 'Filtrer les capacités...',
+    'moves.allTypes': 'Tous les types',
+    'moves.allCategories': 'Toutes les catégories',
+    'moves.loading': 'Chargement des capacités {done}/{total}...',
+    'moves.none': 'Aucune capacité ne correspond à ces filtres.',
+    'moves.noMoves': 'Aucune capacité n’est répertoriée pour ce Pokémon.',
+    'moves.method.level-up': 'Montée de niveau',
+    'moves.method.machine': 'CT / CS',
+    'moves.method.egg': 'Capacités œuf',
+    'moves.method.tutor': 'Donneur de capacités',
+    'moves.col.level': 'N.',
+    'moves.col.name': 'Capacité',
+    'moves.col.type': 'Type',
+    'moves.col.category': 'Catégorie',
+    'moves.col.power': 'Puissance',
+    'moves.col.accuracy': 'Préc.',
+    'moves.col.pp': 'PP',
+    'moves.category.physical': 'Physique',
+    'moves.category.special': 'Spéciale',
+    'moves.category.status': 'Statut',
+    'sprites.gameSet': 'Gén. {numeral} · {game}',
+    'showdown.exportTitle': 'Exporter vers Showdown',
+    'showdown.importTitle': 'Importer depuis Showdown',
+    'showdown.text': "Texte d'équipe Showdown",
+    'showdown.copy': 'Copier',
+    'showdown.copied': 'Copié !',
+    'showdown.close': 'Fermer',
+    'showdown.placeholder': 'Collez une équipe Showdown ici',
+    'showdown.unreachable': "Impossible de joindre PokeAPI pour vérifier l'équipe. Veuillez réessayer.",
+    'showdown.lineError': 'Ligne {line} : {message}',
+    'showdown.ready': '{count} Pokémon prêts à être importés.',
+    'showdown.readyAs': '{count} Pokémon prêts à être importés sous « {name} ».',
+    'showdown.check': 'Vérifier',
+    'showdown.checking': 'Vérification...',
+    'showdown.importTeam': 'Importer comme nouvelle équipe',
+    'showdown.cancel': 'Annuler',
+    'showdown.error.missingSpecies': 'Pokémon manquant',
+    'showdown.error.teamSize': 'Une équipe ne peut pas avoir plus de {max} Pokémon',
+    'showdown.error.moveCount': 'Un Pokémon ne peut pas connaître plus de {max} capacités',
+    'showdown.error.nature': 'Nature inconnue « {nature} »',
+    'showdown.error.unreadable': 'Texte illisible « {text} »',
+    'showdown.error.level': 'Le niveau doit être compris entre 1 et 100',
+    'showdown.error.teraType': 'Type Téra inconnu « {type} »',
+    'showdown.error.spreadMax': '{stat} ne peut pas dépasser {max}',
+    'showdown.error.evTotal': 'Les EV totalisent {total}, la limite est {max}',
+    'showdown.error.field': 'Champ inconnu « {field} »',
+    'showdown.error.unknownPokemon': 'Pokémon inconnu « {name} »',
+    'showdown.error.ability': '{pokemon} ne peut pas avoir le talent « {ability} »',
+    'showdown.error.move': '{pokemon} ne peut pas apprendre « {move} »',
+    'nav.label': 'Mode',
+    'nav.browse': 'Parcourir',
+    'nav.quiz': 'Quiz',
+    'quiz.title': 'Quel est ce Pokémon ?',
+    'quiz.from': 'De',
+    'quiz.to': 'À',
+    'quiz.mode': 'Réponse',
+    'quiz.mode.choice': 'Choix multiple',
+    'quiz.mode.text': 'Saisir le nom',
+    'quiz.timeLimit': 'Temps limite',
+    'quiz.noLimit': 'Sans limite',
+    'quiz.seconds': '{count} s',
+    'quiz.streak': 'Série : {count}',
+    'quiz.best': 'Record : {count}',
+    'quiz.accuracy': '{correct} sur {answered} corrects',
+    'quiz.resetScores': 'Réinitialiser les scores',
+    'quiz.loadError': 'Impossible de charger la liste des Pokémon. Vérifiez votre connexion et rechargez.',
+    'quiz.start': 'Commencer',
+    'quiz.timeLeft': '{seconds} s restantes',
+    'quiz.silhouette': 'Silhouette d’un Pokémon mystère',
+    'quiz.prompt': 'Quel est ce Pokémon ?',
+    'quiz.correct': 'Bravo ! C’est {name} !',
+    'quiz.wrong': 'Raté, c’est {name}.',
+    'quiz.timeUp': 'Temps écoulé ! C’était {name}.',
+    'quiz.newBest': 'Nouveau record !',
+    'quiz.guess': 'Votre réponse',
+    'quiz.submit': 'Valider',
+    'quiz.giveUp': 'Abandonner',
+    'quiz.next': 'Pokémon suivant',
+    'nav.progress': 'Mon Pokédex',
+    'nav.items': 'Objets et baies',
+    'dex.cycleHint': 'Cliquer pour marquer comme vu, puis capturé',
+    'dex.status.none': 'Pas vu',
+    'dex.status.seen': 'Vu',
+    'dex.status.caught': 'Capturé',
+    'dex.title': 'Mon Pokédex',
+    'dex.summary': '{caught} capturés et {seen} vus sur {total} Pokémon',
+    'dex.dex': 'Pokédex',
+    'dex.progress': 'Progression',
+    'dex.complete': 'Complété',
+    'dex.count': '{count} / {total}',
+    'dex.byGeneration': 'Par génération',
+    'dex.byRegionalDex': 'Par Pokédex régional',
+    'dex.loadingDexes': 'Chargement de {count} Pokédex régionaux…',
+    'dex.export': 'Exporter la progression',
+    'dex.import': 'Importer la progression',
+    'dex.imported': 'Progression importée pour {count} Pokémon.',
+    'dex.importFailed': 'Import impossible : {reason}',
+    'dex.reset': 'Réinitialiser la progression',
+    'dex.resetConfirm': 'Effacer toutes les marques vu et capturé ? Cette action est irréversible.',
+    'filters.myDex': 'Mon Pokédex',
+    'filters.dexProgress': 'Progression du Pokédex',
+    'filters.dex.all': 'Tous',
+    'filters.dex.missing': 'Manquants',
+    'filters.dex.caught': 'Capturés',
+    'dex.error.invalidJson': "Le fichier n'est pas un JSON valide.",
+    'dex.error.notAnExport': "Le fichier n'est pas un export de progression du Pokédex.",
+    'dex.error.newerVersion': "Le fichier a été créé par une version plus récente de l'application.",
+    'lookup.back': 'Tous les Pokémon',
+    'lookup.kind.type': 'Type',
+    'lookup.kind.ability': 'Talent',
+    'lookup.kind.move': 'Capacité',
+    'lookup.attack': 'En attaque',
+    'lookup.defense': 'En défense',
+    'lookup.relation.double_damage_to': 'dégâts infligés à',
+    'lookup.relation.half_damage_to': 'dégâts infligés à',
+    'lookup.relation.no_damage_to': 'dégâts infligés à',
+    'lookup.relation.double_damage_from': 'dégâts reçus de',
+    'lookup.relation.half_damage_from': 'dégâts reçus de',
+    'lookup.relation.no_damage_from': 'dégâts reçus de',
+    'lookup.none': 'Aucun',
+    'lookup.priority': 'Priorité',
+    'lookup.notFound': '« {name} » n’existe pas dans PokeAPI.',
+    'lookup.failed': 'Impossible de charger {name}. Vérifiez votre connexion et réessayez.',
+    'lookup.count.type': '{count} Pokémon ont ce type',
+    'lookup.count.ability': '{count} Pokémon ont ce talent',
+    'lookup.count.move': '{count} Pokémon peuvent apprendre cette capacité',
+    'lookup.hiddenCount': '({count} uniquement en talent caché)',
+    'lookup.hiddenAbility': 'Talent caché',
+    'filters.regionalDex': 'Pokédex régional',
+    'filters.nationalDex': 'National (tous les Pokémon)',
+    'items.title': 'Objets et baies',
+    'items.kind': 'Afficher',
+    'items.kind.all': 'Tous les objets',
+    'items.kind.berries': 'Baies',
+    'items.search': 'Rechercher des objets...',
+    'items.category': 'Catégorie',
+    'items.allCategories': 'Toutes les catégories',
+    'items.unableToLoad': 'Impossible de charger les objets',
+    'items.found': '{count} objets trouvés',
+    'items.noMatches': 'Aucun objet ne correspond.',
+    'items.grid': 'Objets',
+    'items.costValue': '{cost} ₽',
+    'items.effect': 'Effet',
+    'items.noEffect': "Aucun texte d'effet disponible.",
+    'items.cost': 'Prix',
+    'items.flingPower': 'Puissance de Dégommage',
+    'items.flingEffect': 'Effet de Dégommage',
+    'items.berry': 'Baie',
+    'items.berryFailed': 'Impossible de charger les détails de la baie.',
+    'items.firmness': 'Fermeté',
+    'items.growthTime': 'Temps de pousse',
+    'items.hours': '{count} h par étape',
+    'items.maxHarvest': 'Récolte max.',
+    'items.size': 'Taille',
+    'items.naturalGift': 'Don Naturel',
+    'items.flavors': 'Saveurs',
+    'items.heldBy': 'Tenu par des Pokémon sauvages',
+    'items.noHolders': 'Aucun Pokémon sauvage ne tient cet objet.',
+    'items.rarity': '{rarity} % · {count} jeux',
+    'items.notFound': "« {name} » n'existe pas dans PokeAPI.",
+    'items.detailFailed': 'Impossible de charger {name}. Vérifiez votre connexion et réessayez.',
+    'encounters.version': 'Jeu',
+    'encounters.allVersions': 'Tous les jeux',
+    'encounters.none': "Introuvable à l'état sauvage. Il s'obtient par évolution, échange, reproduction ou lors d'événements.",
+    'encounters.failed': 'Impossible de charger les lieux de rencontre.',
+    'encounters.col.location': 'Lieu',
+    'encounters.col.method': 'Méthode',
+    'encounters.col.level': 'Niveau',
+    'encounters.col.chance': 'Chance',
+    'encounters.col.conditions': 'Conditions',
+    'export.image': "Exporter l'image",
+    'export.copy': "Copier l'image",
+    'export.working': "Création de l'image...",
+    'export.downloaded': 'Image enregistrée.',
+    'export.copied': 'Image copiée dans le presse-papiers.',
+    'export.failed': "Impossible de créer l'image.",
+    'type.normal': 'Normal',
+    'type.fire': 'Feu',
+    'type.water': 'Eau',
+    'type.electric': 'Électrik',
+    'type.grass': 'Plante',
+    'type.ice': 'Glace',
+    'type.fighting': 'Combat',
+    'type.poison': 'Poison',
+    'type.ground': 'Sol',
+    'type.flying': 'Vol',
+    'type.psychic': 'Psy',
+    'type.bug': 'Insecte',
+    'type.rock': 'Roche',
+    'type.ghost': 'Spectre',
+    'type.dragon': 'Dragon',
+    'type.dark': 'Ténèbres',
+    'type.steel': 'Acier',
+    'type.fairy': 'Fée',
+    'evolution.trigger.levelUp': 'Montée de niveau',
+    'evolution.trigger.level': 'Niveau {level}',
+    'evolution.trigger.useItem': 'Utiliser {item}',
+    'evolution.trigger.trade': 'Échange',
+    'evolution.trigger.shed': "Niveau 20 avec une place libre dans l'équipe et une Poké Ball",
+    'evolution.trigger.spin': 'Tourner sur soi-même en tenant une Sucrerie',
+    'evolution.trigger.tower-of-darkness': "S'entraîner dans la Tour des Ténèbres",
+    'evolution.trigger.tower-of-waters': "S'entraîner dans la Tour des Eaux",
+    'evolution.trigger.three-critical-hits': 'Infliger trois coups critiques en un combat',
+    'evolution.trigger.take-damage': "Subir des dégâts, puis passer sous l'arche de pierre",
+    'evolution.trigger.agile-style-move': 'Utiliser 20 fois sa capacité signature en style Rapide',
+    'evolution.trigger.strong-style-move': 'Utiliser 20 fois sa capacité signature en style Puissant',
+    'evolution.trigger.recoil-damage': 'Perdre des PV par des dégâts de recul',
+    'evolution.trigger.other': 'Condition spéciale',
+    'evolution.trigger.unknown': '{name}',
+    'evolution.heldItem': 'en tenant {item}',
+    'evolution.tradeSpecies': 'contre {pokemon}',
+    'evolution.happiness': 'avec une grande amitié',
+    'evolution.affection': 'avec une grande affection',
+    'evolution.beauty': 'avec une grande beauté',
+    'evolution.knownMove': 'en connaissant {move}',
+    'evolution.knownMoveType': 'en connaissant une capacité de type {type}',
+    'evolution.location': 'à {location}',
+    'evolution.partySpecies': "avec {pokemon} dans l'équipe",
+    'evolution.partyType': "avec un Pokémon de type {type} dans l'équipe",
+    'evolution.stats.higher': '(Attaque > Défense)',
+    'evolution.stats.equal': '(Attaque = Défense)',
+    'evolution.stats.lower': '(Attaque < Défense)',
+    'evolution.time.day': 'pendant la journée',
+    'evolution.time.night': 'pendant la nuit',
+    'evolution.time.other': 'pendant la période {time}',
+    'evolution.female': '(femelle)',
+    'evolution.male': '(mâle)',
+    'evolution.rain': 'sous la pluie',
+    'evolution.upsideDown': "en tenant la console à l'envers",
+    'team.defaultName': 'Mon équipe',
+    'team.numberedName': 'Équipe {number}',
+};
+
+const es = {
+    'language.label': 'Idioma',
+
+    'a11y.type': 'Tipo:',
+    'a11y.grid': 'Pokémon',
+
+    'loader.loading': 'Cargando Pokémon ...',
+
+    'error.title': '🚨 ¡Vaya! Algo salió mal',
+    'error.intro': 'Se produjo un error al cargar los datos de los Pokémon.',
+    'error.causes': 'Esto puede deberse a:',
+    'error.network': 'Problemas de conexión de red',
+    'error.server': 'Problemas del servidor de la API',
+    'error.pokeapi': 'Problemas del servidor de PokeAPI',
+    'error.interruption': 'Interrupción temporal del servicio',
+    'error.retry': '🔄 Reintentar',
+    'error.reload': 'Recargar página',
+    'error.devDetails': 'Detalles del error (modo desarrollador)',
+    'error.cardFailed': 'No se pudo mostrar {name}',
+    'error.retryShort': 'Reintentar',
+    'error.modalCrashed': 'Algo salió mal al mostrar esta vista.',
+
+    'load.rateLimited': 'PokeAPI está recibiendo demasiadas solicitudes. Espera un momento e inténtalo de nuevo.',
+    'load.notFound': 'No se encontró la lista de Pokémon en el servidor.',
+    'load.failed': 'No se pudieron cargar los Pokémon. Comprueba tu conexión a internet e inténtalo de nuevo.',
+
+    'list.title': '¡Descubre y explora el mundo Pokémon!',
+    'list.offline': '📡 Estás sin conexión, mostrando datos guardados.',
+    'list.unableToLoad': 'No se pudieron cargar los Pokémon',
+    'list.tryAgain': 'Reintentar',
+    'list.notFound': 'Pokémon no encontrado: "{term}"',
+    'list.searchFailed': 'No se pudo buscar "{term}": {reason}',
+    'list.filtering': 'Filtrando la Pokédex...',
+    'list.loadingStats': 'Filtrando la Pokédex - cargando estadísticas {done}/{total}...',
+    'list.filterFailed': 'No se pudieron aplicar los filtros: {reason}',
+    'list.noMatches': 'Ningún Pokémon coincide con estos filtros.',
+    'list.found': '{count} Pokémon encontrados',
+    'list.team': 'Equipo ({count}/{size})',
+    'list.loadingMore': 'Cargando más Pokémon...',
+    'list.loadMoreFailed': 'No se pudieron cargar más Pokémon: {reason}',
+    'list.retry': 'Reintentar',
+    'list.mode': 'Modo de lista',
+    'list.modeInfinite': 'Desplazamiento infinito',
+    'list.modePages': 'Páginas',
+    'list.jumpTo': 'Ir al n.º',
+    'list.go': 'Ir',
+    'list.showingFrom': 'Mostrando desde el n.º {number}.',
+    'list.backToStart': 'Volver al n.º 1',
+    'list.pagination': 'Páginas',
+    'list.firstPage': 'Primera página',
+    'list.previousPage': 'Anterior',
+    'list.nextPage': 'Siguiente',
+    'list.lastPage': 'Última página',
+    'list.page': 'Página {page} de {count}',
+
+    'search.placeholder': 'Buscar Pokémon por nombre o número... ',
+    'search.clear': 'Borrar búsqueda',
+
+    'card.addToTeam': 'Añadir a {team}',
+    'card.team': '+ Equipo',
+
+    'compare.add': '⇄ Comparar',
+    'compare.selected': '✓ Comparando',
+    'compare.tray': 'Comparar ({count}/{max})',
+    'compare.open': 'Comparar',
+    'compare.clear': 'Vaciar',
+    'compare.pickMore': 'Elige al menos dos Pokémon para comparar.',
+    'compare.title': 'Comparación',
+    'compare.loading': 'Cargando Pokémon...',
+    'compare.loadFailed': 'No se pudieron cargar todos los Pokémon de esta comparación.',
+    'compare.stat': 'Estadística',
+    'compare.total': 'Total',
+    'compare.radar': 'Resumen de estadísticas base',
+    'compare.remove': 'Quitar a {name} de la comparación',
+
+    'modal.close': 'Cerrar',
+    'modal.loading': 'Cargando detalles del Pokémon...',
+    'modal.oops': '😔 ¡Vaya!',
+    'modal.notFound': 'No se encontró este Pokémon.',
+    'modal.loadFailed': 'No se pudieron cargar los detalles del Pokémon. Inténtalo de nuevo.',
+    'modal.addToTeam': '+ Añadir a {team}',
+    'modal.teamFull': '{team} está completo',
+    'modal.pokedexEntry': 'Entrada de la Pokédex',
+    'modal.version': 'Versión del juego',
+    'modal.noFlavorText': 'No hay entrada de la Pokédex en este idioma.',
+    'modal.physical': 'Características físicas',
+    'modal.height': 'Altura:',
+    'modal.weight': 'Peso:',
+    'modal.baseExperience': 'Experiencia base:',
+    'modal.baseStats': 'Estadísticas base',
+    'modal.typeEffectiveness': 'Efectividad de tipos',
+    'modal.evolution': 'Evolución',
+    'modal.whereToFind': 'Dónde encontrarlo',
+    'modal.statCalculator': 'Calculadora de estadísticas',
+    'calc.level': 'Nivel',
+    'calc.nature': 'Naturaleza',
+    'calc.natureEffect': '{nature} (+{raised}, −{lowered})',
+    'calc.natureNeutral': '{nature} (neutra)',
+    'calc.reset': 'Restablecer',
+    'calc.stat': 'Estadística',
+    'calc.base': 'Base',
+    'calc.iv': 'IV',
+    'calc.ev': 'EV',
+    'calc.result': 'Resultado',
+    'calc.range': 'Rango Nv. {level}',
+    'calc.evTotal': 'EV usados: {used} / {max}',
+    'modal.abilities': 'Habilidades',
+    'modal.hidden': '(Oculta)',
+    'modal.tabOverview': 'Resumen',
+    'modal.tabMoves': 'Movimientos',
+
+    'sprites.variety': 'Forma',
+    'sprites.form': 'Apariencia',
+    'sprites.set': 'Conjunto de sprites',
+    'sprites.back': 'Espalda',
+    'sprites.shiny': 'Variocolor',
+    'sprites.female': 'Hembra',
+    'sprites.cry': 'Grito',
+    'sprites.cryLegacy': 'Grito clásico',
+    'sprites.official-artwork': 'Arte oficial',
+    'sprites.home': 'HOME',
+    'sprites.showdown': 'Showdown (animado)',
+    'sprites.default': 'Sprites por defecto',
+
+    'stat.hp': 'PS',
+    'stat.attack': 'Ataque',
+    'stat.defense': 'Defensa',
+    'stat.special-attack': 'At. Esp.',
+    'stat.special-defense': 'Def. Esp.',
+    'stat.speed': 'Velocidad',
+    'matchups.loading': 'Cargando la efectividad de tipos...',
+    'matchups.failed': 'No se pudo cargar la efectividad de tipos.',
+    'matchups.veryWeak': 'Muy débil contra',
+    'matchups.weak': 'Débil contra',
+    'matchups.normal': 'Daño normal de',
+    'matchups.resists': 'Resiste',
+    'matchups.stronglyResists': 'Resiste mucho',
+    'matchups.immune': 'Inmune a',
+    'evolution.loading': 'Cargando evoluciones...',
+    'evolution.none': 'Este Pokémon no evoluciona.',
+    'evolution.failed': 'No se pudo cargar la cadena evolutiva.',
+    'filters.toggle': 'Filtros',
+    'filters.sortBy': 'Ordenar por',
+    'sort.id': 'Número de la Pokédex',
+    'sort.name': 'Nombre',
+    'sort.total': 'Total de estadísticas base',
+    'filters.sortAscending': 'Orden ascendente',
+    'filters.sortDescending': 'Orden descendente',
+    'filters.ascending': 'Ascendente',
+    'filters.descending': 'Descendente',
+    'filters.reset': 'Restablecer',
+    'filters.types': 'Tipos',
+    'filters.matchAll': 'Todos los tipos seleccionados',
+    'filters.generation': 'Generación',
+    'filters.allGenerations': 'Todas las generaciones',
+    'generation.label': 'Gen. {numeral} ({region})',
+    'generation.labelShort': 'Gen. {numeral}',
+    'filters.baseStats': 'Estadísticas base',
+    'filters.min': 'Mín.',
+    'filters.max': 'Máx.',
+    'filters.minStat': '{stat} mínimo',
+    'filters.maxStat': '{stat} máximo',
+    'team.title': 'Creador de equipos',
+    'team.close': 'Cerrar el panel del equipo',
+    'team.name': 'Nombre del equipo',
+    'team.select': 'Elegir equipo',
+    'team.option': '{name} ({count}/{size})',
+    'team.new': 'Nuevo',
+    'team.rename': 'Renombrar',
+    'team.delete': 'Eliminar',
+    'team.deleteConfirm': '¿Eliminar «{name}»?',
+    'team.import': 'Importar',
+    'team.export': 'Exportar',
+    'team.emptySlot': 'Hueco libre',
+    'team.exportMember': 'Exportar {name} a Showdown',
+    'team.removeMember': 'Quitar a {name} del equipo',
+    'team.hint': 'Añade Pokémon con el botón «{button}» de una tarjeta o de la vista de detalles.',
+    'team.defense': 'Defensa por tipos',
+    'team.attack': 'Ataque',
+    'team.weak': 'Débil',
+    'team.resist': 'Resiste',
+    'team.sharedWeaknesses': '⚠️ Debilidades compartidas: {types}',
+    'team.offense': 'Cobertura ofensiva (STAB)',
+    'team.covered': 'Superefectivo',
+    'team.notCovered': 'Sin cobertura',
+    'team.uncovered': '⚠️ Ningún STAB superefectivo contra: {types}',
+
+    'moves.versionGroup': 'Juego',
+    'moves.search': 'Filtrar movimientos...',
+    'moves.allTypes': 'Todos los tipos',
+    'moves.allCategories': 'Todas las categorías',
+    'moves.loading': 'Cargando movimientos {done}/{total}...',
+    'moves.none': 'Ningún movimiento coincide con estos filtros.',
+    'moves.noMoves': 'No hay movimientos registrados para este Pokémon.',
+    'moves.method.level-up': 'Subir de nivel',
+    'moves.method.machine': 'MT / MO',
+    'moves.method.egg': 'Movimientos huevo',
+    'moves.method.tutor': 'Tutor de movimientos',
+    'moves.col.level': 'Nv.',
+    'moves.col.name': 'Movimiento',
+    'moves.col.type': 'Tipo',
+    'moves.col.category': 'Categoría',
+    'moves.col.power': 'Potencia',
+    'moves.col.accuracy': 'Prec.',
+    'moves.col.pp': 'PP',
+    'moves.category.physical': 'Físico',
+    'moves.category.special': 'Especial',
+    'moves.category.status': 'Estado',
+    'sprites.gameSet': 'Gen. {numeral} · {game}',
+    'showdown.exportTitle': 'Exportar a Showdown',
+    'showdown.importTitle': 'Importar desde Showdown',
+    'showdown.text': 'Texto del equipo de Showdown',
+    'showdown.copy': 'Copiar',
+    'showdown.copied': '¡Copiado!',
+    'showdown.close': 'Cerrar',
+    'showdown.placeholder': 'Pega aquí un equipo de Showdown',
+    'showdown.unreachable': 'No se pudo conectar con PokeAPI para comprobar el equipo. Inténtalo de nuevo.',
+    'showdown.lineError': 'Línea {line}: {message}',
+    'showdown.ready': '{count} Pokémon listos para importar.',
+    'showdown.readyAs': '{count} Pokémon listos para importar como «{name}».',
+    'showdown.check': 'Comprobar',
+    'showdown.checking': 'Comprobando...',
+    'showdown.importTeam': 'Importar como equipo nuevo',
+    'showdown.cancel': 'Cancelar',
+    'showdown.error.missingSpecies': 'Falta el Pokémon',
+    'showdown.error.teamSize': 'Un equipo no puede tener más de {max} Pokémon',
+    'showdown.error.moveCount': 'Un Pokémon no puede conocer más de {max} movimientos',
+    'showdown.error.nature': 'Naturaleza desconocida «{nature}»',
+    'showdown.error.unreadable': 'Texto ilegible «{text}»',
+    'showdown.error.level': 'El nivel debe estar entre 1 y 100',
+    'showdown.error.teraType': 'Teratipo desconocido «{type}»',
+    'showdown.error.spreadMax': '{stat} no puede ser mayor que {max}',
+    'showdown.error.evTotal': 'Los EV suman {total}, el límite es {max}',
+    'showdown.error.field': 'Campo desconocido «{field}»',
+    'showdown.error.unknownPokemon': 'Pokémon desconocido «{name}»',
+    'showdown.error.ability': '{pokemon} no puede tener la habilidad «{ability}»',
+    'showdown.error.move': '{pokemon} no puede aprender «{move}»',
+    'nav.label': 'Modo',
+    'nav.browse': 'Explorar',
+    'nav.quiz': 'Quiz',
+    'quiz.title': '¿Quién es ese Pokémon?',
+    'quiz.from': 'Desde',
+    'quiz.to': 'Hasta',
+    'quiz.mode': 'Respuesta',
+    'quiz.mode.choice': 'Opción múltiple',
+    'quiz.mode.text': 'Escribir el nombre',
+    'quiz.timeLimit': 'Límite de tiempo',
+    'quiz.noLimit': 'Sin límite',
+    'quiz.seconds': '{count} s',
+    'quiz.streak': 'Racha: {count}',
+    'quiz.best': 'Récord: {count}',
+    'quiz.accuracy': '{correct} de {answered} correctas',
+    'quiz.resetScores': 'Reiniciar puntuación',
+    'quiz.loadError': 'No se pudo cargar la lista de Pokémon. Revisa tu conexión y recarga.',
+    'quiz.start': 'Empezar',
+    'quiz.timeLeft': 'Quedan {seconds} s',
+    'quiz.silhouette': 'Silueta de un Pokémon misterioso',
+    'quiz.prompt': '¿Quién es ese Pokémon?',
+    'quiz.correct': '¡Correcto! ¡Es {name}!',
+    'quiz.wrong': 'Casi, es {name}.',
+    'quiz.timeUp': '¡Se acabó el tiempo! Era {name}.',
+    'quiz.newBest': '¡Nuevo récord!',
+    'quiz.guess': 'Tu respuesta',
+    'quiz.submit': 'Adivinar',
+    'quiz.giveUp': 'Rendirse',
+    'quiz.next': 'Siguiente Pokémon',
+    'nav.progress': 'Mi Pokédex',
+    'nav.items': 'Objetos y bayas',
+    'dex.cycleHint': 'Haz clic para marcar como visto y luego como capturado',
+    'dex.status.none': 'No visto',
+    'dex.status.seen': 'Visto',
+    'dex.status.caught': 'Capturado',
+    'dex.title': 'Mi Pokédex',
+    'dex.summary': '{caught} capturados y {seen} vistos de {total} Pokémon',
+    'dex.dex': 'Pokédex',
+    'dex.progress': 'Progreso',
+    'dex.complete': 'Completado',
+    'dex.count': '{count} / {total}',
+    'dex.byGeneration': 'Por generación',
+    'dex.byRegionalDex': 'Por Pokédex regional',
+    'dex.loadingDexes': 'Cargando {count} Pokédex regionales…',
+    'dex.export': 'Exportar progreso',
+    'dex.import': 'Importar progreso',
+    'dex.imported': 'Progreso importado para {count} Pokémon.',
+    'dex.importFailed': 'No se pudo importar: {reason}',
+    'dex.reset': 'Reiniciar progreso',
+    'dex.resetConfirm': '¿Borrar todas las marcas de visto y capturado? No se puede deshacer.',
+    'filters.myDex': 'Mi Pokédex',
+    'filters.dexProgress': 'Progreso de la Pokédex',
+    'filters.dex.all': 'Todos',
+    'filters.dex.missing': 'Faltan',
+    'filters.dex.caught': 'Capturados',
+    'dex.error.invalidJson': 'El archivo no es un JSON válido.',
+    'dex.error.notAnExport': 'El archivo no es una exportación del progreso de la Pokédex.',
+    'dex.error.newerVersion': 'El archivo se creó con una versión más reciente de la aplicación.',
+    'lookup.back': 'Todos los Pokémon',
+    'lookup.kind.type': 'Tipo',
+    'lookup.kind.ability': 'Habilidad',
+    'lookup.kind.move': 'Movimiento',
+    'lookup.attack': 'Al atacar',
+    'lookup.defense': 'Al defender',
+    'lookup.relation.double_damage_to': 'de daño a',
+    'lookup.relation.half_damage_to': 'de daño a',
+    'lookup.relation.no_damage_to': 'de daño a',
+    'lookup.relation.double_damage_from': 'de daño de',
+    'lookup.relation.half_damage_from': 'de daño de',
+    'lookup.relation.no_damage_from': 'de daño de',
+    'lookup.none': 'Ninguno',
+    'lookup.priority': 'Prioridad',
+    'lookup.notFound': '"{name}" no existe en PokeAPI.',
+    'lookup.failed': 'No se pudo cargar {name}. Revisa tu conexión e inténtalo de nuevo.',
+    'lookup.count.type': '{count} Pokémon tienen este tipo',
+    'lookup.count.ability': '{count} Pokémon tienen esta habilidad',
+    'lookup.count.move': '{count} Pokémon pueden aprender este movimiento',
+    'lookup.hiddenCount': '({count} solo como habilidad oculta)',
+    'lookup.hiddenAbility': 'Habilidad oculta',
+    'filters.regionalDex': 'Pokédex regional',
+    'filters.nationalDex': 'Nacional (todos los Pokémon)',
+    'items.title': 'Objetos y bayas',
+    'items.kind': 'Mostrar',
+    'items.kind.all': 'Todos los objetos',
+    'items.kind.berries': 'Bayas',
+    'items.search': 'Buscar objetos...',
+    'items.category': 'Categoría',
+    'items.allCategories': 'Todas las categorías',
+    'items.unableToLoad': 'No se pudieron cargar los objetos',
+    'items.found': '{count} objetos encontrados',
+    'items.noMatches': 'Ningún objeto coincide.',
+    'items.grid': 'Objetos',
+    'items.costValue': '{cost} ₽',
+    'items.effect': 'Efecto',
+    'items.noEffect': 'No hay texto de efecto disponible.',
+    'items.cost': 'Precio',
+    'items.flingPower': 'Potencia de Lanzamiento',
+    'items.flingEffect': 'Efecto de Lanzamiento',
+    'items.berry': 'Baya',
+    'items.berryFailed': 'No se pudieron cargar los detalles de la baya.',
+    'items.firmness': 'Firmeza',
+    'items.growthTime': 'Tiempo de crecimiento',
+    'items.hours': '{count} h por etapa',
+    'items.maxHarvest': 'Cosecha máx.',
+    'items.size': 'Tamaño',
+    'items.naturalGift': 'Don Natural',
+    'items.flavors': 'Sabores',
+    'items.heldBy': 'Llevado por Pokémon salvajes',
+    'items.noHolders': 'Ningún Pokémon salvaje lleva este objeto.',
+    'items.rarity': '{rarity} % · {count} juegos',
+    'items.notFound': '«{name}» no existe en PokeAPI.',
+    'items.detailFailed': 'No se pudo cargar {name}. Comprueba tu conexión e inténtalo de nuevo.',
+    'encounters.version': 'Juego',
+    'encounters.allVersions': 'Todos los juegos',
+    'encounters.none': 'No aparece en estado salvaje. Se obtiene por evolución, intercambio, crianza o eventos.',
+    'encounters.failed': 'No se pudieron cargar las ubicaciones.',
+    'encounters.col.location': 'Lugar',
+    'encounters.col.method': 'Método',
+    'encounters.col.level': 'Nivel',
+    'encounters.col.chance': 'Probabilidad',
+    'encounters.col.conditions': 'Condiciones',
+    'export.image': 'Exportar imagen',
+    'export.copy': 'Copiar imagen',
+    'export.working': 'Creando imagen...',
+    'export.downloaded': 'Imagen guardada.',
+    'export.copied': 'Imagen copiada al portapapeles.',
+    'export.failed': 'No se pudo crear la imagen.',
+    'type.normal': 'Normal',
+    'type.fire': 'Fuego',
+    'type.water': 'Agua',
+    'type.electric': 'Eléctrico',
+    'type.grass': 'Planta',
+    'type.ice': 'Hielo',
+    'type.fighting': 'Lucha',
+    'type.poison': 'Veneno',
+    'type.ground': 'Tierra',
+    'type.flying': 'Volador',
+    'type.psychic': 'Psíquico',
+    'type.bug': 'Bicho',
+    'type.rock': 'Roca',
+    'type.ghost': 'Fantasma',
+    'type.dragon': 'Dragón',
+    'type.dark': 'Siniestro',
+    'type.steel': 'Acero',
+    'type.fairy': 'Hada',
+    'evolution.trigger.levelUp': 'Subir de nivel',
+    'evolution.trigger.level': 'Nivel {level}',
+    'evolution.trigger.useItem': 'Usar {item}',
+    'evolution.trigger.trade': 'Intercambio',
+    'evolution.trigger.shed': 'Nivel 20 con un hueco libre en el equipo y una Poké Ball',
+    'evolution.trigger.spin': 'Girar sobre sí mismo llevando un dulce',
+    'evolution.trigger.tower-of-darkness': 'Entrenar en la Torre del Siniestro',
+    'evolution.trigger.tower-of-waters': 'Entrenar en la Torre del Agua',
+    'evolution.trigger.three-critical-hits': 'Asestar tres golpes críticos en un combate',
+    'evolution.trigger.take-damage': 'Recibir daño y pasar bajo el arco de piedra',
+    'evolution.trigger.agile-style-move': 'Usar su movimiento exclusivo en estilo rápido 20 veces',
+    'evolution.trigger.strong-style-move': 'Usar su movimiento exclusivo en estilo fuerte 20 veces',
+    'evolution.trigger.recoil-damage': 'Perder PS por daño de retroceso',
+    'evolution.trigger.other': 'Condición especial',
+    'evolution.trigger.unknown': '{name}',
+    'evolution.heldItem': 'llevando {item}',
+    'evolution.tradeSpecies': 'por {pokemon}',
+    'evolution.happiness': 'con mucha amistad',
+    'evolution.affection': 'con mucho afecto',
+    'evolution.beauty': 'con mucha belleza',
+    'evolution.knownMove': 'conociendo {move}',
+    'evolution.knownMoveType': 'conociendo un movimiento de tipo {type}',
+    'evolution.location': 'en {location}',
+    'evolution.partySpecies': 'con {pokemon} en el equipo',
+    'evolution.partyType': 'con un Pokémon de tipo {type} en el equipo',
+    'evolution.stats.higher': '(Ataque > Defensa)',
+    'evolution.stats.equal': '(Ataque = Defensa)',
+    'evolution.stats.lower': '(Ataque < Defensa)',
+    'evolution.time.day': 'durante el día',
+    'evolution.time.night': 'durante la noche',
+    'evolution.time.other': 'durante el periodo {time}',
+    'evolution.female': '(hembra)',
+    'evolution.male': '(macho)',
+    'evolution.rain': 'mientras llueve',
+    'evolution.upsideDown': 'con la consola boca abajo',
+    'team.defaultName': 'Mi equipo',
+    'team.numberedName': 'Equipo {number}',
+};
+
+const CATALOG = { en, de, fr, es };
+
+export default CATALOG;
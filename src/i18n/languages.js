@@ -0,0 +1,13 @@
+// Languages offered in the switcher: the ones the UI catalog (catalog.js) is
+// written in. `code` matches PokeAPI's language names, so species names and
+// flavor text can be looked up with it directly.
+const LANGUAGES = [
+    { code: 'en', label: 'English' },
+    { code: 'de', label: 'Deutsch' },
+    { code: 'fr', label: 'Français' },
+    { code: 'es', label: 'Español' },
+];
+
+const DEFAULT_LANGUAGE = 'en';
+
+export { LANGUAGES, DEFAULT_LANGUAGE };
@@ -0,0 +1,122 @@
+// dexStore.js - personal Pokedex progress (seen / caught per Pokemon), saved in
+// localStorage and portable between machines as a JSON file
+
+const STORAGE_KEY = 'pokemon-app-dex';
+const EXPORT_FORMAT = 'pokemon-app-dex-progress';
+const EXPORT_VERSION = 1;
+
+// Later statuses include the earlier ones: a caught Pokemon has been seen
+const DEX_STATUSES = ['seen', 'caught'];
+
+const listeners = new Set();
+
+const isStatus = (value) => DEX_STATUSES.includes(value);
+
+// Keep only well formed entries: Pokemon name -> status
+const sanitize = (entries) =>
+    Object.fromEntries(
+        Object.entries(entries && typeof entries === 'object' ? entries : {})
+            .filter(([name, status]) => typeof name === 'string' && name && isStatus(status))
+    );
+
+const loadState = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved) return { entries: sanitize(saved.entries) };
+    } catch (error) {
+        console.warn('Could not read Pokedex progress:', error);
+    }
+    return { entries: {} };
+};
+
+let state = loadState();
+
+const setState = (next) => {
+    state = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save Pokedex progress:', error);
+    }
+    listeners.forEach(listener => listener());
+};
+
+const getDexState = () => state;
+
+const subscribeToDex = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const getDexStatus = (name) => state.entries[name];
+
+// status: 'seen', 'caught', or null to clear
+const setDexStatus = (name, status) => {
+    const entries = { ...state.entries };
+    if (isStatus(status)) {
+        entries[name] = status;
+    } else {
+        delete entries[name];
+    }
+    setState({ entries });
+};
+
+// not marked -> seen -> caught -> not marked
+const cycleDexStatus = (name) => {
+    const index = DEX_STATUSES.indexOf(state.entries[name]);
+    setDexStatus(name, DEX_STATUSES[index + 1] ?? null);
+};
+
+const exportDexProgress = () => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: state.entries,
+}, null, 2);
+
+// Import failures carry the catalog key of their message
+const importError = (key, message) => Object.assign(new Error(message), { key });
+
+// Merge a file made by exportDexProgress into the current progress, keeping
+// the further status when both have an entry. Returns the number of Pokemon
+// in the file; throws when the text isn't a progress export.
+const importDexProgress = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw importError('dex.error.invalidJson', 'The file is not valid JSON.');
+    }
+    if (data?.format !== EXPORT_FORMAT || typeof data.entries !== 'object') {
+        throw importError('dex.error.notAnExport', 'The file is not a Pokédex progress export.');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw importError('dex.error.newerVersion', 'The file was made by a newer version of the app.');
+    }
+
+    const imported = sanitize(data.entries);
+    const entries = { ...state.entries };
+    Object.entries(imported).forEach(([name, status]) => {
+        if (DEX_STATUSES.indexOf(status) > DEX_STATUSES.indexOf(entries[name])) {
+            entries[name] = status;
+        }
+    });
+    setState({ entries });
+    return Object.keys(imported).length;
+};
+
+const resetDexProgress = () => {
+    setState({ entries: {} });
+};
+
+export {
+    DEX_STATUSES,
+    getDexState,
+    subscribeToDex,
+    getDexStatus,
+    setDexStatus,
+    cycleDexStatus,
+    exportDexProgress,
+    importDexProgress,
+    resetDexProgress,
+};
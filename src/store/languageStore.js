@@ -0,0 +1,53 @@
+// languageStore.js - the selected display language, saved in localStorage
+
+import CATALOG from '../i18n/catalog.js';
+import { LANGUAGES, DEFAULT_LANGUAGE } from '../i18n/languages.js';
+
+const STORAGE_KEY = 'pokemon-app-language';
+
+const listeners = new Set();
+
+const isSupported = (code) => LANGUAGES.some(language => language.code === code);
+
+const detectLanguage = () => {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (isSupported(saved)) return saved;
+    } catch {
+        // storage unavailable - fall through to the browser language
+    }
+    const browser = (navigator.language || '').split('-')[0];
+    return isSupported(browser) ? browser : DEFAULT_LANGUAGE;
+};
+
+let language = detectLanguage();
+document.documentElement.lang = language;
+
+const getLanguage = () => language;
+
+const setLanguage = (code) => {
+    if (!isSupported(code) || code === language) return;
+    language = code;
+    document.documentElement.lang = code;
+    try {
+        localStorage.setItem(STORAGE_KEY, code);
+    } catch (error) {
+        console.warn('Could not save language:', error);
+    }
+    listeners.forEach(listener => listener());
+};
+
+const subscribeToLanguage = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// translate('list.found', { count: 3 }) -> "3 Pokemon found"
+const translate = (key, values = {}, code = language) => {
+    const template = CATALOG[code]?.[key] ?? CATALOG[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) =>
+        values[name] !== undefined ? String(values[name]) : match
+    );
+};
+
+export { getLanguage, setLanguage, subscribeToLanguage, translate };
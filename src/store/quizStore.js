@@ -0,0 +1,72 @@
+// quizStore.js - quiz settings, the current streak and best streaks, saved in localStorage
+
+import { DEFAULT_QUIZ_SETTINGS, difficultyKey } from '../utils/quiz.js';
+
+const STORAGE_KEY = 'pokemon-app-quiz';
+
+const listeners = new Set();
+
+const EMPTY_STATE = {
+    settings: DEFAULT_QUIZ_SETTINGS,
+    streak: 0,
+    bestStreaks: {},   // difficultyKey -> longest streak
+    answered: 0,
+    correct: 0,
+};
+
+const loadState = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved) {
+            return { ...EMPTY_STATE, ...saved, settings: { ...DEFAULT_QUIZ_SETTINGS, ...saved.settings } };
+        }
+    } catch (error) {
+        console.warn('Could not read quiz scores:', error);
+    }
+    return EMPTY_STATE;
+};
+
+let state = loadState();
+
+const setState = (next) => {
+    state = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save quiz scores:', error);
+    }
+    listeners.forEach(listener => listener());
+};
+
+const getQuizState = () => state;
+
+const subscribeToQuiz = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// A different difficulty starts a new streak
+const updateQuizSettings = (changes) => {
+    setState({ ...state, settings: { ...state.settings, ...changes }, streak: 0 });
+};
+
+// Returns true when the answer set a new best streak
+const recordAnswer = (correct) => {
+    const key = difficultyKey(state.settings);
+    const streak = correct ? state.streak + 1 : 0;
+    const best = state.bestStreaks[key] || 0;
+    setState({
+        ...state,
+        streak,
+        bestStreaks: streak > best ? { ...state.bestStreaks, [key]: streak } : state.bestStreaks,
+        answered: state.answered + 1,
+        correct: state.correct + (correct ? 1 : 0),
+    });
+    return streak > best;
+};
+
+const resetQuizScores = () => {
+    setState({ ...EMPTY_STATE, settings: state.settings });
+};
+
+export { getQuizState, subscribeToQuiz, updateQuizSettings, recordAnswer, resetQuizScores };
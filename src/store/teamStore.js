@@ -0,0 +1,118 @@
+// teamStore.js - named teams of up to six Pokemon, saved in localStorage
+
+import { translate } from './languageStore.js';
+
+const STORAGE_KEY = 'pokemon-app-teams';
+const TEAM_SIZE = 6;
+
+const listeners = new Set();
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const createTeam = (name, members = []) => ({ id: createId(), name, members: members.slice(0, TEAM_SIZE) });
+
+const loadState = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (saved?.teams?.length) return saved;
+    } catch (error) {
+        console.warn('Could not read saved teams:', error);
+    }
+    const team = createTeam(translate('team.defaultName'));
+    return { teams: [team], activeTeamId: team.id };
+};
+
+let state = loadState();
+
+const setState = (next) => {
+    state = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (error) {
+        console.warn('Could not save teams:', error);
+    }
+    listeners.forEach(listener => listener());
+};
+
+const getTeamState = () => state;
+
+const subscribeToTeams = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+const getActiveTeam = () =>
+    state.teams.find(team => team.id === state.activeTeamId) || state.teams[0];
+
+const updateTeam = (teamId, update) => {
+    setState({
+        ...state,
+        teams: state.teams.map(team => (team.id === teamId ? update(team) : team)),
+    });
+};
+
+// members: optional starting members, e.g. from a Showdown import
+const addTeam = (name, members) => {
+    const team = createTeam(name || translate('team.numberedName', { number: state.teams.length + 1 }), members);
+    setState({ teams: [...state.teams, team], activeTeamId: team.id });
+    return team;
+};
+
+const renameTeam = (teamId, name) => {
+    updateTeam(teamId, team => ({ ...team, name }));
+};
+
+// Keep at least one team around so there is always somewhere to add to
+const deleteTeam = (teamId) => {
+    const teams = state.teams.filter(team => team.id !== teamId);
+    if (teams.length === 0) teams.push(createTeam(translate('team.defaultName')));
+    const activeTeamId = teams.some(team => team.id === state.activeTeamId)
+        ? state.activeTeamId
+        : teams[0].id;
+    setState({ teams, activeTeamId });
+};
+
+const setActiveTeam = (teamId) => {
+    setState({ ...state, activeTeamId: teamId });
+};
+
+// member: { name, id, types: ['fire', 'flying'] } plus optional battle set details
+// used by the Showdown export: nickname, gender, item, ability, level, shiny,
+// teraType, evs, ivs ({ attack: 252, ... }), nature and moves (slugs).
+// Returns false when the team is full.
+const addToTeam = (member, teamId = getActiveTeam().id) => {
+    const team = state.teams.find(t => t.id === teamId);
+    if (!team || team.members.length >= TEAM_SIZE) return false;
+    updateTeam(teamId, t => ({ ...t, members: [...t.members, member] }));
+    return true;
+};
+
+const removeFromTeam = (teamId, index) => {
+    updateTeam(teamId, team => ({
+        ...team,
+        members: team.members.filter((_, i) => i !== index),
+    }));
+};
+
+// Build a team member from a /pokemon detail payload
+const toTeamMember = (details) => ({
+    name: details.name,
+    id: details.id,
+    types: details.types.map(typeInfo => typeInfo.type.name),
+    ability: details.abilities?.find(entry => !entry.is_hidden)?.ability.name || '',
+    moves: [],
+});
+
+export {
+    TEAM_SIZE,
+    getTeamState,
+    subscribeToTeams,
+    getActiveTeam,
+    addTeam,
+    renameTeam,
+    deleteTeam,
+    setActiveTeam,
+    addToTeam,
+    removeFromTeam,
+    toTeamMember,
+};
@@ -0,0 +1,192 @@
+// fakePokeApi.js - canned PokeAPI responses for component tests. Only the
+// fields the app reads are filled in; unknown paths answer with a 404.
+
+import { POKEMON_TYPES, STATS } from '../utils/pokemonFilters.js';
+
+const API = 'https://pokeapi.co/api/v2';
+
+const POKEMON = [
+    { id: 1, name: 'bulbasaur', types: ['grass', 'poison'], stats: [45, 49, 49, 65, 65, 45] },
+    { id: 2, name: 'ivysaur', types: ['grass', 'poison'], stats: [60, 62, 63, 80, 80, 60] },
+    { id: 4, name: 'charmander', types: ['fire'], stats: [39, 52, 43, 60, 50, 65] },
+    { id: 7, name: 'squirtle', types: ['water'], stats: [44, 48, 65, 50, 64, 43] },
+];
+
+const named = (name, path) => ({ name, url: `${API}/${path}/${name}/` });
+
+const sprite = (id) => `https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon/${id}.png`;
+
+const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+
+const pokemonPayload = ({ id, name, types, stats }) => ({
+    id,
+    name,
+    order: id,
+    height: 7,
+    weight: 69,
+    base_experience: 64,
+    species: { name, url: `${API}/pokemon-species/${id}/` },
+    types: types.map((type, index) => ({ slot: index + 1, type: named(type, 'type') })),
+    stats: STATS.map((stat, index) => ({ base_stat: stats[index], effort: 0, stat: named(stat.name, 'stat') })),
+    abilities: [
+        { ability: named('overgrow', 'ability'), is_hidden: false, slot: 1 },
+        { ability: named('chlorophyll', 'ability'), is_hidden: true, slot: 3 },
+    ],
+    moves: [{
+        move: named('tackle', 'move'),
+        version_group_details: [{
+            level_learned_at: 1,
+            move_learn_method: named('level-up', 'move-learn-method'),
+            version_group: named('scarlet-violet', 'version-group'),
+        }],
+    }],
+    sprites: {
+        front_default: sprite(id),
+        back_default: null,
+        front_shiny: null,
+        other: { 'official-artwork': { front_default: sprite(id) } },
+    },
+    forms: [named(name, 'pokemon-form')],
+    cries: { latest: null, legacy: null },
+    location_area_encounters: `${API}/pokemon/${id}/encounters`,
+});
+
+const speciesPayload = ({ id, name }) => ({
+    id,
+    name,
+    names: [{ name: capitalize(name), language: named('en', 'language') }],
+    genera: [{ genus: 'Seed Pokémon', language: named('en', 'language') }],
+    flavor_text_entries: [{
+        flavor_text: 'A strange seed was planted on its back at birth.',
+        language: named('en', 'language'),
+        version: named('red', 'version'),
+    }],
+    evolution_chain: { url: `${API}/evolution-chain/1/` },
+    varieties: [{ is_default: true, pokemon: named(name, 'pokemon') }],
+    pokedex_numbers: [{ entry_number: id, pokedex: named('kanto', 'pokedex') }],
+    generation: named('generation-i', 'generation'),
+});
+
+const EVOLUTION_CHAIN = {
+    id: 1,
+    chain: {
+        species: { name: 'bulbasaur', url: `${API}/pokemon-species/1/` },
+        evolution_details: [],
+        evolves_to: [{
+            species: { name: 'ivysaur', url: `${API}/pokemon-species/2/` },
+            evolution_details: [{ min_level: 16, trigger: named('level-up', 'evolution-trigger') }],
+            evolves_to: [],
+        }],
+    },
+};
+
+// Just enough matchups for weaknesses and resistances to show up
+const DAMAGE_RELATIONS = {
+    grass: { double_damage_from: ['fire', 'ice'], half_damage_from: ['water', 'grass'], double_damage_to: ['water'] },
+    poison: { double_damage_from: ['psychic'], half_damage_from: ['fighting'], double_damage_to: ['grass'] },
+    fire: { double_damage_from: ['water'], half_damage_from: ['fire', 'grass'], double_damage_to: ['grass'] },
+    water: { double_damage_from: ['grass'], half_damage_from: ['fire', 'water'], double_damage_to: ['fire'] },
+};
+
+const typePayload = (name) => {
+    const relations = DAMAGE_RELATIONS[name] || {};
+    const list = (key) => (relations[key] || []).map(type => named(type, 'type'));
+    return {
+        name,
+        damage_relations: {
+            double_damage_from: list('double_damage_from'),
+            half_damage_from: list('half_damage_from'),
+            no_damage_from: list('no_damage_from'),
+            double_damage_to: list('double_damage_to'),
+            half_damage_to: list('half_damage_to'),
+            no_damage_to: list('no_damage_to'),
+        },
+        pokemon: POKEMON
+            .filter(pokemon => pokemon.types.includes(name))
+            .map(pokemon => ({ slot: 1, pokemon: named(pokemon.name, 'pokemon') })),
+        moves: [],
+    };
+};
+
+const MOVE = {
+    id: 33,
+    name: 'tackle',
+    names: [{ name: 'Tackle', language: named('en', 'language') }],
+    type: named('normal', 'type'),
+    damage_class: named('physical', 'move-damage-class'),
+    power: 40,
+    accuracy: 100,
+    pp: 35,
+    priority: 0,
+    effect_entries: [],
+    flavor_text_entries: [],
+};
+
+const ABILITIES = ['overgrow', 'chlorophyll'];
+
+const abilityPayload = (name) => ({
+    name,
+    names: [{ name: capitalize(name), language: named('en', 'language') }],
+    effect_entries: [],
+    pokemon: [],
+});
+
+const pokemonList = (offset, limit) => ({
+    count: POKEMON.length,
+    next: offset + limit < POKEMON.length ? `${API}/pokemon?offset=${offset + limit}&limit=${limit}` : null,
+    previous: null,
+    results: POKEMON.slice(offset, offset + limit).map(pokemon => named(pokemon.name, 'pokemon')),
+});
+
+const findPokemon = (nameOrId) =>
+    POKEMON.find(pokemon => pokemon.name === nameOrId || String(pokemon.id) === nameOrId);
+
+// Response body for a request URL, or undefined for a 404
+const fakeResponse = (url) => {
+    const { pathname, searchParams } = new URL(url, API);
+    const [resource, key, extra] = pathname.replace(/^\/api\/v2\//, '').split('/').filter(Boolean);
+    const pokemon = key && findPokemon(key);
+
+    switch (resource) {
+        case 'pokemon':
+            if (!key) {
+                return pokemonList(Number(searchParams.get('offset')) || 0, Number(searchParams.get('limit')) || 20);
+            }
+            if (extra === 'encounters') return pokemon ? [] : undefined;
+            return pokemon && pokemonPayload(pokemon);
+        case 'pokemon-species':
+            return pokemon && speciesPayload(pokemon);
+        case 'pokemon-form':
+            return pokemon && { name: pokemon.name, form_name: '', is_default: true, sprites: { front_default: sprite(pokemon.id) } };
+        case 'evolution-chain':
+            return EVOLUTION_CHAIN;
+        case 'type':
+            if (!key) return { count: POKEMON_TYPES.length, results: POKEMON_TYPES.map(type => named(type, 'type')) };
+            return POKEMON_TYPES.includes(key) ? typePayload(key) : undefined;
+        case 'move':
+            return key === MOVE.name ? MOVE : undefined;
+        case 'ability':
+            return ABILITIES.includes(key) ? abilityPayload(key) : undefined;
+        case 'generation':
+            return key ? undefined : { count: 1, results: [named('generation-i', 'generation')] };
+        case 'pokedex':
+            return key ? undefined : { count: 1, results: [named('national', 'pokedex'), named('kanto', 'pokedex')] };
+        default:
+            return undefined;
+    }
+};
+
+// Stand-in for the axios instance in api/pokeapi.js
+const fakeHttp = {
+    get: async (url) => {
+        const data = fakeResponse(url);
+        if (data === undefined) {
+            throw Object.assign(new Error(`Request failed with status code 404: ${url}`), {
+                response: { status: 404, headers: {} },
+            });
+        }
+        return { data: structuredClone(data) };
+    },
+};
+
+export { POKEMON, pokemonPayload, fakeResponse, fakeHttp };
@@ -0,0 +1,222 @@
+// Shareable PNG cards: artwork, dex number, name, type badges and base stat
+// bars drawn on a canvas. Several cards (a team, a comparison) are laid out
+// in a grid on one image.
+
+import formatId from './formatters.js';
+import { STAT_BAR_MAX, statColor } from './statBar.js';
+import { artworkUrl } from './sprites.js';
+
+// Same colours as the .type-* classes in PokemonCard.css
+const TYPE_COLORS = {
+    normal: '#a4acaf',
+    fire: '#F08030',
+    water: '#6890F0',
+    electric: '#F8D030',
+    grass: '#78C850',
+    ice: '#98D8D8',
+    fighting: '#C03028',
+    poison: '#A040A0',
+    ground: '#E0C068',
+    flying: '#A890F0',
+    psychic: '#F85888',
+    bug: '#A8B820',
+    rock: '#B8A038',
+    ghost: '#705898',
+    dragon: '#7038F8',
+    dark: '#705848',
+    steel: '#B8B8D0',
+    fairy: '#EE99AC',
+};
+
+const CARD_WIDTH = 360;
+const CARD_HEIGHT = 540;
+const GAP = 24;          // between cards and around the grid
+const MAX_COLUMNS = 3;
+const TITLE_HEIGHT = 56; // only when the image has a title
+const FONT = 'system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+
+// Image size and the top left corner of every card
+const getCardLayout = (count, { title = '' } = {}) => {
+    const columns = Math.max(1, Math.min(count, MAX_COLUMNS));
+    const rows = Math.max(1, Math.ceil(count / columns));
+    const top = GAP + (title ? TITLE_HEIGHT : 0);
+    return {
+        width: GAP + columns * (CARD_WIDTH + GAP),
+        height: top + rows * (CARD_HEIGHT + GAP),
+        positions: Array.from({ length: count }, (_, index) => ({
+            x: GAP + (index % columns) * (CARD_WIDTH + GAP),
+            y: top + Math.floor(index / columns) * (CARD_HEIGHT + GAP),
+        })),
+    };
+};
+
+// Resolves with null when the image can't be loaded; the card is drawn without it.
+// The sprite host sends CORS headers, so the canvas can still be exported.
+const loadImage = (url) => new Promise((resolve) => {
+    if (!url) {
+        resolve(null);
+        return;
+    }
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => resolve(null);
+    image.src = url;
+});
+
+// type: { name, label }; the name picks the colour, the label is drawn
+const drawBadge = (ctx, type, x, y) => {
+    const text = type.label.toUpperCase();
+    ctx.font = `bold 14px ${FONT}`;
+    const width = ctx.measureText(text).width + 24;
+    ctx.fillStyle = TYPE_COLORS[type.name] || '#9ca3af';
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, 26, 13);
+    ctx.fill();
+    ctx.fillStyle = 'white';
+    ctx.textAlign = 'left';
+    ctx.fillText(text, x + 12, y + 18);
+    return width;
+};
+
+// card: { id, name, types: [{ name, label }], stats: [{ label, value }], image }
+const drawCard = (ctx, card, x, y) => {
+    const accent = TYPE_COLORS[card.types[0]?.name] || '#3b82f6';
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(x, y, CARD_WIDTH, CARD_HEIGHT, 16);
+    ctx.fillStyle = 'white';
+    ctx.fill();
+    ctx.clip();
+
+    // Artwork on a band in the primary type's colour
+    ctx.fillStyle = accent;
+    ctx.globalAlpha = 0.25;
+    ctx.fillRect(x, y, CARD_WIDTH, 200);
+    ctx.globalAlpha = 1;
+    if (card.image) {
+        ctx.drawImage(card.image, x + (CARD_WIDTH - 180) / 2, y + 10, 180, 180);
+    }
+    ctx.restore();
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#6b7280';
+    ctx.font = `600 16px ${FONT}`;
+    ctx.fillText(formatId(card.id), x + CARD_WIDTH / 2, y + 228);
+    ctx.fillStyle = '#1f2937';
+    ctx.font = `bold 26px ${FONT}`;
+    ctx.fillText(card.name, x + CARD_WIDTH / 2, y + 262, CARD_WIDTH - 32);
+
+    // Type badges, centred as a row
+    ctx.font = `bold 14px ${FONT}`;
+    const badgeWidths = card.types.map(type => ctx.measureText(type.label.toUpperCase()).width + 24);
+    let badgeX = x + (CARD_WIDTH - badgeWidths.reduce((sum, width) => sum + width + 8, -8)) / 2;
+    card.types.forEach(type => {
+        badgeX += drawBadge(ctx, type, badgeX, y + 280) + 8;
+    });
+
+    // Base stats: label, bar, value
+    card.stats.forEach((stat, index) => {
+        const rowY = y + 340 + index * 30;
+        const barX = x + 110;
+        const barWidth = CARD_WIDTH - 110 - 64;
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#374151';
+        ctx.font = `600 14px ${FONT}`;
+        ctx.fillText(stat.label, x + 20, rowY + 5, 84);
+
+        ctx.fillStyle = '#e5e7eb';
+        ctx.beginPath();
+        ctx.roundRect(barX, rowY - 4, barWidth, 8, 4);
+        ctx.fill();
+        ctx.fillStyle = statColor(stat.value);
+        ctx.beginPath();
+        ctx.roundRect(barX, rowY - 4, Math.max(8, Math.min(stat.value / STAT_BAR_MAX, 1) * barWidth), 8, 4);
+        ctx.fill();
+
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#1f2937';
+        ctx.font = `bold 14px ${FONT}`;
+        ctx.fillText(String(stat.value), x + CARD_WIDTH - 20, rowY + 5);
+    });
+
+    ctx.strokeStyle = '#e5e7eb';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(x + 1, y + 1, CARD_WIDTH - 2, CARD_HEIGHT - 2, 16);
+    ctx.stroke();
+};
+
+// Card data from a /pokemon payload; name is the display name,
+// statLabel(statName) and typeLabel(typeName) the labels drawn on the card
+const toCardData = (details, { name, statLabel, typeLabel }) => ({
+    id: details.id,
+    name,
+    types: details.types.map(({ type }) => ({ name: type.name, label: typeLabel(type.name) })),
+    stats: details.stats.map(stat => ({ label: statLabel(stat.stat.name), value: stat.base_stat })),
+    artwork: details.sprites?.other?.['official-artwork']?.front_default || artworkUrl(details.id),
+});
+
+// Draw the cards ({ id, name, types, stats, artwork }) onto a new canvas.
+// title: optional heading above the grid, e.g. the team name.
+const renderCards = async (cards, { title = '' } = {}) => {
+    const images = await Promise.all(cards.map(card => loadImage(card.artwork)));
+    const layout = getCardLayout(cards.length, { title });
+
+    // Twice the size so the image stays sharp on high density screens
+    const scale = 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = layout.width * scale;
+    canvas.height = layout.height * scale;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = '#f3f4f6';
+    ctx.fillRect(0, 0, layout.width, layout.height);
+
+    if (title) {
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#1f2937';
+        ctx.font = `bold 28px ${FONT}`;
+        ctx.fillText(title, GAP, GAP + 30, layout.width - GAP * 2);
+    }
+
+    cards.forEach((card, index) => {
+        const { x, y } = layout.positions[index];
+        drawCard(ctx, { ...card, image: images[index] }, x, y);
+    });
+    return canvas;
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+});
+
+// PNG blob of the cards
+const createCardImage = async (cards, options) => canvasToBlob(await renderCards(cards, options));
+
+// "Team Rocket!" -> "team-rocket"
+const toFileName = (text) =>
+    String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pokemon';
+
+// Save the PNG as <name>.png
+const downloadImage = (blob, name) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${toFileName(name)}.png`;
+    link.click();
+    // Firefox cancels the download when the URL is revoked in the same task
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const canCopyImages = () =>
+    typeof ClipboardItem !== 'undefined' && Boolean(navigator.clipboard?.write);
+
+// Takes the promise of the PNG blob: Safari only allows clipboard writes that
+// start right in the click handler, before the image has been drawn
+const copyImage = (blobPromise) => navigator.clipboard.write([new ClipboardItem({ 'image/png': blobPromise })]);
+
+export { TYPE_COLORS, getCardLayout, toCardData, toFileName, renderCards, createCardImage, downloadImage, canCopyImages, copyImage };
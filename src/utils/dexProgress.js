@@ -0,0 +1,48 @@
+// Completion numbers for the personal Pokedex (see store/dexStore.js)
+
+import { GENERATION_RANGES, idFromUrl } from './pokemonFilters.js';
+
+// Alternate forms have ids above this and no dex number of their own
+const LAST_SPECIES_ID = 10000;
+
+// Species ids marked seen (caught ones included) and caught, from the
+// name -> status map and the name index ({ name, id } entries)
+const getMarkedSpecies = (entries, nameIndex) => {
+    const seen = new Set();
+    const caught = new Set();
+    (nameIndex || []).forEach(({ name, id }) => {
+        const status = entries[name];
+        if (!status || id > LAST_SPECIES_ID) return;
+        seen.add(id);
+        if (status === 'caught') caught.add(id);
+    });
+    return { seen, caught };
+};
+
+const countIn = (ids, marked) => {
+    let seen = 0;
+    let caught = 0;
+    ids.forEach(id => {
+        if (marked.seen.has(id)) seen += 1;
+        if (marked.caught.has(id)) caught += 1;
+    });
+    return { total: ids.length, seen, caught };
+};
+
+const range = (first, last) => Array.from({ length: last - first + 1 }, (_, index) => first + index);
+
+// [{ name, total, seen, caught }] for every generation
+const getGenerationProgress = (marked) =>
+    GENERATION_RANGES.map(generation => ({
+        name: generation.name,
+        ...countIn(range(generation.first, generation.last), marked),
+    }));
+
+// { total, seen, caught } for a /pokedex payload
+const getPokedexProgress = (pokedex, marked) =>
+    countIn(pokedex.pokemon_entries.map(entry => idFromUrl(entry.pokemon_species.url)), marked);
+
+// 0-100, rounded down so 100% means really complete
+const toPercent = (count, total) => (total > 0 ? Math.floor((count / total) * 100) : 0);
+
+export { getMarkedSpecies, getGenerationProgress, getPokedexProgress, toPercent };
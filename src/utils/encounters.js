@@ -0,0 +1,55 @@
+// Helpers for the "Where to find" section: a Pokemon's wild encounters
+// (/pokemon/:id/encounters) grouped by game version, then by location
+
+// "viridian-forest-area" -> "viridian-forest"; areas named just "area" add nothing
+const areaName = (name) => name.replace(/-area$/, '');
+
+// Game versions with at least one encounter, in PokeAPI order
+const getEncounterVersions = (encounters = []) => [
+    ...new Set(encounters.flatMap(encounter => encounter.version_details.map(detail => detail.version.name))),
+];
+
+// PokeAPI lists every encounter slot separately. Slots with the same method
+// and conditions are merged: their level ranges are joined and chances added.
+const mergeSlots = (details) => {
+    const merged = new Map();
+    details.forEach(detail => {
+        const conditions = detail.condition_values.map(condition => condition.name).sort();
+        const key = `${detail.method.name}|${conditions.join(',')}`;
+        const entry = merged.get(key);
+        if (entry) {
+            entry.minLevel = Math.min(entry.minLevel, detail.min_level);
+            entry.maxLevel = Math.max(entry.maxLevel, detail.max_level);
+            entry.chance = Math.min(100, entry.chance + detail.chance);
+        } else {
+            merged.set(key, {
+                method: detail.method.name,
+                minLevel: detail.min_level,
+                maxLevel: detail.max_level,
+                chance: detail.chance,
+                conditions,
+            });
+        }
+    });
+    return [...merged.values()];
+};
+
+// [{ version, locations: [{ area, entries: [{ method, minLevel, maxLevel, chance, conditions }] }] }]
+// for every version, or only `version` when one is picked
+const groupEncounters = (encounters = [], version = '') =>
+    getEncounterVersions(encounters)
+        .filter(name => !version || name === version)
+        .map(name => ({
+            version: name,
+            locations: encounters.flatMap(encounter => {
+                const detail = encounter.version_details.find(entry => entry.version.name === name);
+                return detail
+                    ? [{ area: areaName(encounter.location_area.name), entries: mergeSlots(detail.encounter_details) }]
+                    : [];
+            }),
+        }));
+
+const formatLevelRange = ({ minLevel, maxLevel }) =>
+    (minLevel === maxLevel ? String(minLevel) : `${minLevel}–${maxLevel}`);
+
+export { getEncounterVersions, groupEncounters, formatLevelRange };
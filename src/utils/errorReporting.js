@@ -0,0 +1,98 @@
+// Error reporting for the error boundaries. A reporter is any object with
+// report(error, context); context is { boundary, componentStack, url, time }.
+// By default errors go to the console and to a local stand-in for a
+// reporting endpoint; setErrorReporters() swaps in others (e.g. Sentry).
+
+const LOCAL_REPORTS_KEY = 'pokemon-app-error-reports';
+const MAX_LOCAL_REPORTS = 50;
+const DEV_MODE_KEY = 'pokemon-app-dev-mode';
+
+const consoleReporter = {
+    report: (error, context) => {
+        console.error(`[${context.boundary}] ${error?.message || error}`, error, context.componentStack);
+    },
+};
+
+const serialize = (error, context) => ({
+    name: error?.name,
+    message: error?.message || String(error),
+    stack: error?.stack,
+    ...context,
+});
+
+// Stand-in for a reporting endpoint: keeps the latest reports in localStorage
+// so they can be inspected (getLocalReports) without a backend
+const localEndpointReporter = {
+    report: (error, context) => {
+        try {
+            const reports = JSON.parse(localStorage.getItem(LOCAL_REPORTS_KEY)) || [];
+            reports.push(serialize(error, context));
+            localStorage.setItem(LOCAL_REPORTS_KEY, JSON.stringify(reports.slice(-MAX_LOCAL_REPORTS)));
+        } catch (storageError) {
+            console.warn('Could not store error report:', storageError);
+        }
+    },
+};
+
+// POSTs each report as JSON to a real collector
+const createHttpReporter = (url) => ({
+    report: (error, context) => {
+        const body = JSON.stringify(serialize(error, context));
+        if (navigator.sendBeacon?.(url, new Blob([body], { type: 'application/json' }))) return;
+        fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+            .catch(sendError => console.warn('Could not send error report:', sendError));
+    },
+});
+
+// Set VITE_ERROR_REPORT_URL to send reports to a collector instead of localStorage
+let reporters = [
+    consoleReporter,
+    import.meta.env.VITE_ERROR_REPORT_URL
+        ? createHttpReporter(import.meta.env.VITE_ERROR_REPORT_URL)
+        : localEndpointReporter,
+];
+
+const setErrorReporters = (next) => {
+    reporters = next;
+};
+
+// A broken reporter must never take the error UI down with it
+const reportError = (error, { boundary = 'app', componentStack = '' } = {}) => {
+    const context = { boundary, componentStack, url: window.location.href, time: new Date().toISOString() };
+    reporters.forEach(reporter => {
+        try {
+            reporter.report(error, context);
+        } catch (reporterError) {
+            console.warn('Error reporter failed:', reporterError);
+        }
+    });
+};
+
+const getLocalReports = () => {
+    try {
+        return JSON.parse(localStorage.getItem(LOCAL_REPORTS_KEY)) || [];
+    } catch {
+        return [];
+    }
+};
+
+// Developer mode shows stacks and component traces in the error fallbacks.
+// On in `npm run dev`; in a build, turn it on with localStorage['pokemon-app-dev-mode'] = '1'.
+const isDevMode = () => {
+    if (import.meta.env.DEV) return true;
+    try {
+        return localStorage.getItem(DEV_MODE_KEY) === '1';
+    } catch {
+        return false;
+    }
+};
+
+export {
+    consoleReporter,
+    localEndpointReporter,
+    createHttpReporter,
+    setErrorReporters,
+    reportError,
+    getLocalReports,
+    isDevMode,
+};
@@ -0,0 +1,87 @@
+// Turn a PokeAPI evolution chain into a tree with translatable conditions
+
+import { idFromUrl } from './pokemonFilters.js';
+import { capitalizeWords } from './string.js';
+
+const pretty = (slug) => capitalizeWords(String(slug).replace(/-/g, ' '));
+
+// Triggers with a fixed description, under evolution.trigger.<name> in the catalog
+const TRIGGER_KEYS = new Set([
+    'shed',
+    'spin',
+    'tower-of-darkness',
+    'tower-of-waters',
+    'three-critical-hits',
+    'take-damage',
+    'agile-style-move',
+    'strong-style-move',
+    'recoil-damage',
+    'other',
+]);
+
+const STAT_RELATIONS = {
+    1: 'evolution.stats.higher',
+    0: 'evolution.stats.equal',
+    '-1': 'evolution.stats.lower',
+};
+
+const part = (key, values) => ({ key, values });
+
+// One evolution_details entry -> catalog keys with their values, which read as
+// "Level 16", "Use Thunder Stone", "Trade holding Metal Coat"... once translated.
+// `type` values are type names (see type.<name> in the catalog).
+const describeEvolution = (detail) => {
+    if (!detail) return [];
+    const trigger = detail.trigger?.name;
+    const parts = [];
+
+    if (trigger === 'level-up') {
+        parts.push(detail.min_level
+            ? part('evolution.trigger.level', { level: detail.min_level })
+            : part('evolution.trigger.levelUp'));
+    } else if (trigger === 'use-item' && detail.item) {
+        parts.push(part('evolution.trigger.useItem', { item: pretty(detail.item.name) }));
+    } else if (trigger === 'trade') {
+        parts.push(part('evolution.trigger.trade'));
+    } else if (TRIGGER_KEYS.has(trigger)) {
+        parts.push(part(`evolution.trigger.${trigger}`));
+    } else if (trigger) {
+        parts.push(part('evolution.trigger.unknown', { name: pretty(trigger) }));
+    }
+
+    if (detail.held_item) parts.push(part('evolution.heldItem', { item: pretty(detail.held_item.name) }));
+    if (detail.trade_species) parts.push(part('evolution.tradeSpecies', { pokemon: pretty(detail.trade_species.name) }));
+    if (detail.min_happiness) parts.push(part('evolution.happiness'));
+    if (detail.min_affection) parts.push(part('evolution.affection'));
+    if (detail.min_beauty) parts.push(part('evolution.beauty'));
+    if (detail.known_move) parts.push(part('evolution.knownMove', { move: pretty(detail.known_move.name) }));
+    if (detail.known_move_type) parts.push(part('evolution.knownMoveType', { type: detail.known_move_type.name }));
+    if (detail.location) parts.push(part('evolution.location', { location: pretty(detail.location.name) }));
+    if (detail.party_species) parts.push(part('evolution.partySpecies', { pokemon: pretty(detail.party_species.name) }));
+    if (detail.party_type) parts.push(part('evolution.partyType', { type: detail.party_type.name }));
+    if (detail.relative_physical_stats !== null && detail.relative_physical_stats !== undefined) {
+        parts.push(part(STAT_RELATIONS[detail.relative_physical_stats]));
+    }
+    if (detail.time_of_day === 'day' || detail.time_of_day === 'night') {
+        parts.push(part(`evolution.time.${detail.time_of_day}`));
+    } else if (detail.time_of_day) {
+        parts.push(part('evolution.time.other', { time: detail.time_of_day }));
+    }
+    if (detail.gender === 1) parts.push(part('evolution.female'));
+    if (detail.gender === 2) parts.push(part('evolution.male'));
+    if (detail.needs_overworld_rain) parts.push(part('evolution.rain'));
+    if (detail.turn_upside_down) parts.push(part('evolution.upsideDown'));
+
+    return parts;
+};
+
+// chain link -> { name, id, conditions: [[...parts], ...], children: [...] }
+// A stage can have several ways to evolve (e.g. Leafeon), so conditions is a list
+const buildEvolutionTree = (link) => ({
+    name: link.species.name,
+    id: idFromUrl(link.species.url),
+    conditions: (link.evolution_details || []).map(describeEvolution).filter(parts => parts.length > 0),
+    children: (link.evolves_to || []).map(buildEvolutionTree),
+});
+
+export { describeEvolution, buildEvolutionTree };
@@ -1,6 +1,10 @@
-const formatId = (id) => {
+// Dex numbers: national numbers are padded to four digits ("#0025"),
+// regional Pokedex numbers to three ("#025")
+const ID_WIDTHS = { national: 4, regional: 3 };
+
+const formatId = (id, { scheme = 'national' } = {}) => {
     if (!id) return '';
-    return `#${String(id).padStart(4, '0')}`;
+    return `#${String(id).padStart(ID_WIDTHS[scheme] ?? ID_WIDTHS.national, '0')}`;
 };
 
-export default formatId;
\ No newline at end of file
+export default formatId;
@@ -0,0 +1,80 @@
+// Typo-tolerant name matching used by search and autocomplete
+
+// Lowercase, drop accents and punctuation: "Mr. Mime" / "mr-mime" -> "mrmime"
+const normalize = (text) =>
+    String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}]/gu, '');
+
+// Edit distance counting insertions, deletions, substitutions and
+// swaps of two neighbouring letters ("pikahcu")
+const editDistance = (a, b) => {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + cost
+            );
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+};
+
+// Short queries must be exact, longer ones may contain a typo or two
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// Lower score = better match, null = no match.
+// exact < prefix < substring < fuzzy (ranked by number of typos)
+const scoreMatch = (query, candidate) => {
+    const q = normalize(query);
+    const c = normalize(candidate);
+    if (!q || !c) return null;
+
+    if (c === q) return 0;
+    if (c.startsWith(q)) return 1 + (c.length - q.length) / 100;
+
+    const index = c.indexOf(q);
+    if (index >= 0) return 2 + index / 100;
+
+    // Compare against the whole name and against a same-length prefix,
+    // so a typo in a half-typed name still matches ("pikc" -> "pikachu")
+    const distance = Math.min(
+        editDistance(q, c),
+        editDistance(q, c.slice(0, q.length))
+    );
+    if (distance <= allowedTypos(q.length)) {
+        return 3 + distance + Math.abs(c.length - q.length) / 100;
+    }
+    return null;
+};
+
+// Rank entries by how well any of their names match the query
+const rankMatches = (query, entries, { getNames = entry => [entry.name], limit = Infinity } = {}) => {
+    const scored = [];
+    for (const entry of entries) {
+        let best = null;
+        for (const name of getNames(entry)) {
+            const score = scoreMatch(query, name);
+            if (score !== null && (best === null || score < best)) best = score;
+        }
+        if (best !== null) scored.push({ entry, score: best });
+    }
+    scored.sort((a, b) => a.score - b.score);
+    return scored.slice(0, limit).map(({ entry }) => entry);
+};
+
+const matchesQuery = (query, name) => scoreMatch(query, name) !== null;
+
+export { normalize, editDistance, allowedTypos, scoreMatch, rankMatches, matchesQuery };
@@ -0,0 +1,44 @@
+// Helpers for the item and berry browser: its URL query
+// (/items?q=potion&category=healing&kind=berries), berry names and held items
+
+import { idFromUrl } from './pokemonFilters.js';
+
+const ITEM_KINDS = ['all', 'berries'];
+
+const parseItemQuery = (search) => {
+    const params = new URLSearchParams(search);
+    return {
+        searchTerm: params.get('q') || '',
+        category: params.get('category') || '',
+        kind: ITEM_KINDS.includes(params.get('kind')) ? params.get('kind') : 'all',
+    };
+};
+
+// Returns "?..." or "" when everything is at its default
+const buildItemQuery = ({ searchTerm, category, kind }) => {
+    const params = new URLSearchParams();
+    if (searchTerm) params.set('q', searchTerm);
+    if (category) params.set('category', category);
+    if (kind !== 'all') params.set('kind', kind);
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+const itemPath = (name) => `/items/${encodeURIComponent(name)}`;
+
+// Every /berry has an item named after it: "cheri" -> "cheri-berry"
+const berryItemName = (berryName) => `${berryName}-berry`;
+
+const berryNameOf = (itemName) => (itemName?.endsWith('-berry') ? itemName.slice(0, -'-berry'.length) : null);
+
+// Wild Pokemon holding an item: [{ name, id, rarity, versions }] with rarity
+// the best chance (%) across the versions it is held in
+const getItemHolders = (item) =>
+    (item?.held_by_pokemon || []).map(holder => ({
+        name: holder.pokemon.name,
+        id: idFromUrl(holder.pokemon.url),
+        rarity: Math.max(0, ...holder.version_details.map(detail => detail.rarity)),
+        versions: holder.version_details.map(detail => detail.version.name),
+    }));
+
+export { ITEM_KINDS, parseItemQuery, buildItemQuery, itemPath, berryItemName, berryNameOf, getItemHolders };
@@ -0,0 +1,76 @@
+// Mirror the list's search term, filters and sort into URL query params, e.g.
+// ?q=pika&types=fire,flying&match=all&gen=generation-i&stats=hp:50-120&sort=speed&dir=desc
+// &dex=missing&pokedex=kanto, plus the Pokemon picked for comparison: &compare=pikachu,raichu
+// and where the list starts: &page=3 (pagination mode) or &from=152 (jump to #152)
+
+import { EMPTY_FILTERS, DEFAULT_SORT, DEX_FILTERS, SORT_OPTIONS } from './pokemonFilters.js';
+
+const MAX_COMPARE = 4;
+
+// "3" -> 3; anything that isn't a whole number from 1 up -> null
+const parsePositiveInt = (value) => {
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 1 ? number : null;
+};
+
+const parseStats = (value) => {
+    const stats = {};
+    (value || '').split(';').filter(Boolean).forEach(part => {
+        const [name, range = ''] = part.split(':');
+        const [min = '', max = ''] = range.split('-');
+        if (name) stats[name] = { min, max };
+    });
+    return stats;
+};
+
+const formatStats = (stats) =>
+    Object.entries(stats)
+        .filter(([, range]) => range?.min || range?.max)
+        .map(([name, range]) => `${name}:${range.min || ''}-${range.max || ''}`)
+        .join(';');
+
+const parseListQuery = (search) => {
+    const params = new URLSearchParams(search);
+    return {
+        searchTerm: params.get('q') || '',
+        filters: {
+            ...EMPTY_FILTERS,
+            types: (params.get('types') || '').split(',').filter(Boolean),
+            typeMatch: params.get('match') === 'all' ? 'all' : 'any',
+            generation: params.get('gen') || '',
+            stats: parseStats(params.get('stats')),
+            dex: DEX_FILTERS.some(option => option.key === params.get('dex')) ? params.get('dex') : '',
+            pokedex: params.get('pokedex') || '',
+        },
+        sort: {
+            key: SORT_OPTIONS.some(option => option.key === params.get('sort')) ? params.get('sort') : DEFAULT_SORT.key,
+            direction: params.get('dir') === 'desc' ? 'desc' : DEFAULT_SORT.direction,
+        },
+        compare: [...new Set((params.get('compare') || '').split(',').filter(Boolean))].slice(0, MAX_COMPARE),
+        page: parsePositiveInt(params.get('page')),     // null = infinite scroll
+        from: parsePositiveInt(params.get('from')) ?? 1,
+    };
+};
+
+// Returns "?..." or "" when everything is at its default
+const buildListQuery = ({ searchTerm, filters, sort, compare = [], page = null, from = 1 }) => {
+    const params = new URLSearchParams();
+    if (searchTerm) params.set('q', searchTerm);
+    if (filters.types.length > 0) params.set('types', filters.types.join(','));
+    if (filters.typeMatch === 'all') params.set('match', 'all');
+    if (filters.generation) params.set('gen', filters.generation);
+    const stats = formatStats(filters.stats);
+    if (stats) params.set('stats', stats);
+    if (filters.dex) params.set('dex', filters.dex);
+    if (filters.pokedex) params.set('pokedex', filters.pokedex);
+    if (sort.key !== DEFAULT_SORT.key) params.set('sort', sort.key);
+    if (sort.direction !== DEFAULT_SORT.direction) params.set('dir', sort.direction);
+    if (compare.length > 0) params.set('compare', compare.join(','));
+    if (page) params.set('page', page);
+    if (from > 1) params.set('from', from);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
+
+export { MAX_COMPARE, parseListQuery, buildListQuery };
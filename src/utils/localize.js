@@ -0,0 +1,74 @@
+// Helpers for localized PokeAPI data (names, Pokedex flavor text, effect text)
+
+import { capitalizeWords } from './string.js';
+
+// PokeAPI keeps Japanese names in both kanji/kana ("ja") and kana-only ("ja-Hrkt")
+const LANGUAGE_FALLBACKS = {
+    'ja': ['ja', 'ja-Hrkt'],
+    'zh-Hans': ['zh-Hans', 'zh-Hant'],
+};
+
+const candidatesFor = (language) => LANGUAGE_FALLBACKS[language] || [language];
+
+// Readable name from an API slug: "mr-mime" -> "Mr Mime", "nidoran-f" -> "Nidoran F"
+const formatSlug = (slug) => capitalizeWords(String(slug || '').replace(/-/g, ' '));
+
+// Pick the entry for `language` from a PokeAPI `names` array
+const getLocalizedName = (names = [], language) => {
+    for (const code of candidatesFor(language)) {
+        const entry = names.find(name => name.language.name === code);
+        if (entry) return entry.name;
+    }
+    return names.find(name => name.language.name === 'en')?.name ?? null;
+};
+
+// Name to show for a Pokemon: the species' localized name, plus the form
+// for alternate forms ("charizard-mega-x" -> "Charizard (Mega X)")
+const getDisplayName = (pokemonName, species, language) => {
+    if (!species) return formatSlug(pokemonName);
+
+    const speciesName = getLocalizedName(species.names, language) || formatSlug(species.name);
+    if (!pokemonName || pokemonName === species.name) return speciesName;
+
+    const isDefaultVariety = species.varieties?.find(v => v.pokemon.name === pokemonName)?.is_default;
+    if (isDefaultVariety) return speciesName;
+
+    const form = pokemonName.startsWith(`${species.name}-`)
+        ? pokemonName.slice(species.name.length + 1)
+        : pokemonName;
+    return `${speciesName} (${formatSlug(form)})`;
+};
+
+// Flavor text comes with hard line breaks, form feeds and soft hyphens
+const cleanFlavorText = (text) =>
+    String(text || '')
+        .replace(/\u00ad\n/g, '')
+        .replace(/[\f\n\r\u00ad]+/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+// [{ version, text }] for one language, newest game first (PokeAPI lists oldest first)
+const getFlavorTextEntries = (species, language) => {
+    const codes = candidatesFor(language);
+    const code = codes.find(c => species?.flavor_text_entries?.some(entry => entry.language.name === c));
+    if (!code) return [];
+
+    return species.flavor_text_entries
+        .filter(entry => entry.language.name === code)
+        .map(entry => ({ version: entry.version.name, text: cleanFlavorText(entry.flavor_text) }))
+        .reverse();
+};
+
+// Effect text of an ability or move in `language`, or in English, which is the
+// only language most effects are written in. Moves fill in their own chance
+// of triggering ("$effect_chance% chance to burn").
+const getEffectText = (resource, language, { short = false } = {}) => {
+    const entries = resource?.effect_entries || [];
+    const entry = [...candidatesFor(language), 'en']
+        .map(code => entries.find(e => e.language.name === code))
+        .find(Boolean);
+    const text = entry ? cleanFlavorText(short ? entry.short_effect : entry.effect) : '';
+    return text.replace(/\$effect_chance/g, resource.effect_chance ?? '');
+};
+
+export { formatSlug, getLocalizedName, getDisplayName, cleanFlavorText, getFlavorTextEntries, getEffectText };
@@ -0,0 +1,42 @@
+// Reverse lookups: /type/:name, /ability/:name and /move/:name list every
+// Pokemon with that type or ability, or that can learn that move
+
+import { matchRoute } from './router.js';
+import { idFromUrl } from './pokemonFilters.js';
+
+const LOOKUP_KINDS = ['type', 'ability', 'move'];
+
+// Damage relations of a type, attacking first
+const DAMAGE_RELATIONS = [
+    { key: 'double_damage_to', side: 'attack', multiplier: 2 },
+    { key: 'half_damage_to', side: 'attack', multiplier: 0.5 },
+    { key: 'no_damage_to', side: 'attack', multiplier: 0 },
+    { key: 'double_damage_from', side: 'defense', multiplier: 2 },
+    { key: 'half_damage_from', side: 'defense', multiplier: 0.5 },
+    { key: 'no_damage_from', side: 'defense', multiplier: 0 },
+];
+
+const lookupPath = (kind, name) => `/${kind}/${encodeURIComponent(name)}`;
+
+// { kind, name } for a lookup URL, otherwise null
+const matchLookupRoute = (pathname) => {
+    const match = matchRoute('/:kind/:name', pathname);
+    return match && LOOKUP_KINDS.includes(match.kind) ? match : null;
+};
+
+// { name, url } entries for the card grid, in dex order. Ability lookups
+// also mark which Pokemon only have it as their hidden ability.
+const getLookupPokemon = (kind, data) => {
+    if (!data) return [];
+    let pokemon;
+    if (kind === 'type') {
+        pokemon = data.pokemon.map(entry => entry.pokemon);
+    } else if (kind === 'ability') {
+        pokemon = data.pokemon.map(entry => ({ ...entry.pokemon, hiddenAbility: entry.is_hidden }));
+    } else {
+        pokemon = data.learned_by_pokemon || [];
+    }
+    return [...pokemon].sort((a, b) => idFromUrl(a.url) - idFromUrl(b.url));
+};
+
+export { LOOKUP_KINDS, DAMAGE_RELATIONS, lookupPath, matchLookupRoute, getLookupPokemon };
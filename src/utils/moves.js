@@ -0,0 +1,119 @@
+// Learnset helpers for the Moves tab, built from a Pokemon's `moves` list
+// (per version group learn methods) and /move payloads keyed by move name
+
+import { idFromUrl } from './pokemonFilters.js';
+
+// Learn methods shown first, in this order; anything else follows alphabetically
+const LEARN_METHODS = ['level-up', 'machine', 'egg', 'tutor'];
+
+const MOVE_CATEGORIES = ['physical', 'special', 'status'];
+
+const DEFAULT_MOVE_SORT = { key: 'level', direction: 'asc' };
+
+// Version groups the Pokemon has moves in, oldest first
+const getVersionGroups = (details) => {
+    const groups = new Map();
+    (details?.moves || []).forEach(move => {
+        move.version_group_details.forEach(detail => {
+            groups.set(detail.version_group.name, idFromUrl(detail.version_group.url));
+        });
+    });
+    return [...groups.entries()]
+        .sort((a, b) => a[1] - b[1])
+        .map(([name]) => name);
+};
+
+// One row per way the Pokemon learns a move in the version group:
+// { name, method, level } - level is only meaningful for level-up moves
+const getLearnset = (details, versionGroup) => {
+    const rows = [];
+    const seen = new Set();
+    (details?.moves || []).forEach(move => {
+        move.version_group_details
+            .filter(detail => detail.version_group.name === versionGroup)
+            .forEach(detail => {
+                const row = {
+                    name: move.move.name,
+                    method: detail.move_learn_method.name,
+                    level: detail.level_learned_at,
+                };
+                const key = `${row.name}|${row.method}|${row.level}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                rows.push(row);
+            });
+    });
+    return rows;
+};
+
+const methodRank = (method) => {
+    const index = LEARN_METHODS.indexOf(method);
+    return index === -1 ? LEARN_METHODS.length : index;
+};
+
+// [{ method, rows }] in LEARN_METHODS order
+const groupByMethod = (rows) => {
+    const groups = new Map();
+    rows.forEach(row => {
+        if (!groups.has(row.method)) groups.set(row.method, []);
+        groups.get(row.method).push(row);
+    });
+    return [...groups.entries()]
+        .sort(([a], [b]) => methodRank(a) - methodRank(b) || a.localeCompare(b))
+        .map(([method, methodRows]) => ({ method, rows: methodRows }));
+};
+
+// Value of a move column; null when the move data hasn't loaded or has none (e.g. status moves' power)
+const moveValue = (row, key, move) => {
+    switch (key) {
+        case 'level': return row.level;
+        case 'type': return move?.type?.name ?? null;
+        case 'category': return move?.damage_class?.name ?? null;
+        case 'power': return move?.power ?? null;
+        case 'accuracy': return move?.accuracy ?? null;
+        case 'pp': return move?.pp ?? null;
+        default: return null;
+    }
+};
+
+// filters: { query, type, category }; getName(row) gives the name shown for the move
+const filterMoves = (rows, filters, movesByName, getName = row => row.name) => {
+    const query = (filters.query || '').trim().toLowerCase();
+    return rows.filter(row => {
+        const move = movesByName.get(row.name);
+        if (query && !getName(row).toLowerCase().includes(query) && !row.name.includes(query)) return false;
+        if (filters.type && move?.type?.name !== filters.type) return false;
+        if (filters.category && move?.damage_class?.name !== filters.category) return false;
+        return true;
+    });
+};
+
+// Missing values always sort last; ties fall back to level, then name
+const sortMoves = (rows, sort, movesByName, getName = row => row.name) => {
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    const valueOf = (row) => (sort.key === 'name' ? getName(row) : moveValue(row, sort.key, movesByName.get(row.name)));
+
+    return [...rows].sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        if (valueA === null && valueB !== null) return 1;
+        if (valueB === null && valueA !== null) return -1;
+
+        let result = 0;
+        if (valueA !== null) {
+            result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        }
+        return result * direction || a.level - b.level || getName(a).localeCompare(getName(b));
+    });
+};
+
+export {
+    LEARN_METHODS,
+    MOVE_CATEGORIES,
+    DEFAULT_MOVE_SORT,
+    getVersionGroups,
+    getLearnset,
+    groupByMethod,
+    filterMoves,
+    sortMoves,
+};
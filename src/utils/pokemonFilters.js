@@ -0,0 +1,163 @@
+// Helpers for the filter panel: type/generation/stat filtering and sorting
+
+const POKEMON_TYPES = [
+    'normal', 'fire', 'water', 'electric', 'grass', 'ice',
+    'fighting', 'poison', 'ground', 'flying', 'psychic', 'bug',
+    'rock', 'ghost', 'dragon', 'dark', 'steel', 'fairy',
+];
+
+const STATS = [
+    { name: 'hp', label: 'HP' },
+    { name: 'attack', label: 'Attack' },
+    { name: 'defense', label: 'Defense' },
+    { name: 'special-attack', label: 'Sp. Atk' },
+    { name: 'special-defense', label: 'Sp. Def' },
+    { name: 'speed', label: 'Speed' },
+];
+
+const GENERATION_REGIONS = {
+    'generation-i': 'Kanto',
+    'generation-ii': 'Johto',
+    'generation-iii': 'Hoenn',
+    'generation-iv': 'Sinnoh',
+    'generation-v': 'Unova',
+    'generation-vi': 'Kalos',
+    'generation-vii': 'Alola',
+    'generation-viii': 'Galar',
+    'generation-ix': 'Paldea',
+};
+
+// National dex numbers introduced by each generation (fixed, unlike the
+// generation list, so it can be used without a request)
+const GENERATION_RANGES = [
+    { name: 'generation-i', first: 1, last: 151 },
+    { name: 'generation-ii', first: 152, last: 251 },
+    { name: 'generation-iii', first: 252, last: 386 },
+    { name: 'generation-iv', first: 387, last: 493 },
+    { name: 'generation-v', first: 494, last: 649 },
+    { name: 'generation-vi', first: 650, last: 721 },
+    { name: 'generation-vii', first: 722, last: 809 },
+    { name: 'generation-viii', first: 810, last: 905 },
+    { name: 'generation-ix', first: 906, last: 1025 },
+];
+
+const SORT_OPTIONS = [
+    { key: 'id', label: 'Dex number' },
+    { key: 'name', label: 'Name' },
+    { key: 'total', label: 'Base stat total' },
+    ...STATS.map(stat => ({ key: stat.name, label: stat.label })),
+];
+
+const EMPTY_FILTERS = {
+    types: [],
+    typeMatch: 'any',   // 'any' or 'all' selected types
+    generation: '',
+    stats: {},          // stat name -> { min, max }
+    dex: '',            // '', or a DEX_FILTERS key to filter by Pokedex progress
+    pokedex: '',        // '' for the national dex, or a regional /pokedex name
+};
+
+// Personal Pokedex progress filters: 'missing' is everything not caught yet
+const DEX_FILTERS = [
+    { key: 'missing', label: 'Missing' },
+    { key: 'caught', label: 'Caught' },
+];
+
+const DEFAULT_SORT = { key: 'id', direction: 'asc' };
+
+// "https://pokeapi.co/api/v2/pokemon/25/" -> 25
+const idFromUrl = (url) => {
+    const match = /\/(\d+)\/?$/.exec(url || '');
+    return match ? Number(match[1]) : null;
+};
+
+const hasValue = (value) => value !== '' && value !== null && value !== undefined;
+
+const hasStatFilters = (filters) =>
+    Object.values(filters.stats || {}).some(range => hasValue(range?.min) || hasValue(range?.max));
+
+const needsStats = (filters, sort) =>
+    hasStatFilters(filters) || (sort.key !== 'id' && sort.key !== 'name');
+
+const isFilteringActive = (filters, sort) =>
+    filters.types.length > 0 ||
+    hasValue(filters.generation) ||
+    hasStatFilters(filters) ||
+    hasValue(filters.dex) ||
+    hasValue(filters.pokedex) ||
+    sort.key !== DEFAULT_SORT.key ||
+    sort.direction !== DEFAULT_SORT.direction;
+
+const getBaseStat = (details, statName) =>
+    details?.stats?.find(stat => stat.stat.name === statName)?.base_stat ?? 0;
+
+const getBaseStatTotal = (details) =>
+    (details?.stats || []).reduce((total, stat) => total + stat.base_stat, 0);
+
+const matchesStatRanges = (details, statRanges = {}) =>
+    Object.entries(statRanges).every(([statName, range]) => {
+        const value = getBaseStat(details, statName);
+        if (hasValue(range?.min) && value < Number(range.min)) return false;
+        if (hasValue(range?.max) && value > Number(range.max)) return false;
+        return true;
+    });
+
+// status: the Pokemon's dex progress ('seen', 'caught' or undefined)
+const matchesDexFilter = (status, dexFilter) => {
+    if (dexFilter === 'caught') return status === 'caught';
+    if (dexFilter === 'missing') return status !== 'caught';
+    return true;
+};
+
+// Combine the member lists of the selected types
+const combineTypeMembers = (memberLists, typeMatch) => {
+    if (memberLists.length === 0) return null;
+    const sets = memberLists.map(list => new Set(list));
+    if (typeMatch === 'all') {
+        return new Set([...sets[0]].filter(name => sets.every(set => set.has(name))));
+    }
+    return new Set(sets.flatMap(set => [...set]));
+};
+
+// Sort { name, url } entries; detailsByName is needed for stat based sorts.
+// Entries from a regional dex carry a regionalNumber, which orders them by dex number.
+const sortPokemon = (list, sort, detailsByName = new Map()) => {
+    const valueOf = (pokemon) => {
+        if (sort.key === 'id') return pokemon.regionalNumber ?? idFromUrl(pokemon.url);
+        if (sort.key === 'name') return pokemon.name;
+        const details = detailsByName.get(pokemon.name);
+        return sort.key === 'total' ? getBaseStatTotal(details) : getBaseStat(details, sort.key);
+    };
+
+    const direction = sort.direction === 'desc' ? -1 : 1;
+    return [...list].sort((a, b) => {
+        const valueA = valueOf(a);
+        const valueB = valueOf(b);
+        const result = typeof valueA === 'string'
+            ? valueA.localeCompare(valueB)
+            : valueA - valueB;
+        // Ties fall back to dex order
+        return result * direction || idFromUrl(a.url) - idFromUrl(b.url);
+    });
+};
+
+export {
+    POKEMON_TYPES,
+    STATS,
+    GENERATION_REGIONS,
+    GENERATION_RANGES,
+    SORT_OPTIONS,
+    EMPTY_FILTERS,
+    DEX_FILTERS,
+    DEFAULT_SORT,
+    idFromUrl,
+    hasStatFilters,
+    needsStats,
+    isFilteringActive,
+    getBaseStat,
+    getBaseStatTotal,
+    matchesStatRanges,
+    matchesDexFilter,
+    combineTypeMembers,
+    sortPokemon,
+};
@@ -0,0 +1,72 @@
+// "Who's That Pokemon?" quiz: question pool, picking questions and checking guesses
+
+import { normalize, editDistance, allowedTypos } from './fuzzy.js';
+import { GENERATION_RANGES } from './pokemonFilters.js';
+
+const QUIZ_MODES = ['choice', 'text'];
+const TIME_LIMITS = [0, 30, 15, 5];   // seconds per question, 0 = no limit
+const CHOICE_COUNT = 4;
+
+const DEFAULT_QUIZ_SETTINGS = {
+    fromGeneration: 0,   // indexes into GENERATION_RANGES
+    toGeneration: 0,
+    mode: 'choice',
+    timeLimit: 0,
+};
+
+// Best streaks are kept per difficulty, so an easy run can't beat a hard one
+const difficultyKey = ({ fromGeneration, toGeneration, mode, timeLimit }) =>
+    `${fromGeneration}-${toGeneration}-${mode}-${timeLimit}`;
+
+// Name index entries in the chosen generations; alternate forms (ids
+// above 10000) are left out, their artwork is too similar to the base form
+const getQuizPool = (entries, { fromGeneration, toGeneration }) => {
+    const from = GENERATION_RANGES[Math.min(fromGeneration, toGeneration)];
+    const to = GENERATION_RANGES[Math.max(fromGeneration, toGeneration)];
+    if (!entries || !from || !to) return [];
+    return entries.filter(entry => entry.id >= from.first && entry.id <= to.last);
+};
+
+const randomItem = (list, random) => list[Math.floor(random() * list.length)];
+
+// { answer, choices } - choices is null in free text mode. `previous` is
+// skipped so the same Pokemon doesn't come up twice in a row.
+const pickQuestion = (pool, { mode }, { previous, random = Math.random } = {}) => {
+    if (pool.length === 0) return null;
+    const candidates = pool.length > 1 ? pool.filter(entry => entry.name !== previous) : pool;
+    const answer = randomItem(candidates, random);
+    if (mode !== 'choice') return { answer, choices: null };
+
+    const choices = [answer];
+    const others = pool.filter(entry => entry.name !== answer.name);
+    while (choices.length < CHOICE_COUNT && others.length > 0) {
+        choices.push(others.splice(Math.floor(random() * others.length), 1)[0]);
+    }
+    // Shuffle so the answer isn't always first
+    for (let i = choices.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [choices[i], choices[j]] = [choices[j], choices[i]];
+    }
+    return { answer, choices };
+};
+
+// Same typo tolerance as search, but the guess has to be the whole name:
+// "pikachu" and "pikahcu" count, "pika" doesn't
+const isCorrectGuess = (guess, names) => {
+    const q = normalize(guess);
+    if (!q) return false;
+    return names.some(name => {
+        const c = normalize(name);
+        return c && editDistance(q, c) <= allowedTypos(c.length);
+    });
+};
+
+export {
+    QUIZ_MODES,
+    TIME_LIMITS,
+    DEFAULT_QUIZ_SETTINGS,
+    difficultyKey,
+    getQuizPool,
+    pickQuestion,
+    isCorrectGuess,
+};
@@ -0,0 +1,21 @@
+// Regional Pokedexes (/pokedex): Kanto, Johto, Paldea... list species with
+// their own entry numbers, separate from the national dex
+
+import { idFromUrl } from './pokemonFilters.js';
+import { formatSlug, getLocalizedName } from './localize.js';
+
+const NATIONAL_DEX = 'national';
+
+// species id -> regional entry number, from a /pokedex payload
+const getRegionalNumbers = (pokedex) =>
+    new Map((pokedex?.pokemon_entries || []).map(entry => [idFromUrl(entry.pokemon_species.url), entry.entry_number]));
+
+// A species' entry number in the given regional dex, or null if it isn't in it
+const findRegionalNumber = (species, pokedexName) =>
+    species?.pokedex_numbers?.find(entry => entry.pokedex.name === pokedexName)?.entry_number ?? null;
+
+// "Kanto", "Original Johto"... in the UI language once the payload is loaded
+const getPokedexLabel = (name, pokedex, language) =>
+    getLocalizedName(pokedex?.names, language) || formatSlug(name);
+
+export { NATIONAL_DEX, getRegionalNumbers, findRegionalNumber, getPokedexLabel };
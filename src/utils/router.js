@@ -0,0 +1,71 @@
+// Minimal client-side router on top of the History API
+
+const listeners = new Set();
+
+const readLocation = () => ({
+    pathname: window.location.pathname,
+    search: window.location.search,
+    state: window.history.state,
+});
+
+let current = readLocation();
+
+const notify = () => {
+    current = readLocation();
+    listeners.forEach(listener => listener());
+};
+
+window.addEventListener('popstate', notify);
+
+// We restore scroll positions ourselves (e.g. when the modal closes)
+if ('scrollRestoration' in window.history) {
+    window.history.scrollRestoration = 'manual';
+}
+
+const getLocation = () => current;
+
+const subscribeToLocation = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Go to a new URL ("/pokemon/25?q=pika"); replace swaps the current history entry
+const navigate = (to, { replace = false, state = null } = {}) => {
+    const method = replace ? 'replaceState' : 'pushState';
+    window.history[method](state, '', to);
+    notify();
+};
+
+const goBack = () => window.history.back();
+
+// Merge extra data into the current history entry without navigating
+const updateHistoryState = (patch) => {
+    window.history.replaceState({ ...window.history.state, ...patch }, '');
+    current = readLocation();
+};
+
+// matchRoute('/pokemon/:nameOrId', '/pokemon/25') -> { nameOrId: '25' }, or null
+const matchRoute = (pattern, pathname) => {
+    const names = [];
+    const source = pattern
+        .replace(/\/+$/, '')
+        .replace(/:([A-Za-z]+)/g, (_, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+    const match = new RegExp(`^${source}/?$`).exec(pathname);
+    if (!match) return null;
+
+    // A malformed escape like /pokemon/%E0 is no match (the not-found view)
+    try {
+        return names.reduce((params, name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+            return params;
+        }, {});
+    } catch (error) {
+        if (error instanceof URIError) return null;
+        throw error;
+    }
+};
+
+export { getLocation, subscribeToLocation, navigate, goBack, updateHistoryState, matchRoute };
@@ -0,0 +1,263 @@
+// Pokemon Showdown team text ("paste" format): formatting team members as
+// text and parsing pasted text back into sets. Checking names against
+// PokeAPI happens in api/showdownImport.js; this file is pure.
+//
+//   Sparky (Pikachu) (M) @ Light Ball
+//   Ability: Static
+//   Level: 50
+//   Shiny: Yes
+//   Tera Type: Electric
+//   EVs: 252 Atk / 4 SpD / 252 Spe
+//   Jolly Nature
+//   IVs: 0 Atk
+//   - Volt Tackle
+
+import { POKEMON_TYPES } from './pokemonFilters.js';
+import { NATURES, MAX_IV, MAX_EV, MAX_EV_TOTAL } from './stats.js';
+
+const SHOWDOWN_STATS = [
+    { name: 'hp', label: 'HP' },
+    { name: 'attack', label: 'Atk' },
+    { name: 'defense', label: 'Def' },
+    { name: 'special-attack', label: 'SpA' },
+    { name: 'special-defense', label: 'SpD' },
+    { name: 'speed', label: 'Spe' },
+];
+
+const MAX_MOVES = 4;
+const MAX_TEAM_SIZE = 6;
+const DEFAULT_IV = MAX_IV;
+
+// Lines we accept but don't keep
+const IGNORED_FIELDS = ['happiness', 'dynamax level', 'gigantamax', 'hidden power', 'pokeball'];
+
+// "Mr. Mime" -> "mr-mime", "Farfetch’d" -> "farfetchd", "Flabébé" -> "flabebe",
+// "Type: Null" -> "type-null", "King's Shield" -> "kings-shield"
+const toSlug = (name) =>
+    String(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’.:%]/g, '')
+        .trim()
+        .replace(/[\s_]+/g, '-')
+        .replace(/-+/g, '-');
+
+// "charizard-mega-x" -> "Charizard-Mega-X" (Showdown matches names loosely)
+const toShowdownName = (slug) =>
+    String(slug).split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+
+// "u-turn" -> "U Turn", "kings-shield" -> "Kings Shield"
+const toShowdownLabel = (slug) =>
+    String(slug).split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+
+const formatSpread = (values = {}, defaultValue) =>
+    SHOWDOWN_STATS
+        .filter(stat => values[stat.name] !== undefined && values[stat.name] !== defaultValue)
+        .map(stat => `${values[stat.name]} ${stat.label}`)
+        .join(' / ');
+
+// member: team member from teamStore (name, nickname, item, ability, evs, moves...)
+const formatShowdownSet = (member) => {
+    const species = toShowdownName(member.name);
+    let firstLine = member.nickname && member.nickname !== species
+        ? `${member.nickname} (${species})`
+        : species;
+    if (member.gender === 'M' || member.gender === 'F') firstLine += ` (${member.gender})`;
+    if (member.item) firstLine += ` @ ${toShowdownLabel(member.item)}`;
+
+    const lines = [firstLine];
+    if (member.ability) lines.push(`Ability: ${toShowdownLabel(member.ability)}`);
+    if (member.level && member.level !== 100) lines.push(`Level: ${member.level}`);
+    if (member.shiny) lines.push('Shiny: Yes');
+    if (member.teraType) lines.push(`Tera Type: ${toShowdownName(member.teraType)}`);
+    const evs = formatSpread(member.evs, 0);
+    if (evs) lines.push(`EVs: ${evs}`);
+    if (member.nature) lines.push(`${toShowdownName(member.nature)} Nature`);
+    const ivs = formatSpread(member.ivs, DEFAULT_IV);
+    if (ivs) lines.push(`IVs: ${ivs}`);
+    (member.moves || []).forEach(move => lines.push(`- ${toShowdownLabel(move)}`));
+    return lines.join('\n');
+};
+
+const formatShowdownTeam = (members) => members.map(formatShowdownSet).join('\n\n');
+
+const statByLabel = (label) =>
+    SHOWDOWN_STATS.find(stat => stat.label.toLowerCase() === label.toLowerCase());
+
+// "252 Atk / 4 SpD" -> { values: { attack: 252, 'special-defense': 4 }, errors: [] }
+// errors are { key, values } for translate()
+const parseSpread = (text, max) => {
+    const values = {};
+    const errors = [];
+    text.split('/').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const match = /^(\d+)\s+([A-Za-z]+)$/.exec(part);
+        const stat = match && statByLabel(match[2]);
+        if (!stat) {
+            errors.push({ key: 'showdown.error.unreadable', values: { text: part } });
+            return;
+        }
+        const value = Number(match[1]);
+        if (value > max) errors.push({ key: 'showdown.error.spreadMax', values: { stat: stat.label, max } });
+        values[stat.name] = value;
+    });
+    return { values, errors };
+};
+
+// "Sparky (Pikachu) (M) @ Light Ball" -> { nickname, species, gender, item }
+const parseFirstLine = (line) => {
+    let rest = line;
+    let item = '';
+    const at = rest.lastIndexOf(' @ ');
+    if (at !== -1) {
+        item = rest.slice(at + 3).trim();
+        rest = rest.slice(0, at);
+    }
+    rest = rest.trim();
+
+    let gender = '';
+    const genderMatch = /\s*\((M|F)\)$/.exec(rest);
+    if (genderMatch) {
+        gender = genderMatch[1];
+        rest = rest.slice(0, genderMatch.index).trim();
+    }
+
+    let nickname = '';
+    let species = rest;
+    const nicknameMatch = /^(.*\S)\s*\(([^()]+)\)$/.exec(rest);
+    if (nicknameMatch) {
+        nickname = nicknameMatch[1];
+        species = nicknameMatch[2].trim();
+    }
+    return { nickname, species, gender, item };
+};
+
+const createSet = (firstLine, lineNumber) => {
+    const { nickname, species, gender, item } = parseFirstLine(firstLine);
+    return {
+        nickname,
+        species,
+        gender,
+        item: item ? toSlug(item) : '',
+        ability: '',
+        level: 100,
+        shiny: false,
+        teraType: '',
+        evs: {},
+        ivs: {},
+        nature: '',
+        moves: [],
+        // Line numbers (1-based) so validation can point at the right line
+        lines: { species: lineNumber, ability: null, moves: [] },
+    };
+};
+
+// Parse pasted text. Returns { teamName, sets, errors: [{ line, key, values }] }
+// (key and values for translate()); sets hold slugs (ability, moves, nature...)
+// ready to check against PokeAPI.
+const parseShowdownText = (text) => {
+    const sets = [];
+    const errors = [];
+    let teamName = '';
+    let current = null;
+
+    const error = (line, key, values) => errors.push({ line, key, values });
+
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+
+        if (!line) {
+            current = null; // a blank line ends the set
+            return;
+        }
+
+        // "=== [gen9ou] Rain Team ===" headers from the Showdown teambuilder
+        const header = /^===\s*(?:\[[^\]]*\]\s*)?(.*?)\s*===$/.exec(line);
+        if (header) {
+            if (!teamName) teamName = header[1];
+            current = null;
+            return;
+        }
+
+        if (!current) {
+            current = createSet(line, lineNumber);
+            if (!current.species) error(lineNumber, 'showdown.error.missingSpecies');
+            if (sets.length === MAX_TEAM_SIZE) error(lineNumber, 'showdown.error.teamSize', { max: MAX_TEAM_SIZE });
+            sets.push(current);
+            return;
+        }
+
+        if (line.startsWith('-')) {
+            const move = line.replace(/^-\s*/, '').replace(/\s*\[.*\]$/, ''); // "Hidden Power [Fire]"
+            if (current.moves.length >= MAX_MOVES) {
+                error(lineNumber, 'showdown.error.moveCount', { max: MAX_MOVES });
+                return;
+            }
+            current.moves.push(toSlug(move));
+            current.lines.moves.push(lineNumber);
+            return;
+        }
+
+        const natureMatch = /^(\w+)\s+Nature$/i.exec(line);
+        if (natureMatch) {
+            const nature = natureMatch[1].toLowerCase();
+            if (NATURES.includes(nature)) {
+                current.nature = nature;
+            } else {
+                error(lineNumber, 'showdown.error.nature', { nature: natureMatch[1] });
+            }
+            return;
+        }
+
+        const colon = line.indexOf(':');
+        if (colon === -1) {
+            error(lineNumber, 'showdown.error.unreadable', { text: line });
+            return;
+        }
+        const field = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+
+        if (field === 'ability') {
+            current.ability = toSlug(value);
+            current.lines.ability = lineNumber;
+        } else if (field === 'level') {
+            const level = Number(value);
+            if (Number.isInteger(level) && level >= 1 && level <= 100) {
+                current.level = level;
+            } else {
+                error(lineNumber, 'showdown.error.level');
+            }
+        } else if (field === 'shiny') {
+            current.shiny = /^yes$/i.test(value);
+        } else if (field === 'tera type') {
+            const teraType = toSlug(value);
+            if (POKEMON_TYPES.includes(teraType) || teraType === 'stellar') {
+                current.teraType = teraType;
+            } else {
+                error(lineNumber, 'showdown.error.teraType', { type: value });
+            }
+        } else if (field === 'evs' || field === 'ivs') {
+            const isEvs = field === 'evs';
+            const { values, errors: spreadErrors } = parseSpread(value, isEvs ? MAX_EV : MAX_IV);
+            spreadErrors.forEach(spreadError => error(lineNumber, spreadError.key, spreadError.values));
+            const total = Object.values(values).reduce((sum, n) => sum + n, 0);
+            if (isEvs && total > MAX_EV_TOTAL) {
+                error(lineNumber, 'showdown.error.evTotal', { total, max: MAX_EV_TOTAL });
+            }
+            current[field] = values;
+        } else if (!IGNORED_FIELDS.includes(field)) {
+            error(lineNumber, 'showdown.error.field', { field: line.slice(0, colon).trim() });
+        }
+    });
+
+    return { teamName, sets, errors };
+};
+
+export {
+    SHOWDOWN_STATS,
+    toSlug,
+    formatShowdownSet,
+    formatShowdownTeam,
+    parseShowdownText,
+};
@@ -0,0 +1,57 @@
+// Sprite URLs that can be built from a dex number without fetching details
+
+const SPRITE_BASE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/pokemon';
+const ITEM_SPRITE_BASE_URL = 'https://raw.githubusercontent.com/PokeAPI/sprites/master/sprites/items';
+
+// Small front sprite, good for thumbnails
+const spriteUrl = (id) => (id ? `${SPRITE_BASE_URL}/${id}.png` : '');
+
+// Official artwork, the image the cards and modal use
+const artworkUrl = (id) => (id ? `${SPRITE_BASE_URL}/other/official-artwork/${id}.png` : '');
+
+// Items (and berries) are keyed by name: "master-ball" -> .../items/master-ball.png
+const itemSpriteUrl = (name) => (name ? `${ITEM_SPRITE_BASE_URL}/${name}.png` : '');
+
+// Sprite keys a set can have, e.g. back_shiny_female
+const spriteKey = ({ back = false, shiny = false, female = false }) =>
+    `${back ? 'back' : 'front'}_${shiny ? 'shiny' : 'default'}${female ? '_female' : ''}`
+        .replace('default_female', 'female');
+
+const hasSprites = (sprites) =>
+    Boolean(sprites) && Object.values(sprites).some(value => typeof value === 'string');
+
+// Every sprite set of a /pokemon (or /pokemon-form) `sprites` payload that has
+// at least one image: [{ id, generation?, game?, sprites }]. Newest games first.
+// Sets without a game are 'official-artwork', 'home', 'showdown' and 'default'.
+const getSpriteSets = (sprites) => {
+    if (!sprites) return [];
+    const sets = [];
+    const other = sprites.other || {};
+
+    if (hasSprites(other['official-artwork'])) {
+        sets.push({ id: 'official-artwork', sprites: other['official-artwork'] });
+    }
+    if (hasSprites(other.home)) {
+        sets.push({ id: 'home', sprites: other.home });
+    }
+    if (hasSprites(other.showdown)) {
+        sets.push({ id: 'showdown', sprites: other.showdown });
+    }
+    if (hasSprites(sprites)) {
+        sets.push({ id: 'default', sprites });
+    }
+
+    const generations = Object.entries(sprites.versions || {}).reverse();
+    generations.forEach(([generation, games]) => {
+        Object.entries(games).reverse().forEach(([game, gameSprites]) => {
+            if (!hasSprites(gameSprites)) return;
+            sets.push({ id: `${generation}/${game}`, generation, game, sprites: gameSprites });
+        });
+    });
+    return sets;
+};
+
+// Image for the chosen view, or null when the set doesn't have it
+const pickSprite = (sprites, view) => sprites?.[spriteKey(view)] || null;
+
+export { spriteUrl, artworkUrl, itemSpriteUrl, spriteKey, getSpriteSets, pickSprite };
@@ -0,0 +1,12 @@
+// Stat bar scale and colours, shared by the StatBar component and the
+// exported card images
+
+const STAT_BAR_MAX = 200; // base stats above this fill the whole bar
+
+const statColor = (value) => {
+    if (value > 100) return '#ef4444';
+    if (value > 50) return '#f59e0b';
+    return '#10b981';
+};
+
+export { STAT_BAR_MAX, statColor };
@@ -0,0 +1,117 @@
+// Main-series (Gen III+) stat formulas for the stat calculator
+
+const MIN_LEVEL = 1;
+const MAX_LEVEL = 100;
+const MAX_IV = 31;
+const MAX_EV = 252;
+const MAX_EV_TOTAL = 510;
+
+// nature -> [raised stat, lowered stat]; the five neutral natures raise and
+// lower the same stat, which cancels out
+const NATURE_EFFECTS = {
+    hardy: ['attack', 'attack'],
+    lonely: ['attack', 'defense'],
+    brave: ['attack', 'speed'],
+    adamant: ['attack', 'special-attack'],
+    naughty: ['attack', 'special-defense'],
+    bold: ['defense', 'attack'],
+    docile: ['defense', 'defense'],
+    relaxed: ['defense', 'speed'],
+    impish: ['defense', 'special-attack'],
+    lax: ['defense', 'special-defense'],
+    timid: ['speed', 'attack'],
+    hasty: ['speed', 'defense'],
+    serious: ['speed', 'speed'],
+    jolly: ['speed', 'special-attack'],
+    naive: ['speed', 'special-defense'],
+    modest: ['special-attack', 'attack'],
+    mild: ['special-attack', 'defense'],
+    quiet: ['special-attack', 'speed'],
+    bashful: ['special-attack', 'special-attack'],
+    rash: ['special-attack', 'special-defense'],
+    calm: ['special-defense', 'attack'],
+    gentle: ['special-defense', 'defense'],
+    sassy: ['special-defense', 'speed'],
+    careful: ['special-defense', 'special-attack'],
+    quirky: ['special-defense', 'special-defense'],
+};
+
+const NATURES = Object.keys(NATURE_EFFECTS);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, Math.floor(Number(value) || 0)));
+
+// { raised, lowered } stat names, or null for a neutral nature
+const getNatureEffect = (nature) => {
+    const effect = NATURE_EFFECTS[nature];
+    if (!effect || effect[0] === effect[1]) return null;
+    return { raised: effect[0], lowered: effect[1] };
+};
+
+const getNatureMultiplier = (nature, statName) => {
+    const effect = getNatureEffect(nature);
+    if (effect?.raised === statName) return 1.1;
+    if (effect?.lowered === statName) return 0.9;
+    return 1;
+};
+
+// Shedinja is the only Pokemon with a base HP of 1, and its HP is always 1
+const hasFixedHp = (base) => base === 1;
+
+// Final value of one stat. Integer division happens where the games do it.
+const calculateStat = ({ stat, base, level = MAX_LEVEL, iv = MAX_IV, ev = 0, nature }) => {
+    const lv = clamp(level, MIN_LEVEL, MAX_LEVEL);
+    const core = Math.floor(((2 * base + clamp(iv, 0, MAX_IV) + Math.floor(clamp(ev, 0, MAX_EV) / 4)) * lv) / 100);
+
+    if (stat === 'hp') {
+        return hasFixedHp(base) ? 1 : core + lv + 10;
+    }
+    return Math.floor((core + 5) * getNatureMultiplier(nature, stat));
+};
+
+// Every stat of a Pokemon. baseStats: stat name -> base value,
+// ivs/evs: stat name -> value (missing stats default to 31 IVs / 0 EVs)
+const calculateStats = (baseStats, { level = MAX_LEVEL, ivs = {}, evs = {}, nature } = {}) =>
+    Object.fromEntries(Object.entries(baseStats).map(([stat, base]) => [
+        stat,
+        calculateStat({ stat, base, level, iv: ivs[stat] ?? MAX_IV, ev: evs[stat] ?? 0, nature }),
+    ]));
+
+// Any nature that raises (or lowers) the given stat
+const findNature = (stat, effect) =>
+    NATURES.find(nature => getNatureEffect(nature)?.[effect] === stat);
+
+// Lowest (0 IVs, 0 EVs, hindering nature) and highest (31 IVs, 252 EVs,
+// beneficial nature) possible value of a stat at the given level
+const getStatRange = (stat, base, level) => ({
+    min: calculateStat({ stat, base, level, iv: 0, ev: 0, nature: findNature(stat, 'lowered') }),
+    max: calculateStat({ stat, base, level, iv: MAX_IV, ev: MAX_EV, nature: findNature(stat, 'raised') }),
+});
+
+const getEvTotal = (evs) => Object.values(evs).reduce((total, value) => total + (Number(value) || 0), 0);
+
+// Set one stat's EVs, capped at 252 and at whatever is left of the 510 total
+const setEv = (evs, stat, value) => {
+    const others = getEvTotal(evs) - (Number(evs[stat]) || 0);
+    return { ...evs, [stat]: clamp(value, 0, Math.min(MAX_EV, MAX_EV_TOTAL - others)) };
+};
+
+// { hp: 45, attack: 49, ... } from a /pokemon payload
+const getBaseStats = (details) =>
+    Object.fromEntries((details?.stats || []).map(stat => [stat.stat.name, stat.base_stat]));
+
+export {
+    MIN_LEVEL,
+    MAX_LEVEL,
+    MAX_IV,
+    MAX_EV,
+    MAX_EV_TOTAL,
+    NATURES,
+    getNatureEffect,
+    getNatureMultiplier,
+    calculateStat,
+    calculateStats,
+    getStatRange,
+    getEvTotal,
+    setEv,
+    getBaseStats,
+};
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import {
+    MAX_EV,
+    MAX_EV_TOTAL,
+    getNatureEffect,
+    getNatureMultiplier,
+    calculateStat,
+    calculateStats,
+    getStatRange,
+    getEvTotal,
+    setEv,
+} from './stats.js';
+
+// Garchomp: a well known spread to check the formulas against
+const GARCHOMP = {
+    hp: 108,
+    attack: 130,
+    defense: 95,
+    'special-attack': 80,
+    'special-defense': 85,
+    speed: 102,
+};
+
+describe('calculateStat', () => {
+    it('calculates HP', () => {
+        expect(calculateStat({ stat: 'hp', base: 108, level: 100 })).toBe(357);
+        expect(calculateStat({ stat: 'hp', base: 108, level: 50 })).toBe(183);
+        expect(calculateStat({ stat: 'hp', base: 108, level: 100, ev: 252 })).toBe(420);
+    });
+
+    it('calculates the other stats', () => {
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100 })).toBe(296);
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100, ev: 252 })).toBe(359);
+        expect(calculateStat({ stat: 'speed', base: 102, level: 50, ev: 252 })).toBe(154);
+    });
+
+    it('only counts every fourth EV', () => {
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100, ev: 3 })).toBe(296);
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100, ev: 4 })).toBe(297);
+    });
+
+    it('clamps the level, IVs and EVs', () => {
+        expect(calculateStat({ stat: 'attack', base: 130, level: 150, iv: 40, ev: 300 }))
+            .toBe(calculateStat({ stat: 'attack', base: 130, level: 100, iv: 31, ev: 252 }));
+        expect(calculateStat({ stat: 'attack', base: 130, level: 0, iv: -5, ev: -4 }))
+            .toBe(calculateStat({ stat: 'attack', base: 130, level: 1, iv: 0, ev: 0 }));
+    });
+
+    it('keeps Shedinja at 1 HP', () => {
+        expect(calculateStat({ stat: 'hp', base: 1, level: 1 })).toBe(1);
+        expect(calculateStat({ stat: 'hp', base: 1, level: 50, ev: 252 })).toBe(1);
+        expect(calculateStat({ stat: 'hp', base: 1, level: 100, ev: 252 })).toBe(1);
+    });
+});
+
+describe('natures', () => {
+    it('raises one stat by 10% and lowers another by 10%', () => {
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100, ev: 252, nature: 'adamant' })).toBe(394);
+        expect(calculateStat({ stat: 'attack', base: 130, level: 100, nature: 'modest' })).toBe(266);
+        expect(calculateStat({ stat: 'speed', base: 102, level: 100, ev: 252, nature: 'jolly' })).toBe(333);
+    });
+
+    it('never changes HP', () => {
+        expect(calculateStat({ stat: 'hp', base: 108, level: 100, nature: 'adamant' })).toBe(357);
+        expect(getNatureMultiplier('lonely', 'hp')).toBe(1);
+    });
+
+    it('returns the multiplier per stat', () => {
+        expect(getNatureMultiplier('adamant', 'attack')).toBe(1.1);
+        expect(getNatureMultiplier('adamant', 'special-attack')).toBe(0.9);
+        expect(getNatureMultiplier('adamant', 'speed')).toBe(1);
+        expect(getNatureMultiplier(undefined, 'speed')).toBe(1);
+    });
+
+    it('treats the five neutral natures as no effect', () => {
+        ['hardy', 'docile', 'serious', 'bashful', 'quirky'].forEach(nature => {
+            expect(getNatureEffect(nature)).toBeNull();
+            expect(calculateStat({ stat: 'attack', base: 130, level: 100, nature })).toBe(296);
+        });
+        expect(getNatureEffect('timid')).toEqual({ raised: 'speed', lowered: 'attack' });
+    });
+});
+
+describe('calculateStats', () => {
+    it('calculates every stat with the same level and nature', () => {
+        expect(calculateStats(GARCHOMP, {
+            level: 100,
+            evs: { attack: 252, speed: 252, hp: 4 },
+            nature: 'jolly',
+        })).toEqual({
+            hp: 358,
+            attack: 359,
+            defense: 226,
+            'special-attack': 176,
+            'special-defense': 206,
+            speed: 333,
+        });
+    });
+
+    it('defaults to level 100, 31 IVs and 0 EVs', () => {
+        expect(calculateStats({ hp: 108, attack: 130 })).toEqual({ hp: 357, attack: 296 });
+        expect(calculateStats({ attack: 130 }, { ivs: { attack: 0 } })).toEqual({ attack: 265 });
+    });
+});
+
+describe('getStatRange', () => {
+    it('covers the worst and best spread at level 100', () => {
+        expect(getStatRange('speed', 102, 100)).toEqual({ min: 188, max: 333 });
+        expect(getStatRange('hp', 108, 100)).toEqual({ min: 326, max: 420 });
+    });
+
+    it('covers the worst and best spread at level 50', () => {
+        expect(getStatRange('speed', 102, 50)).toEqual({ min: 96, max: 169 });
+        expect(getStatRange('hp', 108, 50)).toEqual({ min: 168, max: 215 });
+    });
+
+    it('has a single value for Shedinja HP', () => {
+        expect(getStatRange('hp', 1, 50)).toEqual({ min: 1, max: 1 });
+    });
+});
+
+describe('setEv', () => {
+    it(`caps one stat at ${MAX_EV}`, () => {
+        expect(setEv({}, 'attack', 300)).toEqual({ attack: MAX_EV });
+        expect(setEv({}, 'attack', -10)).toEqual({ attack: 0 });
+    });
+
+    it(`caps the total at ${MAX_EV_TOTAL}`, () => {
+        const evs = setEv({ attack: 252, speed: 252 }, 'hp', 100);
+        expect(evs).toEqual({ attack: 252, speed: 252, hp: 6 });
+        expect(getEvTotal(evs)).toBe(MAX_EV_TOTAL);
+    });
+
+    it('frees the EVs of the stat being replaced', () => {
+        expect(setEv({ attack: 252, speed: 252, hp: 6 }, 'attack', 200)).toEqual({ attack: 200, speed: 252, hp: 6 });
+        expect(setEv({ attack: 252, speed: 252, hp: 6 }, 'hp', 4)).toEqual({ attack: 252, speed: 252, hp: 4 });
+        expect(setEv({ attack: 200, speed: 252, hp: 6 }, 'attack', 252)).toEqual({ attack: 252, speed: 252, hp: 6 });
+    });
+
+    it('does not change the object it was given', () => {
+        const evs = { attack: 4 };
+        setEv(evs, 'attack', 252);
+        expect(evs).toEqual({ attack: 4 });
+    });
+});
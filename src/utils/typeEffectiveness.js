@@ -0,0 +1,98 @@
+// Type matchups built from PokeAPI /type damage_relations.
+// relationsByType maps a type name to that type's damage_relations object.
+
+import { POKEMON_TYPES } from './pokemonFilters.js';
+
+const names = (list = []) => list.map(entry => entry.name);
+
+// Multiplier of one attacking type against one defending type
+const singleMultiplier = (attackType, defendType, relationsByType) => {
+    const relations = relationsByType[defendType];
+    if (!relations) return 1;
+    if (names(relations.no_damage_from).includes(attackType)) return 0;
+    if (names(relations.double_damage_from).includes(attackType)) return 2;
+    if (names(relations.half_damage_from).includes(attackType)) return 0.5;
+    return 1;
+};
+
+// Multiplier of an attacking type against a (possibly dual-typed) defender:
+// the single-type multipliers multiply, giving 4, 2, 1, 0.5, 0.25 or 0
+const attackMultiplier = (attackType, defendTypes, relationsByType) =>
+    defendTypes.reduce(
+        (total, defendType) => total * singleMultiplier(attackType, defendType, relationsByType),
+        1
+    );
+
+// { attackType: multiplier } for every attacking type
+const defensiveMultipliers = (defendTypes, relationsByType) =>
+    Object.fromEntries(POKEMON_TYPES.map(attackType => [
+        attackType,
+        attackMultiplier(attackType, defendTypes, relationsByType),
+    ]));
+
+// Best multiplier any of the attacking types reaches against each single defending type
+const offensiveCoverage = (attackTypes, relationsByType) =>
+    Object.fromEntries(POKEMON_TYPES.map(defendType => [
+        defendType,
+        attackTypes.length === 0
+            ? 1
+            : Math.max(...attackTypes.map(attackType => singleMultiplier(attackType, defendType, relationsByType))),
+    ]));
+
+// Team overview. members: [{ name, types: [...] }]
+// Returns {
+//   defense: [{ attackType, multipliers: [per member], weak, resist, shared }],
+//   offense: [{ defendType, multiplier, covered }]
+// }
+const analyzeTeam = (members, relationsByType) => {
+    const perMember = members.map(member => defensiveMultipliers(member.types, relationsByType));
+
+    const defense = POKEMON_TYPES.map(attackType => {
+        const multipliers = perMember.map(table => table[attackType]);
+        const weak = multipliers.filter(value => value > 1).length;
+        const resist = multipliers.filter(value => value < 1).length;
+        return {
+            attackType,
+            multipliers,
+            weak,
+            resist,
+            // Two or more members weak and fewer members resisting it than weak to it
+            shared: weak >= 2 && weak > resist,
+        };
+    });
+
+    const teamTypes = [...new Set(members.flatMap(member => member.types))];
+    const coverage = offensiveCoverage(teamTypes, relationsByType);
+    const offense = POKEMON_TYPES.map(defendType => ({
+        defendType,
+        multiplier: coverage[defendType],
+        covered: coverage[defendType] > 1,
+    }));
+
+    return { defense, offense };
+};
+
+const MULTIPLIER_ORDER = [4, 2, 1, 0.5, 0.25, 0];
+
+// { attackType: multiplier } -> [{ multiplier, types }] from 4x down to 0x, empty groups dropped
+const groupByMultiplier = (multipliers) =>
+    MULTIPLIER_ORDER
+        .map(multiplier => ({
+            multiplier,
+            types: Object.keys(multipliers).filter(type => multipliers[type] === multiplier),
+        }))
+        .filter(group => group.types.length > 0);
+
+const MULTIPLIER_LABELS = { 4: '4×', 2: '2×', 1: '1×', 0.5: '½×', 0.25: '¼×', 0: '0×' };
+
+const formatMultiplier = (multiplier) => MULTIPLIER_LABELS[multiplier] ?? `${multiplier}×`;
+
+export {
+    singleMultiplier,
+    attackMultiplier,
+    defensiveMultipliers,
+    offensiveCoverage,
+    analyzeTeam,
+    groupByMultiplier,
+    formatMultiplier,
+};